@@ -10,6 +10,10 @@ app.disableHardwareAcceleration();
 let mainWindow;
 const isDev = process.argv.includes('--dev');
 const isScheduled = process.argv.includes('--scheduled');
+// バックアップの検証（--verify <バックアップID> / --verify-all）
+const verifyArgIndex = process.argv.indexOf('--verify');
+const verifyBackupId = verifyArgIndex >= 0 ? Number(process.argv[verifyArgIndex + 1]) : null;
+const isVerifyAll = process.argv.includes('--verify-all');
 
 // アプリケーションのデータディレクトリ
 const APP_DATA_DIR = path.join(app.getPath('userData'), 'backup_data');
@@ -53,8 +57,14 @@ function createWindow() {
         mainWindow.webContents.openDevTools();
     }
 
+    // 画面が閉じられた・異常終了した場合は読み込み中のレコード一覧（時点復元・バックアップのプレビュー）を閉じる
+    mainWindow.webContents.on('render-process-gone', () => {
+        closeAllRecordSessions();
+    });
+
     mainWindow.on('closed', () => {
         mainWindow = null;
+        closeAllRecordSessions();
     });
 }
 
@@ -94,6 +104,37 @@ async function runScheduledBackup() {
     }
 }
 
+// バックアップの検証（ヘッドレス、異常があれば終了コード 1）
+async function runVerification() {
+    try {
+        await initializeDirectories();
+
+        const ConfigService = require('../src/services/configService');
+        const Database = require('../src/core/database');
+        const BackupManager = require('../src/core/backupManager');
+
+        const config = ConfigService.getConfig();
+        const db = new Database(METADATA_DB_PATH);
+        const logDir = path.join(APP_DATA_DIR, 'logs');
+        await fs.ensureDir(logDir);
+
+        const backupManager = new BackupManager(config, db, ARCHIVES_DIR, ATTACHMENTS_DIR, logDir);
+
+        const results = isVerifyAll ? await backupManager.verifyAllBackups() : [await backupManager.verifyBackup(verifyBackupId)];
+
+        for (const result of results) {
+            console.log(`Backup ${result.backupId}: ${result.status}`);
+            result.problems.forEach((problem) => console.log(`  NG: ${problem}`));
+            result.warnings.forEach((warning) => console.log(`  WARN: ${warning}`));
+        }
+
+        process.exit(results.some((result) => result.status === '異常') ? 1 : 0);
+    } catch (error) {
+        console.error('Verification failed:', error);
+        process.exit(1);
+    }
+}
+
 // Windowsタスクスケジューラへの登録
 ipcMain.handle('register-task-scheduler', async (event, scheduleConfig) => {
     try {
@@ -152,6 +193,9 @@ app.whenReady().then(async () => {
     if (isScheduled) {
         // スケジュール実行モード
         await runScheduledBackup();
+    } else if (isVerifyAll || verifyBackupId) {
+        // 検証モード
+        await runVerification();
     } else {
         // 通常のGUIモード
         createWindow();
@@ -237,6 +281,9 @@ ipcMain.handle('run-backup', async (event, options) => {
         await fs.ensureDir(logDir);
 
         const backupManager = new BackupManager(config, db, ARCHIVES_DIR, ATTACHMENTS_DIR, logDir);
+        if (options.passphrase) {
+            backupManager.usePassphrase(options.passphrase);
+        }
 
         const backupOptions = {
             ...options,
@@ -261,8 +308,19 @@ ipcMain.handle('get-backup-history', async (event, filters) => {
     }
 });
 
-// バックアップ詳細取得
-ipcMain.handle('get-backup-details', async (event, backupId) => {
+// 復元履歴取得
+ipcMain.handle('get-restore-history', async (event, filters) => {
+    try {
+        const Database = require('../src/core/database');
+        const db = new Database(METADATA_DB_PATH);
+        return db.getRestoreHistory(filters);
+    } catch (error) {
+        throw error;
+    }
+});
+
+// バックアップのレコード取得を開始（プレビュー用、最初のバッチを返し、続きは read-records で取得）
+ipcMain.handle('open-backup-records', async (event, backupId, passphrase) => {
     try {
         const ConfigService = require('../src/services/configService');
         const Database = require('../src/core/database');
@@ -273,7 +331,28 @@ ipcMain.handle('get-backup-details', async (event, backupId) => {
         const logDir = path.join(APP_DATA_DIR, 'logs');
 
         const backupManager = new BackupManager(config, db, ARCHIVES_DIR, ATTACHMENTS_DIR, logDir);
-        return await backupManager.getRecordsFromBackup(backupId);
+        if (passphrase) {
+            backupManager.usePassphrase(passphrase);
+        }
+        return await openRecordSession(backupManager.iterateBackupRecords(backupId));
+    } catch (error) {
+        throw error;
+    }
+});
+
+// レコードのリビジョン履歴取得
+ipcMain.handle('get-record-revisions', async (event, appId, recordId) => {
+    try {
+        const ConfigService = require('../src/services/configService');
+        const Database = require('../src/core/database');
+        const BackupManager = require('../src/core/backupManager');
+
+        const config = ConfigService.getConfig();
+        const db = new Database(METADATA_DB_PATH);
+        const logDir = path.join(APP_DATA_DIR, 'logs');
+
+        const backupManager = new BackupManager(config, db, ARCHIVES_DIR, ATTACHMENTS_DIR, logDir);
+        return backupManager.getRecordRevisions(appId, recordId);
     } catch (error) {
         throw error;
     }
@@ -282,31 +361,175 @@ ipcMain.handle('get-backup-details', async (event, backupId) => {
 // バックアップ削除
 ipcMain.handle('delete-backup', async (event, backupId) => {
     try {
+        const ConfigService = require('../src/services/configService');
+        const Database = require('../src/core/database');
+        const BackupManager = require('../src/core/backupManager');
+
+        const config = ConfigService.getConfig();
+        const db = new Database(METADATA_DB_PATH);
+        const logDir = path.join(APP_DATA_DIR, 'logs');
+
+        const backupManager = new BackupManager(config, db, ARCHIVES_DIR, ATTACHMENTS_DIR, logDir);
+        return await backupManager.deleteBackup(backupId);
+    } catch (error) {
+        throw error;
+    }
+});
+
+// レコード復元
+ipcMain.handle('restore-records', async (event, options) => {
+    try {
+        const ConfigService = require('../src/services/configService');
+        const Database = require('../src/core/database');
+        const BackupManager = require('../src/core/backupManager');
+
+        const config = ConfigService.getConfig();
+        const db = new Database(METADATA_DB_PATH);
+        const logDir = path.join(APP_DATA_DIR, 'logs');
+        await fs.ensureDir(logDir);
+
+        const backupManager = new BackupManager(config, db, ARCHIVES_DIR, ATTACHMENTS_DIR, logDir);
+        if (options.passphrase) {
+            backupManager.usePassphrase(options.passphrase);
+        }
+
+        const restoreOptions = {
+            ...options,
+            hostname: os.hostname(),
+            appVersion: app.getVersion(),
+        };
+
+        return await backupManager.restoreBackup(options.backupId, restoreOptions);
+    } catch (error) {
+        throw error;
+    }
+});
+
+// レコード一覧（時点復元・バックアップのプレビュー）の読み込み中セッション（セッションID -> レコードのイテレーターと放置時のタイマー）
+const recordSessions = new Map();
+let recordSessionCounter = 0;
+
+// 続きの読み込みがないまま放置されたセッションを閉じるまでの時間
+const RECORD_SESSION_IDLE_MS = 10 * 60 * 1000;
+
+// セッションの登録・延長（一定時間読み込みがなければ閉じる）
+function keepRecordSession(sessionId, iterator) {
+    const session = recordSessions.get(sessionId);
+    if (session) {
+        clearTimeout(session.timer);
+    }
+    const timer = setTimeout(() => closeRecordSession(sessionId), RECORD_SESSION_IDLE_MS);
+    recordSessions.set(sessionId, { iterator, timer });
+}
+
+// 最初のバッチを読み込み、続きがある場合はセッションとして登録
+async function openRecordSession(iterator) {
+    const { value, done } = await iterator.next();
+
+    const sessionId = ++recordSessionCounter;
+    if (!done) {
+        keepRecordSession(sessionId, iterator);
+    }
+
+    return { sessionId, records: value || [], done };
+}
+
+// セッションを閉じる（読み込み中のアーカイブを解放）
+async function closeRecordSession(sessionId) {
+    const session = recordSessions.get(sessionId);
+    if (!session) {
+        return;
+    }
+    recordSessions.delete(sessionId);
+    clearTimeout(session.timer);
+    try {
+        await session.iterator.return();
+    } catch (error) {
+        console.error('Failed to close record session:', error);
+    }
+}
+
+function closeAllRecordSessions() {
+    for (const sessionId of [...recordSessions.keys()]) {
+        closeRecordSession(sessionId);
+    }
+}
+
+// 指定日時時点のレコード取得を開始（時点復元のプレビュー用、最初のバッチを返す）
+ipcMain.handle('open-point-in-time-records', async (event, appId, targetDatetime, passphrase) => {
+    try {
+        const ConfigService = require('../src/services/configService');
         const Database = require('../src/core/database');
+        const BackupManager = require('../src/core/backupManager');
+
+        const config = ConfigService.getConfig();
         const db = new Database(METADATA_DB_PATH);
+        const logDir = path.join(APP_DATA_DIR, 'logs');
 
-        const backup = db.getBackupById(backupId);
-        if (!backup) {
-            throw new Error('バックアップが見つかりません');
+        const backupManager = new BackupManager(config, db, ARCHIVES_DIR, ATTACHMENTS_DIR, logDir);
+        if (passphrase) {
+            backupManager.usePassphrase(passphrase);
         }
 
-        // ZIPファイルを削除
-        const zipFilePath = path.join(ARCHIVES_DIR, backup.file_path);
-        if (await fs.pathExists(zipFilePath)) {
-            await fs.remove(zipFilePath);
+        const chain = backupManager.getPointInTimeChain(appId, targetDatetime);
+        return { chain, ...(await openRecordSession(backupManager.iteratePointInTimeRecords(appId, targetDatetime))) };
+    } catch (error) {
+        throw error;
+    }
+});
+
+// 読み込み中のレコード一覧の続きを取得
+ipcMain.handle('read-records', async (event, sessionId) => {
+    const session = recordSessions.get(sessionId);
+    if (!session) {
+        return { records: [], done: true };
+    }
+
+    try {
+        const { value, done } = await session.iterator.next();
+        if (done) {
+            await closeRecordSession(sessionId);
+        } else if (recordSessions.has(sessionId)) {
+            keepRecordSession(sessionId, session.iterator);
         }
+        return { records: value || [], done };
+    } catch (error) {
+        await closeRecordSession(sessionId);
+        throw error;
+    }
+});
 
-        // DBから削除
-        db.deleteBackup(backupId);
+// 読み込み中のレコード一覧を閉じる
+ipcMain.handle('close-records', async (event, sessionId) => {
+    await closeRecordSession(sessionId);
+    return { success: true };
+});
 
-        return { success: true };
+// 指定日時時点への復元のフィールドの対応付け
+ipcMain.handle('get-point-in-time-field-mapping', async (event, options) => {
+    try {
+        const ConfigService = require('../src/services/configService');
+        const Database = require('../src/core/database');
+        const BackupManager = require('../src/core/backupManager');
+
+        const config = ConfigService.getConfig();
+        const db = new Database(METADATA_DB_PATH);
+        const logDir = path.join(APP_DATA_DIR, 'logs');
+        await fs.ensureDir(logDir);
+
+        const backupManager = new BackupManager(config, db, ARCHIVES_DIR, ATTACHMENTS_DIR, logDir);
+        if (options.passphrase) {
+            backupManager.usePassphrase(options.passphrase);
+        }
+
+        return await backupManager.getPointInTimeFieldMapping(options.appId, options.targetDatetime, options);
     } catch (error) {
         throw error;
     }
 });
 
-// レコード復元
-ipcMain.handle('restore-records', async (event, options) => {
+// 指定日時時点への復元
+ipcMain.handle('restore-point-in-time', async (event, options) => {
     try {
         const ConfigService = require('../src/services/configService');
         const Database = require('../src/core/database');
@@ -318,6 +541,9 @@ ipcMain.handle('restore-records', async (event, options) => {
         await fs.ensureDir(logDir);
 
         const backupManager = new BackupManager(config, db, ARCHIVES_DIR, ATTACHMENTS_DIR, logDir);
+        if (options.passphrase) {
+            backupManager.usePassphrase(options.passphrase);
+        }
 
         const restoreOptions = {
             ...options,
@@ -325,7 +551,186 @@ ipcMain.handle('restore-records', async (event, options) => {
             appVersion: app.getVersion(),
         };
 
-        return await backupManager.restoreBackup(options.backupId, restoreOptions);
+        return await backupManager.restorePointInTime(options.appId, options.targetDatetime, restoreOptions);
+    } catch (error) {
+        throw error;
+    }
+});
+
+// スケジュール実行の一覧（複数アプリの一括復元用）
+ipcMain.handle('get-scheduled-runs', async () => {
+    try {
+        const ConfigService = require('../src/services/configService');
+        const Database = require('../src/core/database');
+        const BackupManager = require('../src/core/backupManager');
+
+        const config = ConfigService.getConfig();
+        const db = new Database(METADATA_DB_PATH);
+        const logDir = path.join(APP_DATA_DIR, 'logs');
+        await fs.ensureDir(logDir);
+
+        const backupManager = new BackupManager(config, db, ARCHIVES_DIR, ATTACHMENTS_DIR, logDir);
+        return backupManager.getScheduledRuns();
+    } catch (error) {
+        throw error;
+    }
+});
+
+// 複数アプリの一括復元の順序（ルックアップの依存関係）
+ipcMain.handle('get-scheduled-run-plan', async (event, runId, passphrase) => {
+    try {
+        const ConfigService = require('../src/services/configService');
+        const Database = require('../src/core/database');
+        const BackupManager = require('../src/core/backupManager');
+
+        const config = ConfigService.getConfig();
+        const db = new Database(METADATA_DB_PATH);
+        const logDir = path.join(APP_DATA_DIR, 'logs');
+        await fs.ensureDir(logDir);
+
+        const backupManager = new BackupManager(config, db, ARCHIVES_DIR, ATTACHMENTS_DIR, logDir);
+        if (passphrase) {
+            backupManager.usePassphrase(passphrase);
+        }
+        return await backupManager.getScheduledRunPlan(runId);
+    } catch (error) {
+        throw error;
+    }
+});
+
+// 同じスケジュール実行のバックアップから複数アプリを一括復元
+ipcMain.handle('restore-scheduled-run', async (event, options) => {
+    try {
+        const ConfigService = require('../src/services/configService');
+        const Database = require('../src/core/database');
+        const BackupManager = require('../src/core/backupManager');
+
+        const config = ConfigService.getConfig();
+        const db = new Database(METADATA_DB_PATH);
+        const logDir = path.join(APP_DATA_DIR, 'logs');
+        await fs.ensureDir(logDir);
+
+        const backupManager = new BackupManager(config, db, ARCHIVES_DIR, ATTACHMENTS_DIR, logDir);
+        if (options.passphrase) {
+            backupManager.usePassphrase(options.passphrase);
+        }
+
+        const restoreOptions = {
+            ...options,
+            hostname: os.hostname(),
+            appVersion: app.getVersion(),
+        };
+
+        return await backupManager.restoreScheduledRun(options.runId, restoreOptions);
+    } catch (error) {
+        throw error;
+    }
+});
+
+// 復元の取り消し（復元前のスナップショットを反映）
+ipcMain.handle('undo-restore', async (event, restoreId, options = {}) => {
+    try {
+        const ConfigService = require('../src/services/configService');
+        const Database = require('../src/core/database');
+        const BackupManager = require('../src/core/backupManager');
+
+        const config = ConfigService.getConfig();
+        const db = new Database(METADATA_DB_PATH);
+        const logDir = path.join(APP_DATA_DIR, 'logs');
+        await fs.ensureDir(logDir);
+
+        const backupManager = new BackupManager(config, db, ARCHIVES_DIR, ATTACHMENTS_DIR, logDir);
+        if (options.passphrase) {
+            backupManager.usePassphrase(options.passphrase);
+        }
+        return await backupManager.undoRestore(restoreId, options);
+    } catch (error) {
+        throw error;
+    }
+});
+
+// レコードIDが変わったレコードを参照しているルックアップ・関連レコードの検索
+ipcMain.handle('find-stale-references', async (event, sourceAppId, targetAppId) => {
+    try {
+        const ConfigService = require('../src/services/configService');
+        const Database = require('../src/core/database');
+        const BackupManager = require('../src/core/backupManager');
+
+        const config = ConfigService.getConfig();
+        const db = new Database(METADATA_DB_PATH);
+        const logDir = path.join(APP_DATA_DIR, 'logs');
+        await fs.ensureDir(logDir);
+
+        const backupManager = new BackupManager(config, db, ARCHIVES_DIR, ATTACHMENTS_DIR, logDir);
+        return await backupManager.findStaleReferences(sourceAppId, targetAppId);
+    } catch (error) {
+        throw error;
+    }
+});
+
+// ルックアップ・関連レコードのキーを新しいレコード番号に書き換え
+ipcMain.handle('rewrite-references', async (event, sourceAppId, targetAppId) => {
+    try {
+        const ConfigService = require('../src/services/configService');
+        const Database = require('../src/core/database');
+        const BackupManager = require('../src/core/backupManager');
+
+        const config = ConfigService.getConfig();
+        const db = new Database(METADATA_DB_PATH);
+        const logDir = path.join(APP_DATA_DIR, 'logs');
+        await fs.ensureDir(logDir);
+
+        const backupManager = new BackupManager(config, db, ARCHIVES_DIR, ATTACHMENTS_DIR, logDir);
+        return await backupManager.rewriteReferences(sourceAppId, targetAppId);
+    } catch (error) {
+        throw error;
+    }
+});
+
+// 指定バックアップ以降に削除されたレコードの取得
+ipcMain.handle('get-deleted-records', async (event, appId, sinceBackupId, passphrase) => {
+    try {
+        const ConfigService = require('../src/services/configService');
+        const Database = require('../src/core/database');
+        const BackupManager = require('../src/core/backupManager');
+
+        const config = ConfigService.getConfig();
+        const db = new Database(METADATA_DB_PATH);
+        const logDir = path.join(APP_DATA_DIR, 'logs');
+
+        const backupManager = new BackupManager(config, db, ARCHIVES_DIR, ATTACHMENTS_DIR, logDir);
+        if (passphrase) {
+            backupManager.usePassphrase(passphrase);
+        }
+        return await backupManager.getDeletedRecordsSince(appId, sinceBackupId);
+    } catch (error) {
+        throw error;
+    }
+});
+
+// 削除されたレコードの復元
+ipcMain.handle('restore-deleted-records', async (event, options) => {
+    try {
+        const ConfigService = require('../src/services/configService');
+        const Database = require('../src/core/database');
+        const BackupManager = require('../src/core/backupManager');
+
+        const config = ConfigService.getConfig();
+        const db = new Database(METADATA_DB_PATH);
+        const logDir = path.join(APP_DATA_DIR, 'logs');
+        await fs.ensureDir(logDir);
+
+        const backupManager = new BackupManager(config, db, ARCHIVES_DIR, ATTACHMENTS_DIR, logDir);
+        if (options.passphrase) {
+            backupManager.usePassphrase(options.passphrase);
+        }
+
+        const restoreOptions = {
+            hostname: os.hostname(),
+            appVersion: app.getVersion(),
+        };
+
+        return await backupManager.restoreDeletedRecords(options.appId, options.recordIds, restoreOptions);
     } catch (error) {
         throw error;
     }
@@ -348,6 +753,12 @@ ipcMain.handle('save-config', async (event, config) => {
         if (config.backup) {
             ConfigService.saveBackupConfig(config.backup);
         }
+        if (config.retention) {
+            ConfigService.saveRetentionConfig(config.retention);
+        }
+        if (config.verification) {
+            ConfigService.saveVerificationConfig(config.verification);
+        }
 
         return { success: true };
     } catch (error) {
@@ -366,53 +777,161 @@ ipcMain.handle('get-config', async () => {
 });
 
 // バックアップメタデータ取得
-ipcMain.handle('get-backup-metadata', async (event, backupId) => {
+ipcMain.handle('get-backup-metadata', async (event, backupId, passphrase) => {
     try {
+        const ConfigService = require('../src/services/configService');
         const Database = require('../src/core/database');
+        const BackupManager = require('../src/core/backupManager');
+
+        const config = ConfigService.getConfig();
         const db = new Database(METADATA_DB_PATH);
-        const backup = db.getBackupById(backupId);
+        const logDir = path.join(APP_DATA_DIR, 'logs');
 
-        if (!backup) {
-            throw new Error('バックアップが見つかりません');
+        const backupManager = new BackupManager(config, db, ARCHIVES_DIR, ATTACHMENTS_DIR, logDir);
+        if (passphrase) {
+            backupManager.usePassphrase(passphrase);
         }
+        return await backupManager.getBackupMetadata(backupId);
+    } catch (error) {
+        throw error;
+    }
+});
 
-        const zipFilePath = path.join(ARCHIVES_DIR, backup.file_path);
-        const unzipper = require('unzipper');
+// バックアップに含まれるアプリ設定の一覧取得
+ipcMain.handle('get-app-settings-backup', async (event, backupId, passphrase) => {
+    try {
+        const ConfigService = require('../src/services/configService');
+        const Database = require('../src/core/database');
+        const BackupManager = require('../src/core/backupManager');
 
-        return new Promise((resolve, reject) => {
-            let metadataJson = '';
-
-            fs.createReadStream(zipFilePath)
-                .pipe(unzipper.Parse())
-                .on('entry', (entry) => {
-                    if (entry.path === 'backup_metadata.json') {
-                        entry.on('data', (chunk) => {
-                            metadataJson += chunk.toString();
-                        });
-                        entry.on('end', () => {
-                            try {
-                                const metadata = JSON.parse(metadataJson);
-                                resolve(metadata);
-                            } catch (error) {
-                                reject(new Error('Failed to parse metadata: ' + error.message));
-                            }
-                        });
-                    } else {
-                        entry.autodrain();
-                    }
-                })
-                .on('close', () => {
-                    if (!metadataJson) {
-                        resolve(null); // メタデータが存在しない古いバックアップ
-                    }
-                })
-                .on('error', reject);
+        const config = ConfigService.getConfig();
+        const db = new Database(METADATA_DB_PATH);
+        const logDir = path.join(APP_DATA_DIR, 'logs');
+
+        const backupManager = new BackupManager(config, db, ARCHIVES_DIR, ATTACHMENTS_DIR, logDir);
+        if (passphrase) {
+            backupManager.usePassphrase(passphrase);
+        }
+        return await backupManager.getAppSettingsFromBackup(backupId);
+    } catch (error) {
+        throw error;
+    }
+});
+
+// アプリ設定の復元
+ipcMain.handle('restore-app-settings', async (event, options) => {
+    try {
+        const ConfigService = require('../src/services/configService');
+        const Database = require('../src/core/database');
+        const BackupManager = require('../src/core/backupManager');
+
+        const config = ConfigService.getConfig();
+        const db = new Database(METADATA_DB_PATH);
+        const logDir = path.join(APP_DATA_DIR, 'logs');
+        await fs.ensureDir(logDir);
+
+        const backupManager = new BackupManager(config, db, ARCHIVES_DIR, ATTACHMENTS_DIR, logDir);
+        if (options.passphrase) {
+            backupManager.usePassphrase(options.passphrase);
+        }
+
+        return await backupManager.restoreAppSettings(options.backupId, {
+            sections: options.sections,
+            hostname: os.hostname(),
+            appVersion: app.getVersion(),
+        });
+    } catch (error) {
+        throw error;
+    }
+});
+
+// バックアップから新しいアプリを作成して復元
+ipcMain.handle('clone-backup-to-new-app', async (event, options) => {
+    try {
+        const ConfigService = require('../src/services/configService');
+        const Database = require('../src/core/database');
+        const BackupManager = require('../src/core/backupManager');
+
+        const config = ConfigService.getConfig();
+        const db = new Database(METADATA_DB_PATH);
+        const logDir = path.join(APP_DATA_DIR, 'logs');
+        await fs.ensureDir(logDir);
+
+        const backupManager = new BackupManager(config, db, ARCHIVES_DIR, ATTACHMENTS_DIR, logDir);
+        if (options.passphrase) {
+            backupManager.usePassphrase(options.passphrase);
+        }
+
+        return await backupManager.cloneBackupToNewApp(options.backupId, {
+            appName: options.appName,
+            hostname: os.hostname(),
+            appVersion: app.getVersion(),
         });
     } catch (error) {
         throw error;
     }
 });
 
+// バックアップの検証
+ipcMain.handle('verify-backup', async (event, backupId, passphrase) => {
+    try {
+        const ConfigService = require('../src/services/configService');
+        const Database = require('../src/core/database');
+        const BackupManager = require('../src/core/backupManager');
+
+        const config = ConfigService.getConfig();
+        const db = new Database(METADATA_DB_PATH);
+        const logDir = path.join(APP_DATA_DIR, 'logs');
+
+        const backupManager = new BackupManager(config, db, ARCHIVES_DIR, ATTACHMENTS_DIR, logDir);
+        if (passphrase) {
+            backupManager.usePassphrase(passphrase);
+        }
+        return await backupManager.verifyBackup(backupId);
+    } catch (error) {
+        throw error;
+    }
+});
+
+// 全バックアップの検証
+ipcMain.handle('verify-all-backups', async (event, passphrase) => {
+    try {
+        const ConfigService = require('../src/services/configService');
+        const Database = require('../src/core/database');
+        const BackupManager = require('../src/core/backupManager');
+
+        const config = ConfigService.getConfig();
+        const db = new Database(METADATA_DB_PATH);
+        const logDir = path.join(APP_DATA_DIR, 'logs');
+
+        const backupManager = new BackupManager(config, db, ARCHIVES_DIR, ATTACHMENTS_DIR, logDir);
+        if (passphrase) {
+            backupManager.usePassphrase(passphrase);
+        }
+        return await backupManager.verifyAllBackups();
+    } catch (error) {
+        throw error;
+    }
+});
+
+// 保存先のアーカイブ一覧取得（保存先の接続確認を兼ねる）
+ipcMain.handle('list-archives', async () => {
+    try {
+        const ConfigService = require('../src/services/configService');
+        const Database = require('../src/core/database');
+        const BackupManager = require('../src/core/backupManager');
+
+        const config = ConfigService.getConfig();
+        const db = new Database(METADATA_DB_PATH);
+        const logDir = path.join(APP_DATA_DIR, 'logs');
+
+        const backupManager = new BackupManager(config, db, ARCHIVES_DIR, ATTACHMENTS_DIR, logDir);
+        return await backupManager.listArchives();
+    } catch (error) {
+        throw error;
+    }
+});
+
 // エラーハンドリング
 process.on('uncaughtException', (error) => {
     console.error('Uncaught Exception:', error);
@@ -22,18 +22,60 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
     getBackupHistory: (filters) => ipcRenderer.invoke('get-backup-history', filters),
 
-    getBackupDetails: (backupId) => ipcRenderer.invoke('get-backup-details', backupId),
+    getRestoreHistory: (filters) => ipcRenderer.invoke('get-restore-history', filters),
+
+    openBackupRecords: (backupId, passphrase) => ipcRenderer.invoke('open-backup-records', backupId, passphrase),
+
+    getRecordRevisions: (appId, recordId) => ipcRenderer.invoke('get-record-revisions', appId, recordId),
 
     deleteBackup: (backupId) => ipcRenderer.invoke('delete-backup', backupId),
 
     restoreRecords: (options) => ipcRenderer.invoke('restore-records', options),
 
+    openPointInTimeRecords: (appId, targetDatetime, passphrase) => ipcRenderer.invoke('open-point-in-time-records', appId, targetDatetime, passphrase),
+
+    readRecords: (sessionId) => ipcRenderer.invoke('read-records', sessionId),
+
+    closeRecords: (sessionId) => ipcRenderer.invoke('close-records', sessionId),
+
+    getPointInTimeFieldMapping: (options) => ipcRenderer.invoke('get-point-in-time-field-mapping', options),
+
+    restorePointInTime: (options) => ipcRenderer.invoke('restore-point-in-time', options),
+
+    getScheduledRuns: () => ipcRenderer.invoke('get-scheduled-runs'),
+
+    getScheduledRunPlan: (runId, passphrase) => ipcRenderer.invoke('get-scheduled-run-plan', runId, passphrase),
+
+    restoreScheduledRun: (options) => ipcRenderer.invoke('restore-scheduled-run', options),
+
+    undoRestore: (restoreId, options) => ipcRenderer.invoke('undo-restore', restoreId, options),
+
+    findStaleReferences: (sourceAppId, targetAppId) => ipcRenderer.invoke('find-stale-references', sourceAppId, targetAppId),
+
+    rewriteReferences: (sourceAppId, targetAppId) => ipcRenderer.invoke('rewrite-references', sourceAppId, targetAppId),
+
+    getDeletedRecords: (appId, sinceBackupId, passphrase) => ipcRenderer.invoke('get-deleted-records', appId, sinceBackupId, passphrase),
+
+    restoreDeletedRecords: (options) => ipcRenderer.invoke('restore-deleted-records', options),
+
     // 設定の保存・読み込み
     saveConfig: (config) => ipcRenderer.invoke('save-config', config),
 
     getConfig: () => ipcRenderer.invoke('get-config'),
 
-    getBackupMetadata: (backupId) => ipcRenderer.invoke('get-backup-metadata', backupId),
+    getBackupMetadata: (backupId, passphrase) => ipcRenderer.invoke('get-backup-metadata', backupId, passphrase),
+
+    listArchives: () => ipcRenderer.invoke('list-archives'),
+
+    getAppSettingsBackup: (backupId, passphrase) => ipcRenderer.invoke('get-app-settings-backup', backupId, passphrase),
+
+    restoreAppSettings: (options) => ipcRenderer.invoke('restore-app-settings', options),
+
+    cloneBackupToNewApp: (options) => ipcRenderer.invoke('clone-backup-to-new-app', options),
+
+    verifyBackup: (backupId, passphrase) => ipcRenderer.invoke('verify-backup', backupId, passphrase),
+
+    verifyAllBackups: (passphrase) => ipcRenderer.invoke('verify-all-backups', passphrase),
 
     // 進捗状況のリスナー
     onBackupProgress: (callback) => {
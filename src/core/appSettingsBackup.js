@@ -0,0 +1,181 @@
+// バックアップするアプリ設定（取得 API と反映 API。反映はこの順に行う）
+const SECTIONS = [
+    { key: 'general', label: '一般設定', get: 'getAppSettings', update: 'updateAppSettings', params: { lang: 'default' } },
+    { key: 'layout', label: 'フォームのレイアウト', get: 'getFormLayout', update: 'updateFormLayout' },
+    { key: 'processManagement', label: 'プロセス管理', get: 'getProcessManagement', update: 'updateProcessManagement', params: { lang: 'default' } },
+    { key: 'views', label: '一覧', get: 'getViews', update: 'updateViews', params: { lang: 'default' } },
+    { key: 'reports', label: 'グラフ', get: 'getReports', update: 'updateReports', params: { lang: 'default' } },
+    { key: 'appAcl', label: 'アプリのアクセス権', get: 'getAppAcl', update: 'updateAppAcl' },
+    { key: 'recordAcl', label: 'レコードのアクセス権', get: 'getRecordAcl', update: 'updateRecordAcl' },
+    { key: 'fieldAcl', label: 'フィールドのアクセス権', get: 'getFieldAcl', update: 'updateFieldAcl' },
+    { key: 'customize', label: 'JavaScript / CSS カスタマイズ', get: 'getAppCustomize', update: 'updateAppCustomize' },
+    { key: 'generalNotifications', label: 'アプリの条件通知', get: 'getGeneralNotifications', update: 'updateGeneralNotifications' },
+    { key: 'perRecordNotifications', label: 'レコードの条件通知', get: 'getPerRecordNotifications', update: 'updatePerRecordNotifications' },
+    { key: 'reminderNotifications', label: 'リマインダーの条件通知', get: 'getReminderNotifications', update: 'updateReminderNotifications' },
+    { key: 'actions', label: 'アクション', get: 'getAppActions', update: 'updateAppActions', params: { lang: 'default' } },
+];
+
+/**
+ * アプリ設定（レイアウト・一覧・プロセス管理・アクセス権・カスタマイズ・通知・アクション）のバックアップと反映
+ * カスタマイズの JavaScript / CSS ファイルの保存・読み込みは呼び出し側で行う
+ */
+class AppSettingsBackup {
+    constructor(kintoneClient, logger) {
+        this.kintoneClient = kintoneClient;
+        this.logger = logger;
+    }
+
+    /**
+     * アプリ設定の取得
+     * 権限不足などで取得できなかった設定は errors に記録して続行する
+     * storeFile はカスタマイズファイルを保存してハッシュ値を返す
+     */
+    async collect(appId, storeFile) {
+        const sections = {};
+        const errors = {};
+
+        for (const section of SECTIONS) {
+            try {
+                const { revision, ...value } = await this.kintoneClient.callAppApi(section.get, { app: appId, ...section.params });
+                sections[section.key] = value;
+            } catch (error) {
+                errors[section.key] = error.message;
+                this.logger.warn(`Failed to get ${section.key} settings for app ${appId}: ${error.message}`);
+            }
+        }
+
+        // カスタマイズファイルは fileKey が変わるため内容を保存
+        if (sections.customize) {
+            try {
+                for (const entry of customizeFileEntries(sections.customize)) {
+                    entry.file = { ...entry.file, hash: await storeFile(entry.file) };
+                }
+            } catch (error) {
+                delete sections.customize;
+                errors.customize = error.message;
+                this.logger.warn(`Failed to store customize files for app ${appId}: ${error.message}`);
+            }
+        }
+
+        return { version: 1, appId, capturedAt: new Date().toISOString(), sections, errors };
+    }
+
+    /**
+     * アプリ設定の反映（テスト環境に反映してから運用環境へデプロイ）
+     * 一部の設定の反映に失敗した場合はテスト環境の変更を取り消す
+     * readFile はカスタマイズファイルの内容（ハッシュ値から読み込み）を返す
+     */
+    async deploy(appId, settings, options = {}) {
+        const results = await this.apply(appId, settings, options);
+
+        if (results.length === 0) {
+            throw new Error('反映するアプリ設定がありません');
+        }
+
+        const failed = results.filter((result) => !result.success);
+        if (failed.length > 0) {
+            try {
+                await this.kintoneClient.deployApp(appId, true);
+            } catch (error) {
+                this.logger.error(`Failed to revert settings for app ${appId}:`, error);
+            }
+            throw new Error(`アプリ設定の反映に失敗しました: ${failed.map((result) => `${result.label} (${result.error})`).join(', ')}`);
+        }
+
+        await this.kintoneClient.deployApp(appId);
+        return results;
+    }
+
+    /**
+     * アプリ設定をテスト環境に反映（デプロイは呼び出し側で行う）
+     * 設定ごとの反映結果を返す
+     */
+    async apply(appId, settings, options = {}) {
+        const { sections: selectedSections = null, readFile } = options;
+        const results = [];
+
+        for (const section of SECTIONS) {
+            const value = settings.sections?.[section.key];
+            if (!value || (selectedSections && !selectedSections.includes(section.key))) {
+                continue;
+            }
+
+            try {
+                const params = await this.buildUpdateParams(section.key, value, readFile);
+                await this.kintoneClient.callAppApi(section.update, { app: appId, ...params });
+                results.push({ section: section.key, label: section.label, success: true });
+            } catch (error) {
+                results.push({ section: section.key, label: section.label, success: false, error: error.message });
+            }
+        }
+
+        return results;
+    }
+
+    // 取得した設定を更新 API のパラメータに変換
+    async buildUpdateParams(key, value, readFile) {
+        switch (key) {
+            case 'general': {
+                // アップロードしたアイコンは fileKey を再利用できないため反映しない
+                const { icon, ...rest } = value;
+                return icon && icon.type === 'PRESET' ? value : rest;
+            }
+            case 'views':
+                return { views: withoutIds(value.views) };
+            case 'reports':
+                return { reports: withoutIds(value.reports) };
+            case 'actions':
+                return { actions: withoutIds(value.actions) };
+            case 'customize': {
+                const customize = JSON.parse(JSON.stringify(value));
+                for (const entry of customizeFileEntries(customize)) {
+                    const data = await readFile(entry.file);
+                    if (!data) {
+                        throw new Error(`カスタマイズファイル ${entry.file.name} が見つかりません`);
+                    }
+                    entry.file = { fileKey: await this.kintoneClient.uploadFile(entry.file.name, data) };
+                }
+                return customize;
+            }
+            default:
+                return value;
+        }
+    }
+
+    // バックアップに含まれるカスタマイズファイル
+    static customizeFiles(settings) {
+        return settings?.sections?.customize ? customizeFileEntries(settings.sections.customize).map((entry) => entry.file) : [];
+    }
+
+    // 反映できる設定の一覧（バックアップに含まれる設定のみ）
+    static listSections(settings) {
+        return SECTIONS.map((section) => ({
+            key: section.key,
+            label: section.label,
+            available: !!settings.sections?.[section.key],
+            error: settings.errors?.[section.key] || null,
+        }));
+    }
+}
+
+// カスタマイズ設定のファイル（FILE 形式）のエントリ
+function customizeFileEntries(customize) {
+    const entries = [];
+    for (const device of ['desktop', 'mobile']) {
+        for (const type of ['js', 'css']) {
+            for (const entry of customize[device]?.[type] || []) {
+                if (entry.type === 'FILE' && entry.file) {
+                    entries.push(entry);
+                }
+            }
+        }
+    }
+    return entries;
+}
+
+// 一覧・グラフ・アクションの ID を除外（更新 API では名前で指定する）
+function withoutIds(items = {}) {
+    return Object.fromEntries(Object.entries(items).map(([name, { id, ...item }]) => [name, item]));
+}
+
+module.exports = AppSettingsBackup;
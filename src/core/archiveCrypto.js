@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+
+// 暗号化データの形式
+//   ヘッダー: MAGIC(8) + ソルト(16)
+//   フレーム: 最終フラグ(1) + 平文長(4) + IV(12) + 認証タグ(16) + 暗号文
+// フレーム番号と最終フラグを AAD に含め、並べ替えや末尾の切り詰めを検出する
+const MAGIC = Buffer.from('KBSENC01');
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const FRAME_HEADER_LENGTH = 1 + 4 + IV_LENGTH + TAG_LENGTH;
+const HEADER_LENGTH = MAGIC.length + SALT_LENGTH;
+const CHUNK_SIZE = 64 * 1024;
+
+// scrypt パラメータ（パスフレーズからの鍵導出）
+const SCRYPT_OPTIONS = { N: 32768, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+// 鍵の識別子の導出に使う固定のソルト（暗号化に使うランダムなソルトとは長さが異なるため重ならない）
+const KEY_ID_SALT = Buffer.from('kintone-backup-key-id');
+
+const PASSPHRASE_REQUIRED_MESSAGE = '暗号化されたバックアップです。パスフレーズが必要です';
+const INVALID_PASSPHRASE_MESSAGE = 'パスフレーズが正しくないか、バックアップが破損しています';
+
+/**
+ * バックアップアーカイブの暗号化（AES-256-GCM、パスフレーズから scrypt で鍵を導出）
+ */
+class ArchiveCrypto {
+    constructor(passphrase) {
+        if (!passphrase) {
+            throw new Error(PASSPHRASE_REQUIRED_MESSAGE);
+        }
+        this.passphrase = passphrase;
+        this.keys = new Map(); // ソルト(hex) -> 鍵
+        this.salt = null; // 暗号化に使うソルト（インスタンスごとに1つ）
+        this.keyIdCache = null;
+    }
+
+    // 暗号化データかどうか（先頭の MAGIC で判定）
+    static isEncrypted(data) {
+        return Buffer.isBuffer(data) && data.length >= MAGIC.length && data.subarray(0, MAGIC.length).equals(MAGIC);
+    }
+
+    // パスフレーズ関連のエラーかどうか
+    static isPassphraseError(error) {
+        return !!error && (error.message === PASSPHRASE_REQUIRED_MESSAGE || error.message === INVALID_PASSPHRASE_MESSAGE);
+    }
+
+    static passphraseRequiredError() {
+        return new Error(PASSPHRASE_REQUIRED_MESSAGE);
+    }
+
+    async deriveKey(salt) {
+        const cacheKey = salt.toString('hex');
+        if (!this.keys.has(cacheKey)) {
+            const key = await new Promise((resolve, reject) => {
+                crypto.scrypt(this.passphrase, salt, 32, SCRYPT_OPTIONS, (error, derivedKey) => (error ? reject(error) : resolve(derivedKey)));
+            });
+            this.keys.set(cacheKey, key);
+        }
+        return this.keys.get(cacheKey);
+    }
+
+    // パスフレーズの識別子（添付ファイルのストアでパスフレーズごとに保存先を分ける。パスフレーズを推測されないよう scrypt で導出した値のハッシュ）
+    async keyId() {
+        if (!this.keyIdCache) {
+            const key = await this.deriveKey(KEY_ID_SALT);
+            this.keyIdCache = crypto.createHash('sha256').update(key).digest('hex').substring(0, 16);
+        }
+        return this.keyIdCache;
+    }
+
+    async getHeader() {
+        if (!this.salt) {
+            this.salt = crypto.randomBytes(SALT_LENGTH);
+        }
+        return { header: Buffer.concat([MAGIC, this.salt]), key: await this.deriveKey(this.salt) };
+    }
+
+    encryptFrame(key, plaintext, index, isFinal) {
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        cipher.setAAD(frameAad(index, isFinal));
+        const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+        const frameHeader = Buffer.alloc(5);
+        frameHeader.writeUInt8(isFinal ? 1 : 0, 0);
+        frameHeader.writeUInt32BE(plaintext.length, 1);
+        return Buffer.concat([frameHeader, iv, cipher.getAuthTag(), ciphertext]);
+    }
+
+    decryptFrame(key, frame, index) {
+        const isFinal = frame.readUInt8(0) === 1;
+        const iv = frame.subarray(5, 5 + IV_LENGTH);
+        const tag = frame.subarray(5 + IV_LENGTH, FRAME_HEADER_LENGTH);
+        const ciphertext = frame.subarray(FRAME_HEADER_LENGTH);
+
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+            decipher.setAAD(frameAad(index, isFinal));
+            decipher.setAuthTag(tag);
+            return { plaintext: Buffer.concat([decipher.update(ciphertext), decipher.final()]), isFinal };
+        } catch (error) {
+            throw new Error(INVALID_PASSPHRASE_MESSAGE);
+        }
+    }
+
+    // バッファの暗号化
+    async encrypt(data) {
+        const buffer = Buffer.from(data);
+        const { header, key } = await this.getHeader();
+
+        const frames = [header];
+        let index = 0;
+        for (let offset = 0; offset < buffer.length || index === 0; offset += CHUNK_SIZE) {
+            const chunk = buffer.subarray(offset, offset + CHUNK_SIZE);
+            frames.push(this.encryptFrame(key, chunk, index, offset + CHUNK_SIZE >= buffer.length));
+            index++;
+        }
+        return Buffer.concat(frames);
+    }
+
+    // バッファの復号
+    async decrypt(data) {
+        const chunks = [];
+        const stream = this.createDecryptStream();
+        stream.on('data', (chunk) => chunks.push(chunk));
+
+        await new Promise((resolve, reject) => {
+            stream.on('end', resolve);
+            stream.on('error', reject);
+            stream.end(data);
+        });
+
+        return Buffer.concat(chunks);
+    }
+
+    // 暗号化ストリーム
+    createEncryptStream() {
+        const self = this;
+        let pending = Buffer.alloc(0);
+        let index = 0;
+        let started = false;
+        let key = null;
+
+        const start = async (transform) => {
+            if (!started) {
+                started = true;
+                const header = await self.getHeader();
+                key = header.key;
+                transform.push(header.header);
+            }
+        };
+
+        return new Transform({
+            async transform(chunk, encoding, callback) {
+                try {
+                    await start(this);
+                    pending = Buffer.concat([pending, chunk]);
+                    // 最終フレームを判定するため、CHUNK_SIZE を超えた分だけ送出する
+                    while (pending.length > CHUNK_SIZE) {
+                        this.push(self.encryptFrame(key, pending.subarray(0, CHUNK_SIZE), index++, false));
+                        pending = pending.subarray(CHUNK_SIZE);
+                    }
+                    callback();
+                } catch (error) {
+                    callback(error);
+                }
+            },
+            async flush(callback) {
+                try {
+                    await start(this);
+                    this.push(self.encryptFrame(key, pending, index++, true));
+                    callback();
+                } catch (error) {
+                    callback(error);
+                }
+            },
+        });
+    }
+
+    // 復号ストリーム
+    createDecryptStream() {
+        const self = this;
+        let pending = Buffer.alloc(0);
+        let key = null;
+        let index = 0;
+        let finished = false;
+
+        return new Transform({
+            async transform(chunk, encoding, callback) {
+                try {
+                    pending = Buffer.concat([pending, chunk]);
+
+                    if (!key) {
+                        if (pending.length < HEADER_LENGTH) {
+                            callback();
+                            return;
+                        }
+                        if (!ArchiveCrypto.isEncrypted(pending)) {
+                            throw new Error('暗号化データではありません');
+                        }
+                        key = await self.deriveKey(pending.subarray(MAGIC.length, HEADER_LENGTH));
+                        pending = pending.subarray(HEADER_LENGTH);
+                    }
+
+                    while (pending.length >= FRAME_HEADER_LENGTH) {
+                        const frameLength = FRAME_HEADER_LENGTH + pending.readUInt32BE(1);
+                        if (pending.length < frameLength) {
+                            break;
+                        }
+                        if (finished) {
+                            throw new Error(INVALID_PASSPHRASE_MESSAGE);
+                        }
+                        const { plaintext, isFinal } = self.decryptFrame(key, pending.subarray(0, frameLength), index++);
+                        finished = isFinal;
+                        pending = pending.subarray(frameLength);
+                        this.push(plaintext);
+                    }
+                    callback();
+                } catch (error) {
+                    callback(error);
+                }
+            },
+            flush(callback) {
+                // 最終フレームがない場合は途中で切れている
+                if (!finished || pending.length > 0) {
+                    callback(new Error(INVALID_PASSPHRASE_MESSAGE));
+                    return;
+                }
+                callback();
+            },
+        });
+    }
+}
+
+function frameAad(index, isFinal) {
+    const aad = Buffer.alloc(5);
+    aad.writeUInt32BE(index, 0);
+    aad.writeUInt8(isFinal ? 1 : 0, 4);
+    return aad;
+}
+
+module.exports = ArchiveCrypto;
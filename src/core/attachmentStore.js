@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * 添付ファイルのコンテンツアドレス型ストア
+ * ファイル内容の SHA-256 をキーに store/<先頭2文字>/<ハッシュ> へ保存し、同一内容は1つだけ保持する
+ * 暗号化する場合はパスフレーズごとに <ハッシュ>.<鍵の識別子> へ保存し、ほかのバックアップが参照するファイルを上書きしない
+ */
+class AttachmentStore {
+    constructor(storeDir) {
+        this.storeDir = storeDir;
+    }
+
+    // 内容のハッシュ値（SHA-256）を計算
+    static hash(data) {
+        return crypto.createHash('sha256').update(data).digest('hex');
+    }
+
+    // 保存ファイルの識別子から内容のハッシュ値を取得
+    static contentHash(id) {
+        return id.split('.')[0];
+    }
+
+    // 内容のハッシュ値と暗号化の鍵から保存ファイルの識別子を取得（暗号化しない場合はハッシュ値のまま）
+    async idFor(hash, archiveCrypto = null) {
+        return archiveCrypto ? `${hash}.${await archiveCrypto.keyId()}` : hash;
+    }
+
+    // 識別子から保存先パスを取得
+    pathFor(id) {
+        return path.join(this.storeDir, id.substring(0, 2), id);
+    }
+
+    // 保存済みかどうか
+    async has(id) {
+        return await fs.pathExists(this.pathFor(id));
+    }
+
+    // ファイルの保存（既に同じ識別子のファイルがあれば書き込まない）
+    // ハッシュ値は暗号化前の内容で計算するため、同じパスフレーズ（または暗号化なし）の間は暗号化の有無にかかわらず重複排除される
+    async put(data, archiveCrypto = null) {
+        const buffer = Buffer.from(data);
+        const id = await this.idFor(AttachmentStore.hash(buffer), archiveCrypto);
+        const filePath = this.pathFor(id);
+
+        if (!(await this.has(id))) {
+            // 書き込み途中のファイルを参照しないよう一時ファイル経由で保存（同時に保存された場合も既存のファイルは上書きしない）
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            await fs.ensureDir(path.dirname(filePath));
+            await fs.writeFile(tempPath, archiveCrypto ? await archiveCrypto.encrypt(buffer) : buffer);
+            try {
+                await fs.move(tempPath, filePath, { overwrite: false });
+            } catch (error) {
+                await fs.remove(tempPath);
+                if (!(await this.has(id))) {
+                    throw error;
+                }
+            }
+        }
+
+        return { hash: id, size: buffer.length };
+    }
+
+    // ファイルの読み込み（存在しない場合は null、暗号化されている場合は暗号化されたまま返す）
+    async read(id) {
+        const filePath = this.pathFor(id);
+        if (!(await fs.pathExists(filePath))) {
+            return null;
+        }
+        return await fs.readFile(filePath);
+    }
+
+    // ファイルの削除（参照の確認と同じトランザクション内で削除するため同期で行う）
+    removeSync(id) {
+        fs.removeSync(this.pathFor(id));
+    }
+}
+
+module.exports = AttachmentStore;
@@ -0,0 +1,128 @@
+const archiver = require('archiver');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { once } = require('events');
+const { PassThrough, Transform, pipeline } = require('stream');
+
+// アーカイブのスキーマバージョン（2.0.0: レコードを records.ndjson に1行1レコードで格納）
+const SCHEMA_VERSION = '2.0.0';
+
+/**
+ * バックアップZIPの書き込み
+ * records.ndjson はレコードの取得と並行してページ単位で書き込み、全件をメモリに保持しない
+ */
+class BackupArchiveWriter {
+    constructor(zipFilePath, archiveCrypto = null) {
+        this.archiveCrypto = archiveCrypto;
+        this.manifestEntries = {};
+        this.pendingEntries = [];
+        this.recordCount = 0;
+        this.originalSize = 0;
+
+        // 書き込み中のエラー（レコード書き込みの待機中にも検知できるよう保持）
+        this.failed = new Promise((resolve, reject) => {
+            this.fail = reject;
+        });
+        this.failed.catch(() => {});
+
+        this.output = fs.createWriteStream(zipFilePath);
+        this.archive = archiver('zip', { zlib: { level: 9 } });
+
+        this.closed = new Promise((resolve) => this.output.on('close', resolve));
+        this.output.on('error', (error) => this.fail(error));
+        this.archive.on('error', (error) => this.fail(error));
+        this.archive.pipe(this.output);
+
+        this.recordsStream = new PassThrough();
+        this.archive.append(this.createEntryStream('records.ndjson', this.recordsStream), { name: 'records.ndjson' });
+    }
+
+    // エントリの格納内容（暗号化後）のハッシュ値を計算しながら中継するストリーム
+    createEntryStream(name, source) {
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+        const manifestEntries = this.manifestEntries;
+
+        const hasher = new Transform({
+            transform(chunk, encoding, callback) {
+                hash.update(chunk);
+                size += chunk.length;
+                callback(null, chunk);
+            },
+        });
+
+        this.pendingEntries.push(
+            new Promise((resolve) => {
+                hasher.on('end', () => {
+                    manifestEntries[name] = { sha256: hash.digest('hex'), size };
+                    resolve();
+                });
+            })
+        );
+
+        const streams = this.archiveCrypto ? [source, this.archiveCrypto.createEncryptStream(), hasher] : [source, hasher];
+        return pipeline(...streams, (error) => {
+            if (error) {
+                this.fail(error);
+            }
+        });
+    }
+
+    // レコードの書き込み（1ページ分をまとめて書き込み、書き込み待ちが溜まったら待機）
+    async writeRecords(records) {
+        if (records.length === 0) {
+            return;
+        }
+
+        const lines = records.map((record) => JSON.stringify(record)).join('\n') + '\n';
+        this.originalSize += Buffer.byteLength(lines, 'utf8');
+        this.recordCount += records.length;
+
+        if (!this.recordsStream.write(lines)) {
+            await Promise.race([once(this.recordsStream, 'drain'), this.failed]);
+        }
+    }
+
+    // JSON エントリの追加
+    async addJsonEntry(name, value) {
+        const plain = Buffer.from(JSON.stringify(value, null, 2), 'utf8');
+        const data = this.archiveCrypto ? await this.archiveCrypto.encrypt(plain) : plain;
+
+        this.originalSize += plain.length;
+        this.manifestEntries[name] = { sha256: crypto.createHash('sha256').update(data).digest('hex'), size: data.length };
+        this.archive.append(data, { name });
+    }
+
+    // マニフェストを追加してZIPを完成（圧縮前のサイズを返す）
+    async finalize(counts = {}) {
+        this.recordsStream.end();
+        await Promise.race([Promise.all(this.pendingEntries), this.failed]);
+
+        // 整合性検証用のマニフェスト（パスフレーズなしでも検証できるよう暗号化しない）
+        const manifest = {
+            manifestVersion: 1,
+            algorithm: 'sha256',
+            recordCount: this.recordCount,
+            deletedRecordCount: counts.deletedRecordCount || 0,
+            attachmentCount: counts.attachmentCount || 0,
+            entries: this.manifestEntries,
+        };
+        this.archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+
+        this.archive.finalize();
+        await Promise.race([this.closed, this.failed]);
+
+        return this.originalSize;
+    }
+
+    // 書き込みの中止（作成途中のファイルは呼び出し側で削除）
+    abort() {
+        this.recordsStream.destroy();
+        this.archive.abort();
+        this.output.destroy();
+    }
+}
+
+BackupArchiveWriter.SCHEMA_VERSION = SCHEMA_VERSION;
+
+module.exports = BackupArchiveWriter;
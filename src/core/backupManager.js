@@ -1,12 +1,26 @@
-const archiver = require('archiver');
 const unzipper = require('unzipper');
+const crypto = require('crypto');
 const fs = require('fs-extra');
 const path = require('path');
-const { pipeline } = require('stream/promises');
-
+const { pipeline, Readable } = require('stream');
+const { StringDecoder } = require('string_decoder');
+
+const AppSettingsBackup = require('./appSettingsBackup');
+const ArchiveCrypto = require('./archiveCrypto');
+const AttachmentStore = require('./attachmentStore');
+const BackupArchiveWriter = require('./backupArchiveWriter');
+const FieldMapper = require('./fieldMapper');
+const ProcessFlow = require('./processFlow');
+const { diffRecord } = require('./recordDiff');
 const KintoneClient = require('./kintoneClient');
+const { StorageRegistry } = require('./storage');
+const RetentionPolicy = require('./retentionPolicy');
 const LogService = require('../services/logService');
 
+// 新しいアプリに自動で作成されるフィールド（フィールドコードの変更のみ可能なものを除き作成しない）
+const RENAMABLE_SYSTEM_FIELD_TYPES = ['RECORD_NUMBER', 'CREATOR', 'CREATED_TIME', 'MODIFIER', 'UPDATED_TIME'];
+const AUTO_CREATED_FIELD_TYPES = [...RENAMABLE_SYSTEM_FIELD_TYPES, 'STATUS', 'STATUS_ASSIGNEE', 'CATEGORY', '__ID__', '__REVISION__'];
+
 // kintone システムフィールド（復元時に除外）
 const SYSTEM_FIELDS = [
     'RECORD_NUMBER', // レコード番号
@@ -37,15 +51,119 @@ const READONLY_FIELD_TYPES = [
     'CATEGORY', // カテゴリ
 ];
 
+// 追加時に元の値を設定できるフィールドタイプ（作成者・作成日時・更新者・更新日時）
+const AUDIT_FIELD_TYPES = ['CREATOR', 'CREATED_TIME', 'MODIFIER', 'UPDATED_TIME'];
+const AUDIT_USER_FIELD_TYPES = ['CREATOR', 'MODIFIER'];
+
+// ステータスの一括更新で一度に処理するレコード数
+const STATUS_UPDATE_BATCH_SIZE = 100;
+
+// 参照のキーの検索で1回のクエリに指定する古いキーの数
+const REFERENCE_QUERY_KEY_LIMIT = 100;
+
+// 復元・プレビュー時に一度に処理するレコード数
+const RECORD_BATCH_SIZE = 500;
+
+// ドライランで変更内容を返すレコードの上限（件数は上限を超えても集計する）
+const DRY_RUN_RECORD_LIMIT = 1000;
+
+// 復元前のスナップショットのバックアップ種別・実行種別（保持ポリシー・復元チェーンの対象外）と、追加したレコードIDを格納するエントリ
+const SNAPSHOT_BACKUP_TYPE = '部分';
+const SNAPSHOT_TRIGGER_TYPE = '復元前';
+const SNAPSHOT_ENTRY_NAME = 'restore_snapshot.json';
+
+// レコードのコメントを格納するエントリ（コメントのあるレコードのみ、コメントは古い順）
+const COMMENTS_ENTRY_NAME = 'comments.json';
+
+// バックアップ後に編集されたレコード（競合）の扱い（方針 -> 復元結果に記録する対応）
+//   overwrite: 上書きする / skip: 更新しない / copy: 更新せず別のレコードとして追加する
+const CONFLICT_RESOLUTIONS = {
+    overwrite: 'overwritten',
+    skip: 'skipped',
+    copy: 'copied',
+};
+const CONFLICT_POLICY_LABELS = {
+    overwrite: '上書き',
+    skip: 'スキップ',
+    copy: '別レコードとして追加',
+};
+
+// 指定したリビジョンが最新でないために更新が拒否されたときの kintone のエラーコード
+const REVISION_MISMATCH_ERROR_CODE = 'GAIA_CO02';
+
+// 暗号化の判定に読み込む先頭バイト数
+const ENCRYPTION_HEADER_PEEK_SIZE = 8;
+
+/**
+ * チャンクを行単位に分割（空行は除く）
+ */
+async function* splitLines(chunks) {
+    const decoder = new StringDecoder('utf8');
+    let buffered = '';
+
+    for await (const chunk of chunks) {
+        buffered += decoder.write(chunk);
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        for (const line of lines) {
+            if (line.trim()) {
+                yield line;
+            }
+        }
+    }
+
+    buffered += decoder.end();
+    if (buffered.trim()) {
+        yield buffered;
+    }
+}
+
 class BackupManager {
     constructor(config, database, archivesDir, attachmentsDir, logDir) {
         this.config = config;
         this.db = database;
         this.archivesDir = archivesDir;
+        this.storage = new StorageRegistry(config.backup, archivesDir);
         this.attachmentsDir = attachmentsDir;
+        this.attachmentStore = new AttachmentStore(path.join(attachmentsDir, 'store'));
         this.kintoneClient = new KintoneClient(config.kintone);
         this.logger = new LogService(logDir);
+        this.appSettings = new AppSettingsBackup(this.kintoneClient, this.logger);
         this.currentBackupId = null;
+        // 暗号化パスフレーズ（保存していない場合は画面から都度入力）
+        this.passphrase = config.backup?.encryption?.passphrase || null;
+        this.archiveCrypto = null;
+    }
+
+    /**
+     * 画面で入力されたパスフレーズを使用
+     */
+    usePassphrase(passphrase) {
+        this.passphrase = passphrase;
+        this.archiveCrypto = null;
+    }
+
+    /**
+     * 暗号化・復号用のインスタンスを取得（パスフレーズがない場合はエラー）
+     */
+    getArchiveCrypto() {
+        if (!this.passphrase) {
+            throw ArchiveCrypto.passphraseRequiredError();
+        }
+        if (!this.archiveCrypto) {
+            this.archiveCrypto = new ArchiveCrypto(this.passphrase);
+        }
+        return this.archiveCrypto;
+    }
+
+    /**
+     * 暗号化されていれば復号（暗号化されていない旧形式はそのまま返す）
+     */
+    async decryptIfNeeded(data) {
+        if (!ArchiveCrypto.isEncrypted(data)) {
+            return data;
+        }
+        return await this.getArchiveCrypto().decrypt(data);
     }
 
     /**
@@ -81,14 +199,22 @@ class BackupManager {
     async runScheduledBackup() {
         const results = [];
         const apps = this.db.getAllApps(true); // アクティブなアプリのみ取得
+        const runId = new Date().toISOString();
 
         this.logger.info(`Scheduled backup started for ${apps.length} apps`);
 
+        const retentionEnabled = !!(this.config.retention && this.config.retention.enabled);
+
         for (const app of apps) {
             try {
+                // 保持ポリシーが有効な場合は一定間隔で全体バックアップを取得し、古い差分チェーンを削除できるようにする
+                const lastBackup = this.db.getLastBackupDatetime(app.app_id);
+                const fullBackupDue = retentionEnabled && this.getRetentionPolicy(app.app_id).isFullBackupDue(lastBackup?.last_full_backup_datetime);
+
                 const result = await this.backupApp(app.app_id, {
-                    backupType: 'differential',
+                    backupType: fullBackupDue ? 'full' : 'differential',
                     triggerType: 'スケジュール',
+                    runId,
                 });
                 results.push(result);
             } catch (error) {
@@ -102,9 +228,65 @@ class BackupManager {
             }
         }
 
+        // 保持ポリシーに従って古いバックアップを削除
+        if (retentionEnabled) {
+            for (const app of apps) {
+                try {
+                    await this.pruneBackups(app.app_id);
+                } catch (error) {
+                    this.logger.error(`Failed to prune backups for app ${app.app_id}:`, error);
+                }
+            }
+        }
+
+        // 前回の全バックアップの検証から一定期間が経過していれば全バックアップを検証
+        const verification = this.config.verification || {};
+        if (verification.enabled) {
+            const lastVerifiedAt = this.db.getLastVerificationRunAt();
+            const intervalMs = (verification.intervalDays || 7) * 24 * 60 * 60 * 1000;
+            if (!lastVerifiedAt || Date.now() - new Date(lastVerifiedAt).getTime() >= intervalMs) {
+                try {
+                    await this.verifyAllBackups();
+                } catch (error) {
+                    this.logger.error('Failed to verify backups:', error);
+                }
+            }
+        }
+
         return results;
     }
 
+    /**
+     * アプリの保持ポリシーを取得（アプリ個別の設定 > 共通設定 > 既定値）
+     */
+    getRetentionPolicy(appId) {
+        const retention = this.config.retention || {};
+        return new RetentionPolicy({ ...(retention.default || {}), ...((retention.apps || {})[appId] || {}) });
+    }
+
+    /**
+     * 保持ポリシーに従って古いバックアップと復元前のスナップショットを削除
+     */
+    async pruneBackups(appId) {
+        const history = this.db.getBackupHistory({ app_id: appId, status: '成功' });
+        const backups = history.filter((backup) => backup.backup_type === '全体' || backup.backup_type === '差分');
+        const snapshots = history.filter((backup) => backup.backup_type === SNAPSHOT_BACKUP_TYPE && backup.trigger_type === SNAPSHOT_TRIGGER_TYPE);
+
+        const policy = this.getRetentionPolicy(appId);
+        const toPrune = [...policy.selectBackupsToPrune(backups), ...policy.selectSnapshotsToPrune(snapshots)];
+
+        const removed = [];
+        for (const backup of toPrune) {
+            await this.deleteBackup(backup.id);
+            this.logger.info(`Pruned backup ${backup.id}: [${backup.backup_type}] ${backup.app_name} (${appId}) ${backup.start_time} ${backup.file_path || ''}`);
+            removed.push({ id: backup.id, backupType: backup.backup_type, startTime: backup.start_time, filePath: backup.file_path });
+        }
+
+        this.logger.info(`Retention pruning for app ${appId}: removed ${removed.length} of ${backups.length + snapshots.length} backups`);
+
+        return removed;
+    }
+
     /**
      * アプリのバックアップ実行
      */
@@ -112,6 +294,7 @@ class BackupManager {
         const {
             backupType = 'full', // 'full' or 'differential'
             triggerType = '手動',
+            runId = null, // スケジュール実行の識別子（複数アプリの一括復元で同じ実行のバックアップをまとめる）
             hostname = '',
             appVersion = '',
         } = options;
@@ -129,9 +312,13 @@ class BackupManager {
             status: '実行中',
             hostname,
             app_version: appVersion,
+            run_id: runId,
         });
 
         try {
+            // 暗号化が有効な場合はレコード取得前にパスフレーズを確認
+            const archiveCrypto = this.config.backup?.encryption?.enabled ? this.getArchiveCrypto() : null;
+
             // アプリ情報の取得
             const appInfo = await this.kintoneClient.getApp(appId);
             const appName = appInfo.name;
@@ -141,24 +328,108 @@ class BackupManager {
             // バックアップ名を更新
             this.db.updateBackup(this.currentBackupId, { app_name: appName });
 
-            // レコードの取得
-            let records;
+            // 作業フォルダに作成してから保存先へ移動・アップロード
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-').replace('T', '_').substring(0, 19);
+            const zipFileName = `app_${appId}_${timestamp}_${backupType}.zip`;
+            const zipFilePath = path.join(this.archivesDir, '.staging', zipFileName);
+
+            // レコードの取得（全体はカーソル API、差分はリビジョンが変わったレコードのみID指定でページ単位）
+            let pages;
             let diffBaseDatetime = null;
+            let deletedRecords = [];
+            let unchangedRecords = [];
 
             if (backupType === 'differential') {
                 const lastBackup = this.db.getLastBackupDatetime(appId);
                 if (lastBackup && lastBackup.last_backup_datetime) {
                     diffBaseDatetime = lastBackup.last_backup_datetime;
-                    records = await this.kintoneClient.getDifferentialRecords(appId, diffBaseDatetime);
+                    const changes = await this.detectRecordChanges(appId, startTime);
+                    deletedRecords = changes.deletedRecords;
+                    unchangedRecords = changes.unchangedRecords;
+                    pages = this.kintoneClient.iterateRecordsByIds(appId, changes.changedRecordIds);
                 } else {
                     // 差分バックアップ指定でも初回は全体バックアップ
-                    records = await this.kintoneClient.getAllRecords(appId);
+                    pages = this.kintoneClient.iterateRecordsByCursor(appId);
                 }
             } else {
-                records = await this.kintoneClient.getAllRecords(appId);
+                pages = this.kintoneClient.iterateRecordsByCursor(appId);
+            }
+
+            // 取得したページから順にZIPへ書き込み（レコードがある場合のみZIPを作成）
+            let writer = null;
+            const openWriter = async () => {
+                if (!writer) {
+                    await fs.ensureDir(path.dirname(zipFilePath));
+                    writer = new BackupArchiveWriter(zipFilePath, archiveCrypto);
+                }
+                return writer;
+            };
+
+            const attachments = [];
+            const comments = [];
+            const includeComments = (this.config.backup?.comments?.appIds || []).map(String).includes(String(appId));
+            let settingsFiles = [];
+            const indexEntries = [];
+            const commentIndexEntries = []; // コメントのみ変更されたレコードの最新のコメントID
+            const updatedTimeFieldCode = await this.kintoneClient.getUpdatedTimeFieldCode(appId);
+            let originalSize;
+
+            try {
+                for await (const page of pages) {
+                    await (await openWriter()).writeRecords(page);
+
+                    // 添付ファイルの保存（保存済みの内容は再ダウンロードしない）
+                    attachments.push(...(await this.downloadAttachments(this.currentBackupId, appId, page, archiveCrypto)));
+
+                    // コメントの取得（レコードごとに API を呼び出すため設定で選択したアプリのみ）
+                    const lastCommentIds = new Map();
+                    if (includeComments) {
+                        for (const entry of await this.fetchRecordComments(appId, page.map((record) => String(record.$id.value)))) {
+                            lastCommentIds.set(entry.recordId, entry.lastCommentId);
+                            if (entry.comments.length > 0) {
+                                comments.push({ recordId: entry.recordId, comments: entry.comments });
+                            }
+                        }
+                    }
+
+                    // レコードインデックスはバックアップ成功後に更新するためIDとリビジョン・最新のコメントIDのみ保持
+                    for (const record of page) {
+                        indexEntries.push({
+                            recordId: String(record.$id.value),
+                            revision: Number(record.$revision.value),
+                            updatedTime: record[updatedTimeFieldCode]?.value || startTime,
+                            lastCommentId: lastCommentIds.get(String(record.$id.value)),
+                        });
+                    }
+                }
+
+                // 編集されていないレコードのコメント（コメントの追加・削除ではリビジョンが変わらないため、最新のコメントIDを前回と比べる）
+                if (includeComments && unchangedRecords.length > 0) {
+                    const recordIds = await this.findRecordsWithChangedComments(appId, unchangedRecords);
+                    for (const entry of await this.fetchRecordComments(appId, recordIds)) {
+                        commentIndexEntries.push({ recordId: entry.recordId, lastCommentId: entry.lastCommentId });
+                        comments.push({ recordId: entry.recordId, comments: entry.comments });
+                    }
+                }
+
+                if (writer || deletedRecords.length > 0 || commentIndexEntries.length > 0) {
+                    if (comments.length > 0) {
+                        await (await openWriter()).addJsonEntry(COMMENTS_ENTRY_NAME, comments);
+                    }
+                    settingsFiles = await this.addAppSettings(appId, await openWriter(), archiveCrypto);
+                    originalSize = await this.completeBackupZip(appId, writer, deletedRecords, attachments);
+                }
+            } catch (error) {
+                if (writer) {
+                    writer.abort();
+                    await fs.remove(zipFilePath);
+                }
+                throw error;
             }
 
-            if (records.length === 0) {
+            const recordCount = indexEntries.length;
+
+            if (!writer) {
                 // レコードがない場合
                 const endTime = new Date().toISOString();
                 const duration = (Date.now() - startTimestamp) / 1000;
@@ -184,24 +455,21 @@ class BackupManager {
                 };
             }
 
-            // ZIPファイルの作成
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-').replace('T', '_').substring(0, 19);
-            const zipFileName = `app_${appId}_${timestamp}_${backupType}.zip`;
-            const zipFilePath = path.join(this.archivesDir, zipFileName);
-
-            const originalSize = await this.createBackupZip(appId, records, zipFilePath);
-
-            // 添付ファイルのダウンロード
-            await this.downloadAttachments(appId, records, timestamp);
-
             // 圧縮率の計算
             const compressedSize = (await fs.stat(zipFilePath)).size;
-            const compressionRatio = ((1 - compressedSize / originalSize) * 100).toFixed(2);
 
-            // レコードインデックスの更新（差分バックアップ用）
-            for (const record of records) {
-                const updatedTime = record.$revision?.value || record.更新日時?.value || startTime;
-                this.db.upsertRecordIndex(appId, record.$id.value, updatedTime, this.currentBackupId);
+            // 保存先（ローカル・共有フォルダ・S3 互換ストレージ）へ保存
+            const archiveLocation = await this.storage.getActiveTarget().put(zipFileName, zipFilePath);
+            const compressionRatio = originalSize > 0 ? ((1 - compressedSize / originalSize) * 100).toFixed(2) : '0';
+
+            // レコードインデックスとリビジョン履歴の更新（差分バックアップ用）
+            this.db.saveRecordRevisions(appId, indexEntries, this.currentBackupId);
+            this.db.saveLastCommentIds(appId, commentIndexEntries);
+
+            // 削除レコードの記録
+            if (deletedRecords.length > 0) {
+                this.db.insertTombstones(appId, deletedRecords, this.currentBackupId);
+                this.logger.info(`Detected ${deletedRecords.length} deleted records for app ${appId}`);
             }
 
             // バックアップ履歴の更新
@@ -211,29 +479,31 @@ class BackupManager {
             this.db.updateBackup(this.currentBackupId, {
                 end_time: endTime,
                 duration_seconds: duration,
-                record_count: records.length,
-                file_path: zipFileName,
+                record_count: recordCount,
+                file_path: archiveLocation,
                 data_size_mb: (compressedSize / (1024 * 1024)).toFixed(2),
                 compression_ratio: parseFloat(compressionRatio),
                 status: '成功',
                 api_request_count: this.kintoneClient.getStats().apiRequestCount,
                 retry_count: this.kintoneClient.getStats().retryCount,
                 diff_base_datetime: diffBaseDatetime,
+                encrypted: archiveCrypto ? 1 : 0,
             });
 
-            // アプリの最終バックアップ日時を更新
-            this.db.updateAppLastBackup(appId, endTime, backupType === 'full');
+            // アプリの最終バックアップ日時を更新（実行中に更新されたレコードを次回の差分に含めるため開始時刻を記録）
+            // 基準日時のない初回の差分は全件を取得するため全体バックアップとして扱う
+            this.db.updateAppLastBackup(appId, startTime, backupType === 'full' || !diffBaseDatetime);
 
             // kintoneバックアップ記録アプリにログ
             await this.logToKintoneBackupApp({
                 backup_datetime: startTime,
                 target_app_id: appId,
                 target_app_name: appName,
-                record_count: records.length,
+                record_count: recordCount,
                 status: '成功',
                 duration_seconds: duration,
                 backup_type: backupType === 'full' ? '全体' : '差分',
-                file_path: zipFileName,
+                file_path: archiveLocation,
                 trigger_type: triggerType,
                 diff_base_datetime: diffBaseDatetime || '',
                 data_size_mb: parseFloat((compressedSize / (1024 * 1024)).toFixed(2)),
@@ -244,14 +514,14 @@ class BackupManager {
                 app_version: appVersion,
             });
 
-            this.logger.logBackupSuccess(appId, appName, records.length, duration);
+            this.logger.logBackupSuccess(appId, appName, recordCount, duration);
 
             return {
                 appId,
                 appName,
                 success: true,
-                recordCount: records.length,
-                filePath: zipFilePath,
+                recordCount: recordCount,
+                filePath: archiveLocation,
                 duration,
             };
         } catch (error) {
@@ -268,6 +538,9 @@ class BackupManager {
                 retry_count: this.kintoneClient.getStats().retryCount,
             });
 
+            // 失敗したバックアップの添付ファイル参照を解放（他から参照されないファイルは削除）
+            this.releaseAttachmentRefs(this.currentBackupId);
+
             this.logger.logBackupFailure(appId, '', error);
 
             throw error;
@@ -278,83 +551,191 @@ class BackupManager {
     }
 
     /**
-     * バックアップZIPの作成（ストリーミング）
+     * 変更レコードの検出（現在の $id / $revision をレコードインデックスと比較）
+     * 更新日時が変わらない変更（プロセス管理のステータス変更など）も検出する
+     * 変更のないレコードは、コメントの変更を確認できるよう前回の最新のコメントIDとともに返す
      */
-    async createBackupZip(appId, records, zipFilePath) {
-        return new Promise(async (resolve, reject) => {
-            const output = fs.createWriteStream(zipFilePath);
-            const archive = archiver('zip', { zlib: { level: 9 } });
+    async detectRecordChanges(appId, detectedAt) {
+        const indexed = new Map(this.db.getIndexedRecords(appId).map((row) => [String(row.record_id), row]));
+        const changedRecordIds = [];
+        const unchangedRecords = [];
+
+        for await (const page of this.kintoneClient.iterateRecordsByCursor(appId, { fields: ['$id', '$revision'] })) {
+            for (const record of page) {
+                const recordId = String(record.$id.value);
+                const row = indexed.get(recordId);
+                if (!row || row.revision === null || Number(row.revision) !== Number(record.$revision.value)) {
+                    changedRecordIds.push(recordId);
+                } else {
+                    unchangedRecords.push({ recordId, lastCommentId: row.last_comment_id });
+                }
+                indexed.delete(recordId);
+            }
+        }
 
-            let originalSize = 0;
+        // インデックスに残ったレコードは削除済み
+        const deletedRecords = Array.from(indexed.values(), (row) => ({
+            recordId: String(row.record_id),
+            lastBackupId: row.last_backup_id,
+            detectedAt,
+        }));
 
-            output.on('close', () => {
-                resolve(originalSize);
-            });
+        return { changedRecordIds, unchangedRecords, deletedRecords };
+    }
 
-            archive.on('error', (err) => {
-                reject(err);
-            });
+    /**
+     * アプリ設定の追加（カスタマイズファイルは添付ファイルと同じく内容のハッシュ値で保存し、参照を返す）
+     */
+    async addAppSettings(appId, writer, archiveCrypto) {
+        const files = [];
+        const settings = await this.appSettings.collect(appId, async (file) => {
+            const ref = {
+                recordId: '',
+                fieldCode: 'customize',
+                fileKey: file.fileKey,
+                name: file.name,
+                contentType: file.contentType,
+                size: Number(file.size) || 0,
+            };
+            const { hash } = await this.storeAttachment(this.currentBackupId, appId, ref, archiveCrypto, () => this.kintoneClient.downloadFile(file.fileKey));
 
-            archive.pipe(output);
+            files.push({ ...ref, hash });
+            return hash;
+        });
 
-            // レコードデータをJSONとして追加
-            const recordsJson = JSON.stringify(records, null, 2);
-            originalSize = Buffer.byteLength(recordsJson, 'utf8');
-            archive.append(recordsJson, { name: 'records.json' });
+        await writer.addJsonEntry('app_settings.json', settings);
+        return files;
+    }
 
-            // フィールド情報の取得
-            let fieldProperties = null;
-            try {
-                fieldProperties = await this.kintoneClient.getFormFields(appId);
-            } catch (error) {
-                this.logger.error(`Failed to get field properties for app ${appId}:`, error);
-                // フィールド情報取得失敗時は null のまま継続
-            }
+    /**
+     * 削除レコード・添付ファイル一覧・メタデータを追加してZIPを完成（圧縮前のサイズを返す）
+     */
+    async completeBackupZip(appId, writer, deletedRecords, attachments, client = this.kintoneClient) {
+        // 削除レコード（トゥームストーン）の追加
+        if (deletedRecords.length > 0) {
+            await writer.addJsonEntry('deleted_records.json', deletedRecords);
+        }
 
-            // メタデータの追加（フィールド情報を含める）
-            const metadata = {
-                schemaVersion: '1.0.0',
-                appId,
-                recordCount: records.length,
-                backupDate: new Date().toISOString(),
-                version: '1.0',
-                fieldProperties: fieldProperties,
-            };
-            archive.append(JSON.stringify(metadata, null, 2), { name: 'backup_metadata.json' });
+        // 添付ファイル一覧の追加（本体は attachments/store にハッシュ値で保存）
+        if (attachments.length > 0) {
+            await writer.addJsonEntry('attachments.json', attachments);
+        }
+
+        // フィールド情報の取得
+        let fieldProperties = null;
+        try {
+            fieldProperties = await client.getFormFields(appId);
+        } catch (error) {
+            this.logger.error(`Failed to get field properties for app ${appId}:`, error);
+            // フィールド情報取得失敗時は null のまま継続
+        }
 
-            archive.finalize();
+        // メタデータの追加（フィールド情報を含める）
+        await writer.addJsonEntry('backup_metadata.json', {
+            schemaVersion: BackupArchiveWriter.SCHEMA_VERSION,
+            recordFormat: 'ndjson',
+            appId,
+            recordCount: writer.recordCount,
+            deletedRecordCount: deletedRecords.length,
+            attachmentCount: attachments.length,
+            backupDate: new Date().toISOString(),
+            version: '1.0',
+            fieldProperties: fieldProperties,
         });
+
+        return await writer.finalize({ deletedRecordCount: deletedRecords.length, attachmentCount: attachments.length });
+    }
+
+    // レコードのコメントと最新のコメントID（コメントがない場合は空文字）を取得
+    async fetchRecordComments(appId, recordIds) {
+        const entries = [];
+        for (const recordId of recordIds) {
+            const recordComments = await this.kintoneClient.getAllRecordComments(appId, recordId);
+            entries.push({
+                recordId,
+                comments: recordComments.map(({ id, text, createdAt, creator, mentions }) => ({ id: String(id), text, createdAt, creator, mentions })),
+                lastCommentId: recordComments.length > 0 ? String(recordComments[recordComments.length - 1].id) : '',
+            });
+        }
+        return entries;
+    }
+
+    // 最新のコメントIDが前回のバックアップと異なるレコード（前回コメントを取得していないレコードを含む）
+    // 最新以外のコメントの削除は検出できない
+    async findRecordsWithChangedComments(appId, records) {
+        const recordIds = [];
+        for (const { recordId, lastCommentId } of records) {
+            if ((await this.kintoneClient.getLatestRecordCommentId(appId, recordId)) !== lastCommentId) {
+                recordIds.push(recordId);
+            }
+        }
+        return recordIds;
     }
 
     /**
-     * 添付ファイルのダウンロード
+     * 添付ファイルをストアに保存して参照を記録
+     * 同じ fileKey を同じパスフレーズ（または暗号化なし）で保存済みの場合はダウンロードせず既存の内容を参照する
+     * 削除中の他のバックアップに消されないよう、ファイルを保存・再利用する前に参照を記録する
      */
-    async downloadAttachments(appId, records, timestamp) {
-        const attachmentFields = this.findAttachmentFields(records);
+    async storeAttachment(backupId, appId, ref, archiveCrypto, download) {
+        const storedHash = this.db.findAttachmentHash(appId, ref.fileKey);
+        let hash;
+        try {
+            if (storedHash) {
+                hash = await this.attachmentStore.idFor(AttachmentStore.contentHash(storedHash), archiveCrypto);
+                this.db.insertAttachmentRefs(backupId, appId, [{ ...ref, hash }]);
+                if (await this.attachmentStore.has(hash)) {
+                    return { hash, size: ref.size, reused: true };
+                }
+            }
 
-        if (attachmentFields.length === 0) {
-            return;
+            const data = Buffer.from(await download());
+            hash = await this.attachmentStore.idFor(AttachmentStore.hash(data), archiveCrypto);
+            this.db.insertAttachmentRefs(backupId, appId, [{ ...ref, size: data.length, hash }]);
+            await this.attachmentStore.put(data, archiveCrypto);
+            return { hash, size: data.length, reused: false };
+        } catch (error) {
+            this.db.deleteAttachmentRef(backupId, ref.fileKey);
+            throw error;
         }
+    }
+
+    // バックアップの添付ファイル参照を解放し、どこからも参照されなくなったファイルを削除
+    releaseAttachmentRefs(backupId) {
+        return this.db.releaseAttachmentRefs(backupId, (hash) => this.attachmentStore.removeSync(hash));
+    }
+
+    /**
+     * 添付ファイルのダウンロード（サブテーブル内の添付ファイルを含む）
+     * 同じ fileKey を保存済みの場合はダウンロードせず既存の内容を参照する
+     */
+    async downloadAttachments(backupId, appId, records, archiveCrypto = null, client = this.kintoneClient) {
+        const attachments = [];
+        let reusedCount = 0;
 
         for (const record of records) {
             const recordId = record.$id.value;
 
-            for (const fieldCode of attachmentFields) {
-                const field = record[fieldCode];
-                if (!field || !field.value || field.value.length === 0) {
-                    continue;
-                }
-
-                for (const file of field.value) {
+            for (const { fieldCode, files } of this.findAttachmentFields(record)) {
+                for (const file of files) {
                     try {
-                        const fileData = await this.kintoneClient.downloadFile(file.fileKey);
-                        const fileName = file.name;
-                        const filePath = path.join(this.attachmentsDir, appId, recordId, timestamp, fileName);
-
-                        await fs.ensureDir(path.dirname(filePath));
-                        await fs.writeFile(filePath, fileData);
-
-                        this.logger.info(`Downloaded attachment: ${fileName} for record ${recordId}`);
+                        const ref = {
+                            recordId,
+                            fieldCode,
+                            fileKey: file.fileKey,
+                            name: file.name,
+                            contentType: file.contentType,
+                            size: Number(file.size) || 0,
+                        };
+                        const { hash, size, reused } = await this.storeAttachment(backupId, appId, ref, archiveCrypto, () => client.downloadFile(file.fileKey));
+
+                        if (reused) {
+                            reusedCount++;
+                        } else {
+                            this.logger.info(`Downloaded attachment: ${file.name} for record ${recordId}`);
+                        }
+
+                        attachments.push({ ...ref, size, hash });
                     } catch (error) {
                         this.logger.error(`Failed to download attachment for record ${recordId}:`, error);
                         // 添付ファイルのダウンロード失敗は処理を継続
@@ -362,22 +743,35 @@ class BackupManager {
                 }
             }
         }
+
+        if (reusedCount > 0) {
+            this.logger.info(`Reused ${reusedCount} stored attachments for app ${appId}`);
+        }
+
+        return attachments;
     }
 
     /**
-     * レコードから添付ファイルフィールドを検出
+     * レコードから添付ファイルフィールドを検出（サブテーブル内は「テーブル.フィールド」形式）
      */
-    findAttachmentFields(records) {
-        if (records.length === 0) {
-            return [];
-        }
-
+    findAttachmentFields(record) {
         const attachmentFields = [];
-        const firstRecord = records[0];
 
-        for (const [fieldCode, field] of Object.entries(firstRecord)) {
-            if (field.type === 'FILE') {
-                attachmentFields.push(fieldCode);
+        for (const [fieldCode, field] of Object.entries(record)) {
+            if (!field) {
+                continue;
+            }
+
+            if (field.type === 'FILE' && Array.isArray(field.value) && field.value.length > 0) {
+                attachmentFields.push({ fieldCode, files: field.value });
+            } else if (field.type === 'SUBTABLE' && Array.isArray(field.value)) {
+                for (const row of field.value) {
+                    for (const [cellCode, cell] of Object.entries(row.value || {})) {
+                        if (cell && cell.type === 'FILE' && Array.isArray(cell.value) && cell.value.length > 0) {
+                            attachmentFields.push({ fieldCode: `${fieldCode}.${cellCode}`, files: cell.value });
+                        }
+                    }
+                }
             }
         }
 
@@ -385,130 +779,205 @@ class BackupManager {
     }
 
     /**
-     * バックアップの復元
+     * レコードの添付ファイルフィールドを差し替えた新しいレコードを生成（サブテーブル内を含む）
      */
-    async restoreBackup(backupId, options = {}) {
-        const { selectedRecordIds = null, hostname = '', appVersion = '' } = options;
+    async replaceAttachmentFields(record, replacer) {
+        const replaced = { ...record };
 
-        const backup = this.db.getBackupById(backupId);
-        if (!backup) {
-            throw new Error('バックアップが見つかりません');
+        for (const [fieldCode, field] of Object.entries(record)) {
+            if (!field) {
+                continue;
+            }
+
+            if (field.type === 'FILE') {
+                replaced[fieldCode] = { ...field, value: await replacer(fieldCode, field.value || []) };
+            } else if (field.type === 'SUBTABLE' && Array.isArray(field.value)) {
+                const rows = [];
+                for (const row of field.value) {
+                    const rowValue = { ...row.value };
+                    for (const [cellCode, cell] of Object.entries(row.value || {})) {
+                        if (cell && cell.type === 'FILE') {
+                            rowValue[cellCode] = { ...cell, value: await replacer(`${fieldCode}.${cellCode}`, cell.value || []) };
+                        }
+                    }
+                    rows.push({ ...row, value: rowValue });
+                }
+                replaced[fieldCode] = { ...field, value: rows };
+            }
         }
 
-        const startTime = new Date().toISOString();
-        const startTimestamp = Date.now();
+        return replaced;
+    }
 
-        this.logger.logRestoreStart(backup.app_id, backup.app_name, selectedRecordIds?.length || 0);
+    /**
+     * 復元対象レコードの添付ファイルを再アップロードし、新しい fileKey に差し替え
+     */
+    async prepareAttachmentsForRestore(client, resolver, originalRecords, cleanedRecords) {
+        const preparedRecords = [];
+        const missingFiles = [];
+        let uploadedFileCount = 0;
+
+        for (let i = 0; i < cleanedRecords.length; i++) {
+            const recordId = String(originalRecords[i].$id?.value || '');
+
+            const prepared = await this.replaceAttachmentFields(cleanedRecords[i], async (fieldCode, files) => {
+                const uploaded = [];
+                for (const file of files) {
+                    const data = await resolver.read(recordId, file);
+                    if (!data) {
+                        missingFiles.push({ recordId, fieldCode, fileName: file.name });
+                        continue;
+                    }
 
-        try {
-            // ZIPファイルの展開
-            const zipFilePath = path.join(this.archivesDir, backup.file_path);
-            const records = await this.extractBackupZip(zipFilePath);
+                    const fileKey = await client.uploadFile(file.name, data);
+                    uploaded.push({ fileKey });
+                    uploadedFileCount++;
+                }
+                return uploaded;
+            });
 
-            // 特定レコードのみ復元する場合
-            let recordsToRestore = records;
-            if (selectedRecordIds && selectedRecordIds.length > 0) {
-                recordsToRestore = records.filter((record) => selectedRecordIds.includes(record.$id.value));
-            }
+            preparedRecords.push(prepared);
+        }
 
-            if (recordsToRestore.length === 0) {
-                throw new Error('復元するレコードがありません');
+        return { records: preparedRecords, missingFiles, uploadedFileCount };
+    }
+
+    /**
+     * 添付ファイルの読み込み元を解決（添付ファイルストア → バックアップZIP内 → 旧形式のローカルフォルダの順）
+     */
+    async createAttachmentResolver(appId, archiveLocations) {
+        const archivedFiles = new Map();
+        for (const location of archiveLocations) {
+            const attachmentIndex = (await this.readJsonFromZip(location, 'attachments.json')) || [];
+            for (const attachment of attachmentIndex) {
+                archivedFiles.set(attachment.fileKey, { location, entry: attachment.entry, hash: attachment.hash });
             }
+        }
 
-            // システムフィールドを除外してクリーンアップ
-            const cleanedRecords = recordsToRestore.map((record) => this.cleanRecordForRestore(record));
+        const directories = new Map();
+
+        return {
+            read: async (recordId, file) => {
+                const archived = archivedFiles.get(file.fileKey);
+
+                const hash = archived?.hash || this.db.findAttachmentHash(String(appId), file.fileKey);
+                if (hash) {
+                    const data = await this.attachmentStore.read(hash);
+                    if (data) {
+                        try {
+                            return await this.decryptIfNeeded(data);
+                        } catch (error) {
+                            // アーカイブに記録のない添付ファイルは別のパスフレーズで保存した内容を参照する場合がある
+                            if (!ArchiveCrypto.isPassphraseError(error)) {
+                                throw error;
+                            }
+                            this.logger.warn(`Stored attachment ${hash} cannot be decrypted with the current passphrase: ${file.name} for record ${recordId}`);
+                        }
+                    }
+                }
+
+                // ZIPに添付ファイルを同梱していた形式
+                if (archived && archived.entry) {
+                    if (!directories.has(archived.location)) {
+                        directories.set(archived.location, await this.storage.openZip(archived.location));
+                    }
+                    const entry = directories.get(archived.location).files.find((f) => f.path === archived.entry);
+                    if (entry) {
+                        return await entry.buffer();
+                    }
+                }
+
+                // 添付ファイルを同梱していない旧形式のバックアップは attachments/<appId>/<recordId>/<timestamp>/ から新しい順に探す
+                const recordDir = path.join(this.attachmentsDir, String(appId), recordId);
+                if (await fs.pathExists(recordDir)) {
+                    const timestamps = (await fs.readdir(recordDir)).sort().reverse();
+                    for (const timestamp of timestamps) {
+                        const filePath = path.join(recordDir, timestamp, file.name);
+                        if (await fs.pathExists(filePath)) {
+                            return await fs.readFile(filePath);
+                        }
+                    }
+                }
 
-            // 元レコードから「レコード番号的な値」を抽出
-            const recordNumberList = recordsToRestore.map((record) => {
-                if (record.$id && record.$id.value) return String(record.$id.value);
-                if (record['レコード番号'] && record['レコード番号'].value) return String(record['レコード番号'].value);
                 return null;
-            });
+            },
+        };
+    }
+
+    /**
+     * バックアップの復元
+     */
+    async restoreBackup(backupId, options = {}) {
+        const backup = this.db.getBackupById(backupId);
+        if (!backup) {
+            throw new Error('バックアップが見つかりません');
+        }
 
-            // 一意な検索キー（null を除去）
-            const uniqueRecordNumbers = Array.from(new Set(recordNumberList.filter((v) => v !== null)));
+        return await this.restoreRecords(options.target?.appId || backup.app_id, backup.app_name, options, {
+            sourceAppId: backup.app_id,
+            iterateRecords: () => this.readRecordBatches(backup.file_path),
+            archiveLocations: [backup.file_path],
+            filePath: backup.file_path,
+            remarks: `バックアップID: ${backupId}からの復元`,
+        });
+    }
 
-            // レコード番号 -> kintone レコードID のマッピングを取得
-            let mapping = {};
-            if (uniqueRecordNumbers.length > 0) {
-                try {
-                    mapping = await this.kintoneClient.findRecordIdsByRecordNumbers(backup.app_id, uniqueRecordNumbers);
-                    console.log('RecordNumber -> kintoneId mapping:', JSON.stringify(mapping, null, 2));
-                    this.logger.info(`Found mapping keys: ${Object.keys(mapping).length}`);
-                } catch (err) {
-                    this.logger.error('findRecordIdsByRecordNumbers failed:', err);
-                    console.error('Mapping error:', err);
-                    mapping = {};
-                }
-            }
+    /**
+     * バックアップに含まれるアプリ設定の一覧（反映する設定の選択用）
+     */
+    async getAppSettingsFromBackup(backupId) {
+        const backup = this.db.getBackupById(backupId);
+        if (!backup) {
+            throw new Error('バックアップが見つかりません');
+        }
 
-            // 更新対象と追加対象に振り分け
-            const updates = [];
-            const adds = [];
+        const settings = await this.readJsonFromZip(backup.file_path, 'app_settings.json');
+        if (!settings) {
+            return null;
+        }
 
-            for (let i = 0; i < cleanedRecords.length; i++) {
-                const rec = cleanedRecords[i];
-                const num = recordNumberList[i];
-                const mappedId = num != null ? mapping[String(num)] : undefined;
+        return { capturedAt: settings.capturedAt, sections: AppSettingsBackup.listSections(settings) };
+    }
 
-                if (mappedId) {
-                    updates.push({ id: String(mappedId), record: rec });
-                } else {
-                    adds.push(rec);
-                }
-            }
+    /**
+     * バックアップからアプリ設定を復元（テスト環境に反映して運用環境へデプロイ）
+     */
+    async restoreAppSettings(backupId, options = {}) {
+        const { sections = null, hostname = '', appVersion = '' } = options;
 
-            console.log(`Prepared updates: ${updates.length}, adds: ${adds.length}`);
-            this.logger.info(`Prepared updates: ${updates.length}, adds: ${adds.length}`);
+        const backup = this.db.getBackupById(backupId);
+        if (!backup) {
+            throw new Error('バックアップが見つかりません');
+        }
 
-            // 実際の API 呼び出し
-            let updatedCount = 0;
-            let addedCount = 0;
-            let updateFailed = false;
-            let addFailed = false;
+        const startTime = new Date().toISOString();
+        const startTimestamp = Date.now();
 
-            if (updates.length > 0) {
-                try {
-                    await this.kintoneClient.updateAllRecords(backup.app_id, updates);
-                    updatedCount = updates.length;
-                } catch (err) {
-                    updateFailed = true;
-                    this.logger.error('Failed to update records during restore:', err);
-                    console.error('Update error:', err);
-                }
-            }
+        this.logger.info(`App settings restore started: ${backup.app_name} (${backup.app_id})`, { backupId, sections });
 
-            if (adds.length > 0) {
-                try {
-                    const res = await this.kintoneClient.addAllRecords(backup.app_id, adds);
-                    addedCount = Array.isArray(res) ? res.length : adds.length;
-                } catch (err) {
-                    addFailed = true;
-                    this.logger.error('Failed to add records during restore:', err);
-                    console.error('Add error:', err);
-                }
+        try {
+            const settings = await this.readJsonFromZip(backup.file_path, 'app_settings.json');
+            if (!settings) {
+                throw new Error('このバックアップにはアプリ設定が含まれていません');
             }
 
-            // ステータス判定
-            let status = '成功';
-            if ((updateFailed || addFailed) && (addedCount > 0 || updatedCount > 0)) {
-                status = '部分成功';
-            } else if (updateFailed && addFailed) {
-                status = '失敗';
-            }
+            const results = await this.appSettings.deploy(backup.app_id, settings, {
+                sections,
+                readFile: async (file) => {
+                    const data = await this.attachmentStore.read(file.hash);
+                    return data ? await this.decryptIfNeeded(data) : null;
+                },
+            });
 
-            const endTime = new Date().toISOString();
             const duration = (Date.now() - startTimestamp) / 1000;
 
-            const remarks = `バックアップID: ${backupId}からの復元 (追加:${addedCount}, 更新:${updatedCount})`;
-
             // 復元ログをバックアップ記録アプリに保存
             await this.logToKintoneBackupApp({
                 backup_datetime: startTime,
                 target_app_id: backup.app_id,
                 target_app_name: backup.app_name,
-                record_count: recordsToRestore.length,
-                status: status,
+                record_count: 0,
+                status: '成功',
                 duration_seconds: duration,
                 backup_type: '復元',
                 file_path: backup.file_path,
@@ -517,22 +986,20 @@ class BackupManager {
                 retry_count: this.kintoneClient.getStats().retryCount,
                 hostname,
                 app_version: appVersion,
-                remarks,
+                remarks: `バックアップID: ${backupId}のアプリ設定を復元 (${results.map((result) => result.label).join(', ')})`,
             });
 
-            this.logger.logRestoreSuccess(backup.app_id, backup.app_name, recordsToRestore.length, duration);
+            this.logger.info(`App settings restore completed: ${backup.app_name} (${backup.app_id}) in ${duration}s`);
 
             return {
-                success: status === '成功' || status === '部分成功',
+                success: true,
                 appId: backup.app_id,
                 appName: backup.app_name,
-                recordCount: recordsToRestore.length,
                 duration,
-                addedCount,
-                updatedCount,
+                sections: results,
             };
         } catch (error) {
-            this.logger.logRestoreFailure(backup.app_id, backup.app_name, error);
+            this.logger.error(`App settings restore failed: ${backup.app_name} (${backup.app_id})`, error);
             throw error;
         } finally {
             this.kintoneClient.resetCounters();
@@ -540,36 +1007,2407 @@ class BackupManager {
     }
 
     /**
-     * ZIPファイルからレコードを展開
+     * バックアップから新しいアプリを作成して復元（元のアプリが削除された場合など）
+     * フィールド・レイアウト・一覧を再現してデプロイし、レコードを登録する。元のレコードIDと新しいレコードIDの対応を記録する
      */
-    async extractBackupZip(zipFilePath) {
-        return new Promise((resolve, reject) => {
-            const records = [];
-            let recordsJson = '';
-
-            fs.createReadStream(zipFilePath)
-                .pipe(unzipper.Parse())
-                .on('entry', async (entry) => {
-                    const fileName = entry.path;
+    async cloneBackupToNewApp(backupId, options = {}) {
+        const { appName = '', conflictPolicy = 'overwrite', hostname = '', appVersion = '' } = options;
 
-                    if (fileName === 'records.json') {
-                        entry.on('data', (chunk) => {
-                            recordsJson += chunk.toString();
-                        });
-                        entry.on('end', () => {
-                            try {
-                                const parsed = JSON.parse(recordsJson);
-                                records.push(...parsed);
-                            } catch (error) {
-                                reject(new Error('Failed to parse records.json: ' + error.message));
-                            }
+        const backup = this.db.getBackupById(backupId);
+        if (!backup) {
+            throw new Error('バックアップが見つかりません');
+        }
+        if (this.config.kintone.apiToken) {
+            throw new Error('新しいアプリの作成にはパスワード認証が必要です（API トークンではアプリを作成できません）');
+        }
+        if (!CONFLICT_RESOLUTIONS[conflictPolicy]) {
+            throw new Error(`不明な競合時の動作です: ${conflictPolicy}`);
+        }
+
+        const metadata = await this.readJsonFromZip(backup.file_path, 'backup_metadata.json');
+        if (!metadata || !metadata.fieldProperties) {
+            throw new Error('バックアップにフィールド情報が含まれていないため、新しいアプリを作成できません');
+        }
+        const settings = await this.readJsonFromZip(backup.file_path, 'app_settings.json');
+
+        // 差分バックアップの場合もその時点の全レコードを登録する
+        const chain = this.db.getRestoreChain(backup.app_id, backup.start_time);
+        if (chain.length === 0) {
+            throw new Error('基点となる全体バックアップが見つかりません');
+        }
+
+        // アプリを作成してから失敗しないよう、チェーンのすべてのアーカイブを読み込めること（パスフレーズ）を先に確認
+        for (const item of chain) {
+            if (item.file_path && item.file_path !== backup.file_path) {
+                await this.readJsonFromZip(item.file_path, 'backup_metadata.json');
+            }
+        }
+
+        // アプリの作成・フィールドの追加・レイアウトと一覧の反映
+        const newAppName = appName || `${backup.app_name} (復元)`;
+        const startTime = new Date().toISOString();
+        const newAppId = await this.kintoneClient.createApp(newAppName);
+        this.logger.info(`Created app ${newAppId} from backup ${backupId}`);
+
+        let settingsResults = [];
+        try {
+            await this.createFormFields(newAppId, metadata.fieldProperties);
+            if (settings) {
+                settingsResults = await this.appSettings.apply(newAppId, settings, { sections: ['layout', 'views'] });
+            }
+            await this.kintoneClient.deployApp(newAppId);
+        } catch (error) {
+            this.logger.error(`Failed to set up app ${newAppId} created from backup ${backupId}:`, error);
+
+            // 作成したアプリは残るため、復元履歴から見つけて kintone で削除できるよう記録
+            const failure = new Error(`新しいアプリ (ID: ${newAppId}) の作成に失敗しました: ${error.message}`);
+            this.db.insertRestoreHistory({
+                app_id: newAppId,
+                app_name: newAppName,
+                source_app_id: backup.app_id,
+                target_domain: this.kintoneClient.config.domain,
+                start_time: startTime,
+                end_time: new Date().toISOString(),
+                duration_seconds: (Date.now() - Date.parse(startTime)) / 1000,
+                status: '失敗',
+                conflict_policy: conflictPolicy,
+                file_path: backup.file_path,
+                hostname,
+                app_version: appVersion,
+                remarks: `バックアップID: ${backupId}から新しいアプリ (ID: ${newAppId}) への復元\n${failure.message}\n作成途中のアプリが残っています。不要な場合は kintone のアプリの設定から削除してください`,
+            });
+            throw failure;
+        }
+
+        let result;
+        try {
+            result = await this.restoreRecords(newAppId, newAppName, options, {
+                sourceAppId: backup.app_id,
+                iterateRecords: () => this.iteratePointInTimeRecords(backup.app_id, backup.start_time),
+                archiveLocations: chain.filter((item) => item.file_path).map((item) => item.file_path),
+                metadataLocation: backup.file_path,
+                filePath: backup.file_path,
+                remarks: `バックアップID: ${backupId}から新しいアプリ (ID: ${newAppId}) への復元`,
+                allowEmpty: true,
+            });
+        } catch (error) {
+            // 失敗は restoreRecords が作成したアプリの ID で復元履歴に記録する
+            throw new Error(`新しいアプリ (ID: ${newAppId}) を作成しましたが、レコードの登録に失敗しました: ${error.message}`);
+        }
+
+        return {
+            ...result,
+            sourceAppId: backup.app_id,
+            newAppId,
+            newAppName,
+            idMappingCount: this.db.getRecordIdMappings(backup.app_id, newAppId).length,
+            settings: settingsResults,
+        };
+    }
+
+    // アーカイブのフィールド情報から新しいアプリのフィールドを作成（自動作成されるフィールドはフィールドコードのみ合わせる）
+    async createFormFields(appId, fieldProperties) {
+        const { properties: current } = await this.kintoneClient.callAppApi('getFormFields', { app: appId, preview: true });
+
+        const renames = {};
+        const additions = {};
+        for (const [fieldCode, property] of Object.entries(fieldProperties)) {
+            if (RENAMABLE_SYSTEM_FIELD_TYPES.includes(property.type)) {
+                const existing = Object.values(current).find((field) => field.type === property.type);
+                if (existing && existing.code !== fieldCode) {
+                    renames[existing.code] = { type: property.type, code: fieldCode, label: property.label };
+                }
+            } else if (!AUTO_CREATED_FIELD_TYPES.includes(property.type)) {
+                additions[fieldCode] = property;
+            }
+        }
+
+        // 既定のフィールドコードと同じコードのフィールドを追加できるよう、先にフィールドコードを変更
+        if (Object.keys(renames).length > 0) {
+            await this.kintoneClient.callAppApi('updateFormFields', { app: appId, properties: renames });
+        }
+        if (Object.keys(additions).length > 0) {
+            await this.kintoneClient.callAppApi('addFormFields', { app: appId, properties: additions });
+        }
+    }
+
+    /**
+     * 指定日時時点への復元（全体バックアップ + 差分バックアップのチェーンを再生）
+     */
+    async restorePointInTime(appId, targetDatetime, options = {}) {
+        const chain = this.db.getRestoreChain(appId, targetDatetime);
+        if (chain.length === 0) {
+            throw new Error('指定日時以前の全体バックアップが見つかりません');
+        }
+
+        const base = chain[0];
+        const latest = chain[chain.length - 1];
+
+        return await this.restoreRecords(options.target?.appId || appId, latest.app_name, options, {
+            sourceAppId: appId,
+            iterateRecords: () => this.iteratePointInTimeRecords(appId, targetDatetime),
+            archiveLocations: chain.filter((backup) => backup.file_path).map((backup) => backup.file_path),
+            metadataLocation: latest.file_path,
+            filePath: base.file_path,
+            remarks: `${targetDatetime}時点への復元 (基点バックアップID: ${base.id}, 差分: ${chain.length - 1}件)`,
+        });
+    }
+
+    /**
+     * 指定日時時点の復元に使うバックアップチェーンの概要
+     */
+    getPointInTimeChain(appId, targetDatetime) {
+        const chain = this.db.getRestoreChain(appId, targetDatetime);
+        if (chain.length === 0) {
+            throw new Error('指定日時以前の全体バックアップが見つかりません');
+        }
+
+        return chain.map((backup) => ({
+            id: backup.id,
+            backupType: backup.backup_type,
+            startTime: backup.start_time,
+            recordCount: backup.record_count,
+        }));
+    }
+
+    /**
+     * スケジュール実行の一覧（複数アプリの一括復元の選択用）
+     */
+    getScheduledRuns(limit = 50) {
+        return this.db.getScheduledRuns(limit).map((run) => ({ runId: run.run_id, startTime: run.start_time, appCount: run.app_count }));
+    }
+
+    /**
+     * 同じスケジュール実行のバックアップを一括復元する順序
+     * バックアップ時のフィールド情報のルックアップから依存関係を求め、参照されるアプリが先になるよう並べる
+     */
+    async getScheduledRunPlan(runId, appIds = null) {
+        const selectedIds = appIds ? new Set(appIds.map((appId) => String(appId))) : null;
+        const backups = this.db.getBackupsByRunId(runId).filter((backup) => !selectedIds || selectedIds.has(String(backup.app_id)));
+        if (backups.length === 0) {
+            throw new Error('指定したスケジュール実行のバックアップが見つかりません');
+        }
+
+        const apps = [];
+        for (const backup of backups) {
+            // レコード0件のバックアップはファイルを持たないため、チェーン内で最新のアーカイブのフィールド情報を使う
+            const archived = this.db
+                .getRestoreChain(backup.app_id, backup.start_time)
+                .reverse()
+                .find((item) => item.file_path);
+            const metadata = archived ? await this.readJsonFromZip(archived.file_path, 'backup_metadata.json') : null;
+            apps.push({
+                appId: String(backup.app_id),
+                appName: backup.app_name,
+                backupId: backup.id,
+                startTime: backup.start_time,
+                fieldProperties: metadata?.fieldProperties || {},
+            });
+        }
+
+        const appIdSet = new Set(apps.map((app) => app.appId));
+        const propertiesByApp = new Map(apps.map((app) => [app.appId, app.fieldProperties]));
+        for (const app of apps) {
+            // レコード番号をキーとするルックアップは、参照先のレコード番号が変わった場合にキーを書き換える
+            app.lookups = this.findLookupFields(app.fieldProperties)
+                .filter((lookup) => lookup.relatedAppId !== app.appId && appIdSet.has(lookup.relatedAppId))
+                .map((lookup) => ({
+                    ...lookup,
+                    recordNumberKey: propertiesByApp.get(lookup.relatedAppId)[lookup.relatedKeyField]?.type === 'RECORD_NUMBER',
+                }));
+            app.dependsOn = Array.from(new Set(app.lookups.map((lookup) => lookup.relatedAppId)));
+            delete app.fieldProperties;
+        }
+
+        return { runId, apps: this.orderByDependencies(apps) };
+    }
+
+    // フィールド情報のルックアップ（テーブル内を含む）
+    findLookupFields(fieldProperties) {
+        const lookups = [];
+        const add = (fieldCode, subtableCode, property) => {
+            if (property.lookup && property.lookup.relatedApp) {
+                lookups.push({
+                    fieldCode,
+                    subtableCode,
+                    relatedAppId: String(property.lookup.relatedApp.app),
+                    relatedKeyField: property.lookup.relatedKeyField,
+                });
+            }
+        };
+
+        for (const [fieldCode, property] of Object.entries(fieldProperties)) {
+            add(fieldCode, null, property);
+            if (property.type === 'SUBTABLE') {
+                for (const [innerCode, inner] of Object.entries(property.fields || {})) {
+                    add(innerCode, fieldCode, inner);
+                }
+            }
+        }
+
+        return lookups;
+    }
+
+    // 参照されるアプリが先になるよう並べ替え（循環するアプリは元の順序で最後に並べ、cyclic を付ける）
+    orderByDependencies(apps) {
+        const ordered = [];
+        const done = new Set();
+        let remaining = apps;
+
+        while (remaining.length > 0) {
+            const ready = remaining.filter((app) => app.dependsOn.every((appId) => done.has(appId)));
+            if (ready.length === 0) {
+                ordered.push(...remaining.map((app) => ({ ...app, cyclic: true })));
+                break;
+            }
+            ready.forEach((app) => done.add(app.appId));
+            ordered.push(...ready.map((app) => ({ ...app, cyclic: false })));
+            remaining = remaining.filter((app) => !done.has(app.appId));
+        }
+
+        return ordered;
+    }
+
+    /**
+     * 同じスケジュール実行のバックアップから複数のアプリを依存関係の順に復元
+     * 各アプリはそのバックアップの時点に復元し、参照先のレコード番号が変わった場合は書き込む前にルックアップのキーを書き換える
+     * 参照先のアプリの復元に失敗した場合、そのアプリを参照するアプリは復元しない
+     */
+    async restoreScheduledRun(runId, options = {}) {
+        // 復元先・レコードの選択・フィールドの対応付けはアプリごとに異なるため使わない
+        // ドライランはアプリごとに行う（レコードを追加しないため、先のアプリで変わるレコード番号によるルックアップのキーの書き換えは反映されない）
+        const { appIds = null, target, selectedRecordIds, fieldMapping, saveFieldMapping, dryRun = false, ...restoreOptions } = options;
+        const plan = await this.getScheduledRunPlan(runId, appIds);
+
+        this.logger.info(`Multi-app restore ${dryRun ? 'dry run ' : ''}started for run ${runId}: ${plan.apps.map((app) => app.appId).join(' -> ')}`);
+
+        const results = [];
+        const failedAppIds = new Set(); // 書き込めなかったレコードがあるアプリ（参照するアプリは復元しない）
+        const keyMaps = new Map(); // レコード番号が変わったアプリ -> 古いキー -> 新しいキー
+
+        for (const app of plan.apps) {
+            const blockedBy = app.dependsOn.filter((appId) => failedAppIds.has(appId));
+            if (blockedBy.length > 0) {
+                failedAppIds.add(app.appId);
+                results.push({
+                    appId: app.appId,
+                    appName: app.appName,
+                    success: false,
+                    skipped: true,
+                    error: `参照先のアプリ (ID: ${blockedBy.join(', ')}) に書き込めなかったレコードがあるため復元しませんでした`,
+                });
+                continue;
+            }
+
+            const lookupKeys = app.lookups
+                .filter((lookup) => lookup.recordNumberKey && keyMaps.has(lookup.relatedAppId))
+                .map((lookup) => ({ fieldCode: lookup.fieldCode, subtableCode: lookup.subtableCode, keys: keyMaps.get(lookup.relatedAppId) }));
+
+            try {
+                const result = await this.restorePointInTime(app.appId, app.startTime, { ...restoreOptions, dryRun, lookupKeys });
+                if (dryRun) {
+                    // 必須フィールドに対応するフィールドがない場合はレコードを追加できないため、参照するアプリも復元しない
+                    // バックアップ後に編集されたレコード・書き込まないフィールドは結果の conflicts・droppedFields で確認する
+                    const missingRequired = result.addedCount > 0 ? result.missingRequiredFields : [];
+                    if (missingRequired.length > 0) {
+                        failedAppIds.add(app.appId);
+                    }
+                    results.push({
+                        ...result,
+                        success: missingRequired.length === 0,
+                        error: missingRequired.length > 0 ? `復元先の必須フィールドに対応するフィールドがありません: ${missingRequired.map((f) => f.fieldCode).join(', ')}` : undefined,
+                        cyclic: app.cyclic,
+                    });
+                    continue;
+                }
+                results.push({ ...result, cyclic: app.cyclic });
+
+                // 一部でも書き込めなかった場合（部分成功を含む）は、参照先のレコードが欠けるため参照するアプリを復元しない
+                if (result.updateFailed || result.addFailed) {
+                    failedAppIds.add(app.appId);
+                } else if (result.changedIdCount > 0) {
+                    keyMaps.set(app.appId, (await this.loadReferenceKeyMap(app.appId, app.appId)).keys);
+                }
+            } catch (error) {
+                this.logger.error(`Multi-app restore failed for app ${app.appId}:`, error);
+                failedAppIds.add(app.appId);
+                results.push({ appId: app.appId, appName: app.appName, success: false, error: error.message, cyclic: app.cyclic });
+            }
+        }
+
+        this.logger.info(
+            `Multi-app restore ${dryRun ? 'dry run ' : ''}finished for run ${runId}: ${results.filter((result) => result.success).length}/${results.length} apps ${dryRun ? 'checked' : 'restored'}`
+        );
+
+        return { runId, dryRun, apps: results };
+    }
+
+    /**
+     * 指定日時時点のレコードを復元チェーンから再構成（バッチ単位で返す）
+     * 新しいバックアップから順に読み、先に現れたレコード（最新の内容）だけを返すため、保持するのはレコードIDのみ
+     */
+    async *iteratePointInTimeRecords(appId, targetDatetime, batchSize = RECORD_BATCH_SIZE) {
+        const chain = this.db.getRestoreChain(appId, targetDatetime);
+        if (chain.length === 0) {
+            throw new Error('指定日時以前の全体バックアップが見つかりません');
+        }
+
+        const seenIds = new Set();
+        let batch = [];
+
+        for (const backup of [...chain].reverse()) {
+            // レコード0件のバックアップはファイルを持たない
+            if (!backup.file_path) {
+                continue;
+            }
+
+            // その時点までに削除されたレコードは、より古いバックアップの内容も含めて除外
+            const deletedRecords = (await this.readJsonFromZip(backup.file_path, 'deleted_records.json')) || [];
+            for (const deleted of deletedRecords) {
+                seenIds.add(String(deleted.recordId));
+            }
+
+            for await (const records of this.readRecordBatches(backup.file_path, batchSize)) {
+                for (const record of records) {
+                    const recordId = String(record.$id.value);
+                    if (seenIds.has(recordId)) {
+                        continue;
+                    }
+                    seenIds.add(recordId);
+                    batch.push(record);
+
+                    if (batch.length >= batchSize) {
+                        yield batch;
+                        batch = [];
+                    }
+                }
+            }
+        }
+
+        if (batch.length > 0) {
+            yield batch;
+        }
+    }
+
+    /**
+     * 指定バックアップ以降に削除されたレコードを、削除前の最終バックアップの内容付きで取得
+     */
+    async getDeletedRecordsSince(appId, sinceBackupId) {
+        const tombstones = this.db.getTombstonesSince(appId, sinceBackupId);
+        const archivedRecords = await this.loadArchivedRecords(tombstones);
+
+        return tombstones.map((tombstone) => ({
+            recordId: tombstone.record_id,
+            deletedBackupId: tombstone.deleted_backup_id,
+            deletedBackupTime: tombstone.deleted_backup_time,
+            detectedAt: tombstone.detected_at,
+            record: archivedRecords.get(String(tombstone.record_id)) || null,
+        }));
+    }
+
+    /**
+     * 削除されたレコードの復元（削除前の最終バックアップの内容で再追加）
+     */
+    async restoreDeletedRecords(appId, recordIds, options = {}) {
+        const targetIds = new Set(recordIds.map((id) => String(id)));
+        const tombstones = this.db.getTombstones(appId).filter((tombstone) => targetIds.has(String(tombstone.record_id)));
+        if (tombstones.length === 0) {
+            throw new Error('削除レコードの記録が見つかりません');
+        }
+
+        const appName = this.db.getBackupById(tombstones[0].deleted_backup_id)?.app_name || '';
+
+        return await this.restoreRecords(appId, appName, options, {
+            iterateRecords: async function* () {
+                const records = Array.from((await this.loadArchivedRecords(tombstones)).values());
+                for (let i = 0; i < records.length; i += RECORD_BATCH_SIZE) {
+                    yield records.slice(i, i + RECORD_BATCH_SIZE);
+                }
+            }.bind(this),
+            archiveLocations: this.getArchiveLocations(tombstones.map((tombstone) => tombstone.last_backup_id)),
+            filePath: '',
+            remarks: `削除レコードの復元 (対象: ${tombstones.length}件)`,
+        });
+    }
+
+    /**
+     * バックアップIDからZIPファイルの保存場所一覧を取得（重複・ファイルなしは除外）
+     */
+    getArchiveLocations(backupIds) {
+        return Array.from(new Set(backupIds))
+            .map((backupId) => this.db.getBackupById(backupId))
+            .filter((backup) => backup && backup.file_path)
+            .map((backup) => backup.file_path);
+    }
+
+    /**
+     * トゥームストーンが指す最終バックアップから削除前のレコードを読み込み
+     */
+    async loadArchivedRecords(tombstones) {
+        const archivedRecords = new Map();
+
+        // バックアップごとにまとめて1回だけ展開
+        const idsByBackup = new Map();
+        for (const tombstone of tombstones) {
+            if (!idsByBackup.has(tombstone.last_backup_id)) {
+                idsByBackup.set(tombstone.last_backup_id, new Set());
+            }
+            idsByBackup.get(tombstone.last_backup_id).add(String(tombstone.record_id));
+        }
+
+        for (const [backupId, ids] of idsByBackup) {
+            const backup = this.db.getBackupById(backupId);
+            if (!backup || !backup.file_path) {
+                this.logger.warn(`Archive for backup ${backupId} not found. Deleted records cannot be loaded: ${Array.from(ids).join(',')}`);
+                continue;
+            }
+
+            for await (const records of this.readRecordBatches(backup.file_path)) {
+                for (const record of records) {
+                    const recordId = String(record.$id.value);
+                    if (ids.has(recordId)) {
+                        archivedRecords.set(recordId, record);
+                    }
+                }
+            }
+        }
+
+        return archivedRecords;
+    }
+
+    /**
+     * 復元でレコードIDが変わったレコードを参照している、他のアプリのルックアップ・関連レコードのキー
+     * 登録済みのアプリから復元先のアプリのレコード番号をキーとするフィールドを探し、古いレコード番号を保持するレコード数を返す
+     */
+    async findStaleReferences(sourceAppId, targetAppId, options = {}) {
+        this.assertReferenceRewritable(sourceAppId, targetAppId);
+        const { keys, mappingCount } = await this.loadReferenceKeyMap(sourceAppId, targetAppId);
+        if (keys.size === 0) {
+            return { mappingCount, references: [] };
+        }
+
+        const references = await this.findReferenceFields(targetAppId, options.appIds);
+        for (const reference of references) {
+            try {
+                reference.recordCount = (await this.collectReferenceUpdates(reference, keys)).length;
+            } catch (error) {
+                reference.recordCount = 0;
+                reference.error = error.message;
+            }
+        }
+
+        return { mappingCount, references: references.filter((reference) => reference.recordCount > 0 || reference.error) };
+    }
+
+    /**
+     * 古いレコード番号を保持するルックアップ・関連レコードのキーを新しいレコード番号に書き換え
+     * すべての参照を書き換えられた場合のみ対応を書き換え済みとして記録する（同じ対応で二重に書き換えないため）
+     */
+    async rewriteReferences(sourceAppId, targetAppId, options = {}) {
+        this.assertReferenceRewritable(sourceAppId, targetAppId);
+        const { keys, mappingCount, sourceRecordIds } = await this.loadReferenceKeyMap(sourceAppId, targetAppId);
+        if (keys.size === 0) {
+            return { mappingCount, references: [] };
+        }
+
+        // 書き換え後のキーが別の古いキーと一致する場合があるため、すべての参照を調べてから書き換える
+        const references = await this.findReferenceFields(targetAppId, options.appIds);
+        for (const reference of references) {
+            try {
+                reference.updates = await this.collectReferenceUpdates(reference, keys);
+            } catch (error) {
+                reference.updates = [];
+                reference.error = error.message;
+            }
+        }
+
+        for (const reference of references) {
+            reference.updatedCount = 0;
+            if (reference.updates.length === 0) {
+                continue;
+            }
+            try {
+                await this.kintoneClient.updateAllRecords(reference.appId, reference.updates);
+                reference.updatedCount = reference.updates.length;
+                this.logger.info(`Rewrote ${reference.updatedCount} reference keys in app ${reference.appId} (${reference.fieldCode})`);
+            } catch (error) {
+                this.logger.error(`Failed to rewrite reference keys in app ${reference.appId} (${reference.fieldCode}):`, error);
+                reference.error = error.message;
+            }
+        }
+
+        const results = references.filter((reference) => reference.updates.length > 0 || reference.error).map(({ updates, ...reference }) => reference);
+        if (!results.some((reference) => reference.error)) {
+            this.db.markRecordIdMappingsRewritten(sourceAppId, targetAppId, sourceRecordIds);
+        }
+
+        return { mappingCount, references: results };
+    }
+
+    /**
+     * 参照の書き換えは、設定の環境で元のアプリに再登録したレコードのみ対象とする
+     * 別のアプリ（新しいアプリを含む）への復元では、参照しているルックアップ・関連レコードが元のアプリを指したままのため、
+     * キーだけを書き換えると元のアプリの別のレコードを参照してしまう
+     */
+    assertReferenceRewritable(sourceAppId, targetAppId) {
+        if (String(sourceAppId) !== String(targetAppId)) {
+            throw new Error(
+                `参照の書き換えは元のアプリへの復元のみ対応しています（復元元: アプリ ${sourceAppId}、復元先: アプリ ${targetAppId}）。参照しているアプリのルックアップ・関連レコードの参照先を復元先のアプリに変更してから、レコードIDの対応（record_id_mappings）をもとに修正してください`
+            );
+        }
+    }
+
+    // 書き換えていないレコードIDの対応から、古いキー -> 新しいキー（アプリコードがある場合は「アプリコード-レコード番号」）
+    // 古いキーは参照しているレコードが保持している、復元元のアプリのアプリコードで組み立てる
+    async loadReferenceKeyMap(sourceAppId, targetAppId) {
+        const mappings = this.db.getPendingRecordIdMappings(sourceAppId, targetAppId);
+        const keys = new Map();
+        if (mappings.length > 0) {
+            const { code } = await this.kintoneClient.getApp(sourceAppId);
+            const toKey = (recordId) => (code ? `${code}-${recordId}` : String(recordId));
+            for (const mapping of mappings) {
+                keys.set(toKey(mapping.source_record_id), toKey(mapping.target_record_id));
+            }
+        }
+
+        return { keys, mappingCount: mappings.length, sourceRecordIds: mappings.map((mapping) => mapping.source_record_id) };
+    }
+
+    // 登録済みのアプリから、指定したアプリのレコード番号をキーとするルックアップ・関連レコードのフィールドを検索
+    async findReferenceFields(targetAppId, appIds = null) {
+        const keyFieldCodes = new Set(['$id', await this.kintoneClient.getRecordNumberFieldCode(targetAppId)]);
+        const isTarget = (relatedApp) => relatedApp && String(relatedApp.app) === String(targetAppId);
+        const references = [];
+        const seen = new Set();
+
+        const apps = appIds ? appIds.map((appId) => ({ app_id: appId, app_name: '' })) : this.db.getAllApps();
+        for (const app of apps) {
+            let properties;
+            try {
+                properties = await this.kintoneClient.getFormFields(app.app_id);
+            } catch (error) {
+                this.logger.warn(`Failed to get fields of app ${app.app_id} while searching references: ${error.message}`);
+                continue;
+            }
+
+            const add = (fieldCode, subtableCode, type) => {
+                const key = `${subtableCode || ''}.${fieldCode}`;
+                if (!seen.has(`${app.app_id}:${key}`)) {
+                    seen.add(`${app.app_id}:${key}`);
+                    references.push({ appId: String(app.app_id), appName: app.app_name, fieldCode, subtableCode, type });
+                }
+            };
+
+            for (const [fieldCode, property] of Object.entries(properties)) {
+                if (property.lookup && isTarget(property.lookup.relatedApp) && keyFieldCodes.has(property.lookup.relatedKeyField)) {
+                    add(fieldCode, null, 'lookup');
+                }
+                if (property.type === 'SUBTABLE') {
+                    for (const [innerCode, inner] of Object.entries(property.fields || {})) {
+                        if (inner.lookup && isTarget(inner.lookup.relatedApp) && keyFieldCodes.has(inner.lookup.relatedKeyField)) {
+                            add(innerCode, fieldCode, 'lookup');
+                        }
+                    }
+                }
+                // 関連レコードは絞り込み条件の「このアプリのフィールド」がキーを保持する
+                const referenceTable = property.type === 'REFERENCE_TABLE' ? property.referenceTable : null;
+                if (referenceTable && isTarget(referenceTable.relatedApp) && keyFieldCodes.has(referenceTable.condition?.relatedField)) {
+                    add(referenceTable.condition.field, null, 'referenceTable');
+                }
+            }
+        }
+
+        return references;
+    }
+
+    // 古いキーを保持するレコードの更新内容（テーブル内のフィールドは行IDを指定してテーブル全体を更新）
+    async collectReferenceUpdates(reference, keys) {
+        const { appId, fieldCode, subtableCode } = reference;
+        const oldKeys = Array.from(keys.keys());
+        const updates = [];
+
+        for (let i = 0; i < oldKeys.length; i += REFERENCE_QUERY_KEY_LIMIT) {
+            const values = oldKeys.slice(i, i + REFERENCE_QUERY_KEY_LIMIT).map((key) => `"${key.replace(/["\\]/g, '\\$&')}"`);
+            const condition = `${fieldCode} in (${values.join(', ')})`;
+
+            for await (const records of this.kintoneClient.iterateRecordsByCursor(appId, { fields: [subtableCode || fieldCode], condition })) {
+                for (const record of records) {
+                    const id = String(record.$id.value);
+                    if (!subtableCode) {
+                        updates.push({ id, record: { [fieldCode]: { value: keys.get(String(record[fieldCode].value)) } } });
+                        continue;
+                    }
+
+                    const rows = record[subtableCode].value.map((row) => {
+                        const value = this.cleanRecordForRestore(row.value);
+                        const newKey = keys.get(String(row.value[fieldCode]?.value));
+                        if (newKey) {
+                            value[fieldCode] = { ...value[fieldCode], value: newKey };
+                        }
+                        return { id: row.id, value };
+                    });
+                    updates.push({ id, record: { [subtableCode]: { value: rows } } });
+                }
+            }
+        }
+
+        return updates;
+    }
+
+    /**
+     * レコードの復元処理（既存レコードは更新、存在しないレコードは追加）
+     * source.iterateRecords() が返すバッチごとに添付ファイルの再アップロードと登録を行う
+     */
+    async restoreRecords(appId, appName, options, source) {
+        const {
+            selectedRecordIds = null,
+            dryRun = false,
+            conflictPolicy = 'overwrite',
+            atomic = false,
+            preserveAuditFields = false,
+            restoreStatus = false,
+            restoreComments = false,
+            hostname = '',
+            appVersion = '',
+        } = options;
+        if (!CONFLICT_RESOLUTIONS[conflictPolicy]) {
+            throw new Error(`不明な競合時の動作です: ${conflictPolicy}`);
+        }
+
+        const startTime = new Date().toISOString();
+        const startTimestamp = Date.now();
+
+        // 別の環境へ復元する場合は復元先の認証情報でクライアントを作成
+        const client = this.createRestoreClient(options.target);
+
+        if (dryRun) {
+            this.logger.info(`Restore dry run for app ${appId} (${appName})`);
+        } else {
+            this.logger.logRestoreStart(appId, appName, selectedRecordIds?.length || 0);
+        }
+
+        // 書き込む前の状態を保存する復元前のスナップショット（取り消し・一括モードの失敗時に使用）
+        const snapshot = dryRun ? null : this.createRestoreSnapshot(appId, appName, { client, hostname, appVersion });
+
+        try {
+            // 別のアプリへ復元する場合は元のアプリの添付ファイル・レコードIDを参照
+            const sourceAppId = source.sourceAppId || appId;
+
+            // 書き込む前に復元先のフォームとバックアップ時のフィールド情報を照合（ドライランでは対応付けを保存しない）
+            const fieldMapperOptions = dryRun ? { ...options, saveFieldMapping: false } : options;
+            const fieldMapper = await this.createFieldMapper(client, sourceAppId, appId, source.metadataLocation || source.filePath, fieldMapperOptions);
+            const droppedFields = fieldMapper ? fieldMapper.droppedFields : [];
+            const missingRequiredFields = fieldMapper ? fieldMapper.getMissingRequiredFields() : [];
+
+            // 特定レコードのみ復元する場合
+            const selectedIds = selectedRecordIds && selectedRecordIds.length > 0 ? new Set(selectedRecordIds.map((id) => String(id))) : null;
+
+            const resolver = await this.createAttachmentResolver(sourceAppId, source.archiveLocations || []);
+
+            // 既存レコードとの照合（レコード番号）と競合の検出（バックアップ時のリビジョンとの比較）は元のアプリへの復元でのみ行う
+            // 別のアプリ・環境では同じレコード番号でも無関係なレコードのため、上書きせずすべて追加する
+            const sameApp = String(sourceAppId) === String(appId) && client === this.kintoneClient;
+
+            let recordCount = 0;
+            let updatedCount = 0;
+            let addedCount = 0;
+            let uploadedFileCount = 0;
+            let updateFailed = false;
+            let addFailed = false;
+            const missingFiles = [];
+            const previews = [];
+            let unchangedCount = 0;
+            let skippedCount = 0;
+            const conflicts = [];
+            const pendingIdMappings = [];
+            let changedIdCount = 0; // レコードIDが変わったレコード（参照のキーの書き換え対象）
+            const missingUsers = new Set(); // 作成者・更新者に設定できなかったユーザー
+            const unreachableStatuses = [];
+            const writtenRecordIds = []; // コメントの投稿先
+
+            // ステータスはバックアップ時のプロセス管理の設定に沿ってアクションを実行して戻す
+            const statusFlow = restoreStatus && !dryRun ? await this.loadProcessFlow(client, appId, source.metadataLocation || source.filePath) : null;
+
+            for await (const records of source.iterateRecords()) {
+                const recordsToRestore = selectedIds ? records.filter((record) => selectedIds.has(String(record.$id.value))) : records;
+                if (recordsToRestore.length === 0) {
+                    continue;
+                }
+
+                const result = await this.restoreRecordBatch(appId, recordsToRestore, resolver, {
+                    client,
+                    fieldMapper,
+                    dryRun,
+                    conflictPolicy,
+                    matchExisting: sameApp,
+                    checkConflicts: sameApp,
+                    atomic,
+                    snapshot,
+                    preserveAuditFields,
+                    missingUsers,
+                    statusFlow,
+                    lookupKeys: options.lookupKeys || [],
+                });
+                recordCount += recordsToRestore.length;
+
+                // ドライランは変更内容を集計するのみ（変更のない更新は件数のみ）
+                if (dryRun) {
+                    for (const preview of result.previews) {
+                        if (preview.conflict) {
+                            conflicts.push(preview.conflict);
+                        }
+                        if (preview.action === 'add') {
+                            addedCount++;
+                        } else if (preview.action === 'skip') {
+                            skippedCount++;
+                        } else if (preview.changes.length > 0) {
+                            updatedCount++;
+                        } else {
+                            unchangedCount++;
+                            continue;
+                        }
+                        if (previews.length < DRY_RUN_RECORD_LIMIT) {
+                            previews.push(preview);
+                        }
+                    }
+                    continue;
+                }
+
+                updatedCount += result.updatedCount;
+                addedCount += result.addedCount;
+                skippedCount += result.skippedCount;
+                uploadedFileCount += result.uploadedFileCount;
+                conflicts.push(...result.conflicts);
+                updateFailed = updateFailed || result.updateFailed;
+                addFailed = addFailed || result.addFailed;
+                missingFiles.push(...result.missingFiles);
+                unreachableStatuses.push(...result.unreachableStatuses);
+                if (restoreComments) {
+                    writtenRecordIds.push(...result.writtenRecordIds);
+                }
+
+                // ID が変わったレコードの対応を記録（参照の修正用）
+                // 一括モードは元に戻す可能性があるため、すべて書き込んでから記録する
+                // 対応は復元先の環境を区別せずに記録されるため、別の環境への復元では記録しない（設定の環境の同じアプリの対応と混ざらないように）
+                // 参照の書き換え（changedIdCount）は元のアプリへの復元のみ対象
+                const changedIds = client !== this.kintoneClient ? [] : result.idMappings.filter((m) => String(sourceAppId) !== String(appId) || m.sourceRecordId !== m.targetRecordId);
+                if (sameApp) {
+                    changedIdCount += changedIds.filter((m) => m.sourceRecordId !== m.targetRecordId).length;
+                }
+                if (atomic) {
+                    pendingIdMappings.push(...changedIds);
+                } else if (changedIds.length > 0) {
+                    this.saveRestoredIdMappings(sourceAppId, appId, changedIds, sameApp);
+                }
+            }
+
+            if (pendingIdMappings.length > 0) {
+                this.saveRestoredIdMappings(sourceAppId, appId, pendingIdMappings, sameApp);
+            }
+
+            if (recordCount === 0 && !source.allowEmpty) {
+                throw new Error('復元するレコードがありません');
+            }
+
+            // すべて書き込んでからコメントを投稿（投稿に失敗しても復元は続行）
+            const commentResult =
+                writtenRecordIds.length > 0
+                    ? await this.restoreRecordComments(client, appId, writtenRecordIds, source.archiveLocations || [], sameApp)
+                    : { postedCount: 0, failures: [] };
+
+            if (dryRun) {
+                return {
+                    dryRun: true,
+                    appId,
+                    appName,
+                    recordCount,
+                    addedCount,
+                    updatedCount,
+                    unchangedCount,
+                    skippedCount,
+                    conflictPolicy,
+                    conflicts,
+                    records: previews,
+                    truncated: addedCount + updatedCount + skippedCount > previews.length,
+                    targetDomain: client.config.domain,
+                    droppedFields,
+                    missingRequiredFields,
+                };
+            }
+
+            if (missingFiles.length > 0) {
+                this.logger.warn(`Attachments not found locally: ${missingFiles.map((f) => `${f.recordId}/${f.fieldCode}/${f.fileName}`).join(', ')}`);
+            }
+
+            // ステータス判定（書き込みに失敗した場合、1件も書き込めなければ失敗）
+            let status = '成功';
+            if (updateFailed || addFailed) {
+                status = addedCount > 0 || updatedCount > 0 ? '部分成功' : '失敗';
+            }
+
+            // 復元前のスナップショットを保存（書き込んだレコードがない場合は破棄）
+            const snapshotBackupId = await this.completeRestoreSnapshot(snapshot, appId);
+
+            const endTime = new Date().toISOString();
+            const duration = (Date.now() - startTimestamp) / 1000;
+
+            let remarks = `${source.remarks} (追加:${addedCount}, 更新:${updatedCount})`;
+            if (client !== this.kintoneClient) {
+                remarks += `\n復元先: ${client.config.domain}`;
+            }
+            if (atomic) {
+                remarks += '\n一括モード';
+            }
+            if (conflicts.length > 0) {
+                remarks += `\nバックアップ後に編集されたレコード (${CONFLICT_POLICY_LABELS[conflictPolicy]}): ${conflicts.map((c) => c.targetRecordId).join(', ')}`;
+            }
+            if (droppedFields.length > 0) {
+                remarks += `\n除外したフィールド: ${droppedFields.map((f) => FieldMapper.describe(f)).join(', ')}`;
+            }
+            if (missingUsers.size > 0) {
+                remarks += `\n存在しないユーザー（作成者・更新者を設定せずに追加）: ${[...missingUsers].join(', ')}`;
+            }
+            if (commentResult.postedCount > 0) {
+                remarks += `\n投稿したコメント: ${commentResult.postedCount}件`;
+            }
+            if (commentResult.failures.length > 0) {
+                remarks += `\nコメントを復元できなかったレコード: ${commentResult.failures.map((f) => `${f.targetRecordId} (${f.error})`).join(', ')}`;
+            }
+            if (unreachableStatuses.length > 0) {
+                remarks += `\nステータスを復元できなかったレコード: ${unreachableStatuses.map((s) => `${s.targetRecordId} (${s.status})`).join(', ')}`;
+            }
+            if (missingFiles.length > 0) {
+                remarks += `\n見つからない添付ファイル: ${missingFiles.map((f) => `${f.recordId}/${f.fieldCode}/${f.fileName}`).join(', ')}`;
+            }
+
+            // 復元ログをバックアップ記録アプリに保存
+            await this.logToKintoneBackupApp({
+                backup_datetime: startTime,
+                target_app_id: appId,
+                target_app_name: appName,
+                record_count: recordCount,
+                status: status,
+                duration_seconds: duration,
+                backup_type: '復元',
+                file_path: source.filePath,
+                trigger_type: '手動',
+                api_request_count: client.getStats().apiRequestCount,
+                retry_count: client.getStats().retryCount,
+                hostname,
+                app_version: appVersion,
+                remarks,
+            });
+
+            // 復元履歴に記録（競合したレコードは管理者が後から確認できるよう保存）
+            this.db.insertRestoreHistory({
+                app_id: appId,
+                app_name: appName,
+                source_app_id: sourceAppId,
+                target_domain: client.config.domain,
+                start_time: startTime,
+                end_time: endTime,
+                duration_seconds: duration,
+                record_count: recordCount,
+                added_count: addedCount,
+                updated_count: updatedCount,
+                skipped_count: skippedCount,
+                status,
+                conflict_policy: conflictPolicy,
+                conflicts,
+                file_path: source.filePath,
+                hostname,
+                app_version: appVersion,
+                remarks,
+                snapshot_backup_id: snapshotBackupId,
+            });
+
+            if (conflicts.length > 0) {
+                this.logger.warn(`Records edited since the backup (${conflictPolicy}): ${conflicts.map((c) => c.targetRecordId).join(', ')}`);
+            }
+            this.logger.logRestoreSuccess(appId, appName, recordCount, duration);
+
+            return {
+                success: status === '成功' || status === '部分成功',
+                appId: appId,
+                appName: appName,
+                recordCount,
+                duration,
+                addedCount,
+                updatedCount,
+                skippedCount,
+                uploadedFileCount,
+                missingFiles,
+                conflictPolicy,
+                conflicts,
+                targetDomain: client.config.domain,
+                droppedFields,
+                missingRequiredFields,
+                snapshotBackupId,
+                missingUsers: [...missingUsers],
+                unreachableStatuses,
+                commentCount: commentResult.postedCount,
+                commentFailures: commentResult.failures,
+                sourceAppId,
+                changedIdCount,
+                updateFailed,
+                addFailed,
+            };
+        } catch (error) {
+            this.logger.logRestoreFailure(appId, appName, error);
+
+            // 途中まで書き込んだ場合もスナップショットを保存し、一括モードは復元前の状態に戻す
+            let failure = error;
+            let snapshotBackupId = null;
+            let undoneAt = null;
+            if (snapshot) {
+                try {
+                    snapshotBackupId = await this.completeRestoreSnapshot(snapshot, appId);
+                    if (atomic && snapshotBackupId) {
+                        const { statusNotRevertedIds } = await this.applyRestoreSnapshot(client, appId, this.db.getBackupById(snapshotBackupId).file_path);
+                        undoneAt = new Date().toISOString();
+                        failure = new Error(
+                            `復元に失敗したため、復元前の状態に戻しました: ${error.message}` +
+                                (statusNotRevertedIds.length > 0 ? ` (ステータス・作業者を戻していないレコード: ${statusNotRevertedIds.join(', ')})` : '')
+                        );
+                    }
+                } catch (rollbackError) {
+                    this.logger.error(`Failed to save or apply pre-restore snapshot for app ${appId}:`, rollbackError);
+                    failure = atomic ? new Error(`復元に失敗し、復元前の状態に戻せませんでした: ${error.message} (${rollbackError.message})`) : error;
+                }
+            }
+
+            if (!dryRun) {
+                this.db.insertRestoreHistory({
+                    app_id: appId,
+                    app_name: appName,
+                    source_app_id: source.sourceAppId || appId,
+                    target_domain: client.config.domain,
+                    start_time: startTime,
+                    end_time: new Date().toISOString(),
+                    duration_seconds: (Date.now() - startTimestamp) / 1000,
+                    status: '失敗',
+                    conflict_policy: conflictPolicy,
+                    file_path: source.filePath,
+                    hostname,
+                    app_version: appVersion,
+                    remarks: `${source.remarks}\n${failure.message}`,
+                    snapshot_backup_id: snapshotBackupId,
+                    undone_at: undoneAt,
+                });
+            }
+            throw failure;
+        } finally {
+            client.resetCounters();
+        }
+    }
+
+    // 復元でレコードIDが変わったレコードの対応を記録し、元のアプリに再登録した削除レコードは削除の記録から外す
+    saveRestoredIdMappings(sourceAppId, appId, idMappings, sameApp) {
+        this.db.saveRecordIdMappings(sourceAppId, appId, idMappings);
+        if (sameApp) {
+            this.db.deleteTombstones(appId, idMappings.map((m) => m.sourceRecordId));
+        }
+    }
+
+    /**
+     * 復元先のクライアント
+     * 復元先の環境・認証情報が指定されていない場合は設定のクライアントを使用する
+     */
+    createRestoreClient(target) {
+        const { domain = '', apiToken = '', username = '', password = '' } = target || {};
+        const hasCredentials = !!apiToken || !!username;
+
+        if (!hasCredentials) {
+            if (domain && domain !== this.config.kintone.domain) {
+                throw new Error('別の環境へ復元する場合は復元先の API トークンまたはユーザー名・パスワードを指定してください');
+            }
+            return this.kintoneClient;
+        }
+        if (!apiToken && !password) {
+            throw new Error('復元先のパスワードを入力してください');
+        }
+
+        return new KintoneClient({ domain: domain || this.config.kintone.domain, apiToken, username, password });
+    }
+
+    /**
+     * 復元先のフォームとバックアップ時のフィールド情報の照合
+     * 対応付けの指定がない場合は保存した対応付けを使い、saveFieldMapping の指定があれば対応付けを保存する
+     * フィールド情報のない古いバックアップは照合しない（null を返す）
+     */
+    async createFieldMapper(client, sourceAppId, appId, metadataLocation, options = {}) {
+        const loaded = await this.loadFieldMapper(client, sourceAppId, appId, metadataLocation, options.fieldMapping);
+        if (!loaded) {
+            return null;
+        }
+
+        const { fieldMapper } = loaded;
+        if (options.saveFieldMapping) {
+            this.db.saveFieldMapping(sourceAppId, client.config.domain, appId, fieldMapper.getMapping());
+        }
+
+        if (fieldMapper.mappedFieldCount === 0) {
+            throw new Error(`復元先のアプリ (ID: ${appId}) にバックアップと一致するフィールドがありません`);
+        }
+        if (fieldMapper.droppedFields.length > 0) {
+            this.logger.warn(`Fields dropped for restore into app ${appId}: ${fieldMapper.droppedFields.map((f) => FieldMapper.describe(f)).join(', ')}`);
+        }
+
+        return fieldMapper;
+    }
+
+    // バックアップ時のフィールド情報と復元先のフォームを読み込んで照合
+    async loadFieldMapper(client, sourceAppId, appId, metadataLocation, fieldMapping = null) {
+        const metadata = metadataLocation ? await this.readJsonFromZip(metadataLocation, 'backup_metadata.json') : null;
+        if (!metadata || !metadata.fieldProperties) {
+            return null;
+        }
+
+        const targetProperties = await client.getFormFields(appId);
+        const saved = this.db.getFieldMapping(sourceAppId, client.config.domain, appId);
+        const fieldMapper = new FieldMapper(metadata.fieldProperties, targetProperties, fieldMapping || saved?.mapping || {});
+
+        return { fieldMapper, saved };
+    }
+
+    /**
+     * 指定日時時点への復元のフィールドの対応付け（対応付け画面の表示用）
+     * fieldMapping を指定した場合はその対応付けで照合し直す
+     */
+    async getPointInTimeFieldMapping(appId, targetDatetime, options = {}) {
+        const chain = this.db.getRestoreChain(appId, targetDatetime);
+        if (chain.length === 0) {
+            throw new Error('指定日時以前の全体バックアップが見つかりません');
+        }
+
+        const client = this.createRestoreClient(options.target);
+        const targetAppId = options.target?.appId || appId;
+        const loaded = await this.loadFieldMapper(client, appId, targetAppId, chain[chain.length - 1].file_path, options.fieldMapping);
+        if (!loaded) {
+            return { available: false, targetDomain: client.config.domain, targetAppId, fields: [] };
+        }
+
+        const { fieldMapper, saved } = loaded;
+        return {
+            available: true,
+            targetDomain: client.config.domain,
+            targetAppId,
+            savedAt: saved ? saved.updatedAt : null,
+            hasDrift: fieldMapper.hasDrift,
+            fields: fieldMapper.fieldList,
+            mapping: fieldMapper.getMapping(),
+            missingRequiredFields: fieldMapper.getMissingRequiredFields(),
+        };
+    }
+
+    /**
+     * 1バッチ分のレコードを復元（添付ファイルの再アップロード、既存レコードの更新、新規レコードの追加）
+     */
+    async restoreRecordBatch(appId, recordsToRestore, resolver, options = {}) {
+        const { client = this.kintoneClient, fieldMapper = null, dryRun = false, conflictPolicy = 'overwrite', atomic = false, snapshot = null } = options;
+        const { matchExisting = false, checkConflicts = false } = options;
+        const { preserveAuditFields = false, missingUsers = new Set(), statusFlow = null, lookupKeys = [] } = options;
+
+        // 一括復元で先に復元した参照先のレコード番号が変わった場合は、ルックアップのキーを新しいレコード番号に書き換え
+        if (lookupKeys.length > 0) {
+            recordsToRestore = recordsToRestore.map((record) => this.withRewrittenLookupKeys(record, lookupKeys));
+        }
+
+        // システムフィールドと復元先に書き込めないフィールドを除外してクリーンアップ
+        const cleanedRecords = recordsToRestore.map((record) => {
+            const cleaned = this.cleanRecordForRestore(record);
+            return fieldMapper ? fieldMapper.mapRecord(cleaned) : cleaned;
+        });
+
+        // 添付ファイルの再アップロード（バックアップ時の fileKey は使えないため差し替え、ドライランではアップロードしない）
+        const { records: preparedRecords, missingFiles, uploadedFileCount } = dryRun
+            ? { records: cleanedRecords, missingFiles: [], uploadedFileCount: 0 }
+            : await this.prepareAttachmentsForRestore(client, resolver, recordsToRestore, cleanedRecords);
+
+        // 元レコードから「レコード番号的な値」を抽出
+        const recordNumberList = recordsToRestore.map((record) => {
+            if (record.$id && record.$id.value) return String(record.$id.value);
+            if (record['レコード番号'] && record['レコード番号'].value) return String(record['レコード番号'].value);
+            return null;
+        });
+
+        // 一意な検索キー（null を除去）
+        const uniqueRecordNumbers = Array.from(new Set(recordNumberList.filter((v) => v !== null)));
+
+        // レコード番号 -> kintone レコードID のマッピングを取得（元のアプリへの復元のみ。それ以外はすべて追加）
+        let mapping = {};
+        if (matchExisting && uniqueRecordNumbers.length > 0) {
+            try {
+                mapping = await client.findRecordIdsByRecordNumbers(appId, uniqueRecordNumbers);
+                this.logger.info(`Found mapping keys: ${Object.keys(mapping).length}`);
+            } catch (err) {
+                this.logger.error('findRecordIdsByRecordNumbers failed:', err);
+                console.error('Mapping error:', err);
+                mapping = {};
+            }
+        }
+
+        // 更新対象と追加対象に振り分け
+        const updates = [];
+        const updateSources = [];
+        const adds = [];
+        const addSources = [];
+        const idMappings = [];
+
+        for (let i = 0; i < preparedRecords.length; i++) {
+            const rec = preparedRecords[i];
+            const num = recordNumberList[i];
+            const mappedId = num != null ? mapping[String(num)] : undefined;
+            const sourceRecordId = recordsToRestore[i].$id?.value;
+
+            if (mappedId) {
+                updates.push({ id: String(mappedId), record: rec });
+                updateSources.push({ sourceRecordId, archivedRevision: recordsToRestore[i].$revision?.value, index: i });
+                if (sourceRecordId) {
+                    idMappings.push({ sourceRecordId: String(sourceRecordId), targetRecordId: String(mappedId) });
+                }
+            } else {
+                adds.push(rec);
+                addSources.push({ sourceRecordId, conflict: null, index: i });
+            }
+        }
+
+        // 更新対象の現在のレコード（ドライランは変更内容の表示用、それ以外は復元前のスナップショット用に全フィールドを取得）
+        const liveRecords = updates.length > 0 ? await this.fetchLiveRecords(client, appId, updates.map((update) => update.id)) : new Map();
+
+        // バックアップ後に編集されたレコード（競合）を方針に従って振り分け、上書きする場合は true を返す
+        const conflicts = [];
+        const skipped = [];
+        const divertConflict = (update, source, liveRevision) => {
+            const conflict = {
+                sourceRecordId: source.sourceRecordId ? String(source.sourceRecordId) : null,
+                targetRecordId: update.id,
+                archivedRevision: String(source.archivedRevision),
+                liveRevision: String(liveRevision),
+                resolution: CONFLICT_RESOLUTIONS[conflictPolicy],
+            };
+            conflicts.push(conflict);
+
+            if (conflictPolicy === 'copy') {
+                adds.push(update.record);
+                addSources.push({ sourceRecordId: source.sourceRecordId, conflict, index: source.index });
+            } else if (conflictPolicy === 'skip') {
+                skipped.push({ update, conflict });
+            }
+            return conflictPolicy === 'overwrite';
+        };
+
+        if (checkConflicts) {
+            const kept = [];
+            const keptSources = [];
+            updates.forEach((update, i) => {
+                const source = updateSources[i];
+                const liveRevision = liveRecords.get(update.id)?.$revision?.value;
+
+                if (liveRevision === undefined || !source.archivedRevision || String(liveRevision) === String(source.archivedRevision)) {
+                    // 確認後に編集された場合は kintone 側で更新を拒否させる
+                    kept.push(conflictPolicy === 'overwrite' || liveRevision === undefined ? update : { ...update, revision: String(liveRevision) });
+                    keptSources.push(source);
+                } else if (divertConflict(update, source, liveRevision)) {
+                    kept.push(update);
+                    keptSources.push(source);
+                }
+            });
+            updates.splice(0, updates.length, ...kept);
+            updateSources.splice(0, updateSources.length, ...keptSources);
+        }
+
+        // 作成者・作成日時・更新者・更新日時を保持する場合は、追加するレコードにバックアップ時の値を設定（更新では変更できない）
+        let auditFieldCodes = preserveAuditFields && adds.length > 0 ? await this.getAuditFieldCodes(client, appId) : null;
+        if (auditFieldCodes) {
+            adds.forEach((record, i) => {
+                adds[i] = this.withAuditFields(record, recordsToRestore[addSources[i].index], auditFieldCodes, missingUsers);
+            });
+        }
+
+        this.logger.info(`Prepared updates: ${updates.length}, adds: ${adds.length}, conflicts: ${conflicts.length}`);
+
+        if (dryRun) {
+            return { previews: this.previewRecordBatch({ updates, updateSources, adds, addSources, skipped, conflicts, liveRecords }) };
+        }
+
+        // 書き込む前に更新するレコードの現在の値を保存
+        if (snapshot) {
+            await this.addToRestoreSnapshot(snapshot, appId, updates, liveRecords);
+        }
+
+        let writtenUpdates = []; // 更新したレコード（updates と updateSources の組）
+        let addedIds = [];
+        let updateFailed = false;
+        let addFailed = false;
+
+        if (atomic) {
+            // 一括モードは更新・追加を一括リクエストで書き込み、失敗した場合は呼び出し側で復元前の状態に戻す
+            try {
+                addedIds = await this.writeWithMissingUserFallback(
+                    (remainingUpdates, remainingAdds) => client.bulkWriteRecords(appId, { updates: remainingUpdates, adds: remainingAdds }),
+                    updates,
+                    adds,
+                    auditFieldCodes,
+                    missingUsers
+                );
+            } catch (err) {
+                snapshot?.addedRecordIds.push(...(err.addedIds || []));
+                throw err;
+            }
+            writtenUpdates = updates.map((update, i) => ({ update, source: updateSources[i] }));
+        } else {
+            // 実際の API 呼び出し
+            if (updates.length > 0) {
+                const addCount = adds.length;
+                const result = await this.updateRecordsWithRevisionCheck(client, appId, updates, updateSources, divertConflict);
+                writtenUpdates = result.writtenUpdates;
+                updateFailed = result.updateFailed;
+
+                // 確認後に編集されて別レコードとして追加するレコードにも、バックアップ時の作成者・更新者などを設定
+                if (preserveAuditFields && adds.length > addCount) {
+                    auditFieldCodes = auditFieldCodes || (await this.getAuditFieldCodes(client, appId));
+                    for (let i = addCount; i < adds.length; i++) {
+                        adds[i] = this.withAuditFields(adds[i], recordsToRestore[addSources[i].index], auditFieldCodes, missingUsers);
+                    }
+                }
+            }
+
+            if (adds.length > 0) {
+                try {
+                    addedIds = await this.writeWithMissingUserFallback(
+                        (remainingUpdates, remainingAdds) => client.addAllRecords(appId, remainingAdds),
+                        [],
+                        adds,
+                        auditFieldCodes,
+                        missingUsers
+                    );
+                } catch (err) {
+                    // 失敗する前に追加したレコードも、件数・ID の対応・取り消しの対象に含める
+                    addedIds = err.addedIds || [];
+                    addFailed = true;
+                    this.logger.error('Failed to add records during restore:', err);
+                }
+            }
+        }
+
+        snapshot?.addedRecordIds.push(...addedIds);
+        this.assignAddedRecordIds(addedIds, addSources, idMappings);
+
+        // 書き込んだレコード（復元先のレコードIDとバックアップのレコード）
+        const writtenRecords = [
+            ...writtenUpdates.map(({ update, source }) => ({ id: update.id, record: recordsToRestore[source.index] })),
+            ...addedIds.map((id, i) => ({ id: String(id), record: recordsToRestore[addSources[i].index] })),
+        ];
+
+        // 書き込んだレコードのステータス・作業者をバックアップ時の状態に戻す
+        const { unreachable: unreachableStatuses, changedRecordIds: statusChangedRecordIds } = statusFlow
+            ? await this.replayRecordStatuses(client, appId, writtenRecords, statusFlow)
+            : { unreachable: [], changedRecordIds: [] };
+        snapshot?.statusChangedRecordIds.push(...statusChangedRecordIds);
+
+        if (snapshot && writtenRecords.length > 0) {
+            await this.recordWrittenRevisions(snapshot, client, appId, writtenRecords.map(({ id }) => id));
+        }
+
+        return {
+            updatedCount: writtenUpdates.length,
+            addedCount: addedIds.length,
+            skippedCount: skipped.length,
+            updateFailed,
+            addFailed,
+            missingFiles,
+            uploadedFileCount,
+            idMappings,
+            conflicts,
+            unreachableStatuses,
+            writtenRecordIds: writtenRecords.map(({ id, record }) => ({ sourceRecordId: record.$id ? String(record.$id.value) : null, targetRecordId: id })),
+        };
+    }
+
+    /**
+     * バックアップのコメントを復元先のレコードに投稿（投稿者・投稿日時は変更できないため本文の先頭に記載）
+     * 同じアプリへの復元で残っているコメントと、以前の復元で投稿済みのコメントは投稿しない
+     */
+    async restoreRecordComments(client, appId, writtenRecordIds, archiveLocations, sameApp) {
+        const archivedComments = await this.loadArchivedComments(archiveLocations);
+        let postedCount = 0;
+        const failures = [];
+
+        for (const { sourceRecordId, targetRecordId } of writtenRecordIds) {
+            const comments = archivedComments.get(String(sourceRecordId));
+            if (!comments) {
+                continue;
+            }
+
+            try {
+                const liveComments = await client.getAllRecordComments(appId, targetRecordId);
+                const liveIds = new Set(sameApp && sourceRecordId === targetRecordId ? liveComments.map((comment) => String(comment.id)) : []);
+                const liveTexts = new Set(liveComments.map((comment) => comment.text));
+
+                for (const comment of comments) {
+                    const text = this.formatRestoredComment(comment);
+                    if (liveIds.has(comment.id) || liveTexts.has(text)) {
+                        continue;
+                    }
+                    await client.addRecordComment(appId, targetRecordId, text);
+                    postedCount++;
+                }
+            } catch (error) {
+                this.logger.error(`Failed to restore comments of record ${targetRecordId} in app ${appId}:`, error);
+                failures.push({ sourceRecordId, targetRecordId, error: error.message });
+            }
+        }
+
+        return { postedCount, failures };
+    }
+
+    // 復元するコメントの本文（元の投稿者・投稿日時を先頭に記載）
+    formatRestoredComment(comment) {
+        const creator = comment.creator ? `${comment.creator.name} (${comment.creator.code})` : '不明';
+        return `[元の投稿者: ${creator} / 投稿日時: ${comment.createdAt}]\n${comment.text}`;
+    }
+
+    // アーカイブのコメント（レコードID -> コメント。同じレコードは後のアーカイブの内容を優先）
+    async loadArchivedComments(archiveLocations) {
+        const archivedComments = new Map();
+        for (const location of archiveLocations) {
+            const entries = (await this.readJsonFromZip(location, COMMENTS_ENTRY_NAME)) || [];
+            for (const entry of entries) {
+                archivedComments.set(String(entry.recordId), entry.comments);
+            }
+        }
+        return archivedComments;
+    }
+
+    // プロセス管理の設定（バックアップ時の設定、バックアップに含まれていない場合は復元先の現在の設定）
+    async loadProcessFlow(client, appId, metadataLocation) {
+        const settings = metadataLocation ? await this.readJsonFromZip(metadataLocation, 'app_settings.json') : null;
+        let processManagement = settings?.sections?.processManagement;
+
+        if (!processManagement) {
+            try {
+                const { revision, ...current } = await client.callAppApi('getProcessManagement', { app: appId, lang: 'default' });
+                processManagement = current;
+            } catch (error) {
+                this.logger.warn(`Failed to get process management settings for app ${appId}: ${error.message}`);
+            }
+        }
+
+        return new ProcessFlow(processManagement);
+    }
+
+    /**
+     * 書き込んだレコードのステータスをバックアップ時のステータスまでアクションを実行して進め、作業者を設定
+     * 同じ段階のアクションはまとめて実行し、到達できなかったレコードを返す
+     */
+    async replayRecordStatuses(client, appId, writtenRecords, statusFlow) {
+        const targets = [];
+        for (const { id, record } of writtenRecords) {
+            const statusField = Object.values(record).find((field) => field && field.type === 'STATUS');
+            if (!statusField || !statusField.value) {
+                continue;
+            }
+            const assigneeField = Object.values(record).find((field) => field && field.type === 'STATUS_ASSIGNEE');
+            targets.push({
+                id,
+                sourceRecordId: record.$id ? String(record.$id.value) : null,
+                status: statusField.value,
+                assignees: (assigneeField?.value || []).map((user) => user.code),
+            });
+        }
+        if (targets.length === 0) {
+            return { unreachable: [], changedRecordIds: [] };
+        }
+
+        const unreachable = [];
+        const changed = new Set(); // アクションを実行した・作業者を更新したレコード
+        const report = (target, reason) => {
+            unreachable.push({ sourceRecordId: target.sourceRecordId, targetRecordId: target.id, status: target.status, reason });
+        };
+
+        const statusFieldCode = await client.getFieldCodeByType(appId, 'STATUS');
+        if (!statusFlow.enabled || !statusFieldCode) {
+            targets.forEach((target) => report(target, '復元先のアプリでプロセス管理が有効ではありません'));
+            return { unreachable, changedRecordIds: [] };
+        }
+
+        // 現在のステータスから経路を求める（追加したレコードは最初のステータス）
+        const liveRecords = await this.fetchLiveRecords(client, appId, targets.map((target) => target.id), ['$id', statusFieldCode]);
+        const reached = [];
+        let moving = [];
+        for (const target of targets) {
+            const current = liveRecords.get(target.id)?.[statusFieldCode]?.value;
+            const path = statusFlow.findPath(current, target.status);
+            if (!path) {
+                report(target, `「${current}」から「${target.status}」へ進めるアクションがありません`);
+                continue;
+            }
+            const progress = { ...target, path, step: 0 };
+            reached.push(progress);
+            if (path.length > 0) {
+                moving.push(progress);
+            }
+        }
+
+        while (moving.length > 0) {
+            const requests = moving.map((progress) => {
+                const action = progress.path[progress.step];
+                const request = { id: progress.id, action: action.name };
+                if (statusFlow.requiresAssignee(action.to) && progress.assignees.length > 0) {
+                    request.assignee = progress.assignees[0];
+                }
+                return request;
+            });
+            const failed = await this.runStatusActions(client, appId, requests);
+
+            const next = [];
+            for (const progress of moving) {
+                if (failed.has(progress.id)) {
+                    report(progress, `アクション「${progress.path[progress.step].name}」を実行できませんでした: ${failed.get(progress.id)}`);
+                    reached.splice(reached.indexOf(progress), 1);
+                    continue;
+                }
+                changed.add(progress.id);
+                progress.step++;
+                if (progress.step < progress.path.length) {
+                    next.push(progress);
+                }
+            }
+            moving = next;
+        }
+
+        // 作業者がバックアップ時と異なるレコードは作業者を更新
+        const assigneeFieldCode = await client.getFieldCodeByType(appId, 'STATUS_ASSIGNEE');
+        const withAssignees = reached.filter((progress) => progress.assignees.length > 0);
+        if (assigneeFieldCode && withAssignees.length > 0) {
+            const liveAssignees = await this.fetchLiveRecords(client, appId, withAssignees.map((progress) => progress.id), ['$id', assigneeFieldCode]);
+            for (const progress of withAssignees) {
+                const current = (liveAssignees.get(progress.id)?.[assigneeFieldCode]?.value || []).map((user) => user.code);
+                if ([...current].sort().join('\n') === [...progress.assignees].sort().join('\n')) {
+                    continue;
+                }
+                try {
+                    await client.updateRecordAssignees(appId, progress.id, progress.assignees);
+                    changed.add(progress.id);
+                } catch (error) {
+                    report(progress, `作業者を設定できませんでした: ${error.message}`);
+                }
+            }
+        }
+
+        if (unreachable.length > 0) {
+            this.logger.warn(`Could not restore status of ${unreachable.length} records in app ${appId}`);
+        }
+        return { unreachable, changedRecordIds: [...changed] };
+    }
+
+    // アクションの実行（一括更新は1件でも失敗するとすべて取り消されるため、失敗した場合は1件ずつ実行して失敗したレコードを特定）
+    async runStatusActions(client, appId, requests) {
+        const failed = new Map(); // レコードID -> エラーメッセージ
+
+        for (let i = 0; i < requests.length; i += STATUS_UPDATE_BATCH_SIZE) {
+            const batch = requests.slice(i, i + STATUS_UPDATE_BATCH_SIZE);
+            try {
+                await client.updateRecordsStatus(appId, batch);
+            } catch (error) {
+                if (batch.length === 1) {
+                    failed.set(batch[0].id, error.message);
+                    continue;
+                }
+                for (const request of batch) {
+                    try {
+                        await client.updateRecordsStatus(appId, [request]);
+                    } catch (requestError) {
+                        failed.set(request.id, requestError.message);
+                    }
+                }
+            }
+        }
+
+        return failed;
+    }
+
+    // ルックアップのキーを書き換えたレコード（テーブル内のルックアップは各行を書き換え）
+    withRewrittenLookupKeys(record, lookupKeys) {
+        const rewritten = { ...record };
+        const rewrite = (field, keys) => {
+            const newKey = field ? keys.get(String(field.value)) : undefined;
+            return newKey ? { ...field, value: newKey } : field;
+        };
+
+        for (const { fieldCode, subtableCode, keys } of lookupKeys) {
+            if (!subtableCode) {
+                if (rewritten[fieldCode]) {
+                    rewritten[fieldCode] = rewrite(rewritten[fieldCode], keys);
+                }
+                continue;
+            }
+
+            const subtable = rewritten[subtableCode];
+            if (subtable && Array.isArray(subtable.value)) {
+                rewritten[subtableCode] = {
+                    ...subtable,
+                    value: subtable.value.map((row) => (row.value?.[fieldCode] ? { ...row, value: { ...row.value, [fieldCode]: rewrite(row.value[fieldCode], keys) } } : row)),
+                };
+            }
+        }
+
+        return rewritten;
+    }
+
+    // 作成者・作成日時・更新者・更新日時の復元先のフィールドコード（フィールドタイプ -> フィールドコード）
+    async getAuditFieldCodes(client, appId) {
+        const fieldCodes = {};
+        for (const type of AUDIT_FIELD_TYPES) {
+            fieldCodes[type] = await client.getFieldCodeByType(appId, type);
+        }
+        return fieldCodes;
+    }
+
+    // 追加するレコードにバックアップ時の作成者・作成日時・更新者・更新日時を設定（存在しないユーザーは設定しない）
+    withAuditFields(record, originalRecord, auditFieldCodes, missingUsers) {
+        const result = { ...record };
+
+        for (const field of Object.values(originalRecord)) {
+            const fieldCode = field && auditFieldCodes[field.type];
+            if (!fieldCode || !field.value) {
+                continue;
+            }
+
+            if (!AUDIT_USER_FIELD_TYPES.includes(field.type)) {
+                result[fieldCode] = { type: field.type, value: field.value };
+            } else if (field.value.code && !missingUsers.has(field.value.code)) {
+                result[fieldCode] = { type: field.type, value: { code: field.value.code } };
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * 既存レコードの更新（リビジョンを指定した更新は、確認後に1件でも編集されると kintone がリクエスト全体を拒否する）
+     * リビジョンの不一致で拒否された場合は、編集されたレコードを divertConflict で競合として振り分け直して続きから再実行
+     */
+    async updateRecordsWithRevisionCheck(client, appId, updates, updateSources, divertConflict) {
+        const writtenUpdates = [];
+        let remaining = updates.map((update, i) => ({ update, source: updateSources[i] }));
+
+        while (remaining.length > 0) {
+            try {
+                await client.updateAllRecords(appId, remaining.map(({ update }) => update));
+                writtenUpdates.push(...remaining);
+                break;
+            } catch (err) {
+                const written = remaining.slice(0, err.updatedCount || 0);
+                writtenUpdates.push(...written);
+                remaining = remaining.slice(written.length);
+
+                const editedIds = err.code === REVISION_MISMATCH_ERROR_CODE ? await this.findEditedRecordIds(client, appId, remaining) : new Map();
+                if (editedIds.size === 0) {
+                    this.logger.error('Failed to update records during restore:', err);
+                    return { writtenUpdates, updateFailed: true };
+                }
+
+                this.logger.warn(`Records edited during the restore: ${[...editedIds.keys()].join(', ')}`);
+                remaining = remaining.filter(({ update, source }) => !editedIds.has(update.id) || divertConflict(update, source, editedIds.get(update.id)));
+            }
+        }
+
+        return { writtenUpdates, updateFailed: false };
+    }
+
+    // 指定したリビジョンから変更されたレコード（レコードID -> 現在のリビジョン、削除されたレコードは含めない）
+    async findEditedRecordIds(client, appId, entries) {
+        const withRevision = entries.filter(({ update }) => update.revision !== undefined);
+        if (withRevision.length === 0) {
+            return new Map();
+        }
+
+        const liveRecords = await this.fetchLiveRecords(client, appId, withRevision.map(({ update }) => update.id), ['$id', '$revision']);
+        const editedIds = new Map();
+        for (const { update } of withRevision) {
+            const liveRevision = liveRecords.get(update.id)?.$revision?.value;
+            if (liveRevision !== undefined && String(liveRevision) !== String(update.revision)) {
+                editedIds.set(update.id, String(liveRevision));
+            }
+        }
+        return editedIds;
+    }
+
+    /**
+     * レコードの書き込み（作成者・更新者に存在しないユーザーを指定して失敗した場合は、そのユーザーを除いて続きから再実行）
+     * write(updates, adds) は追加したレコードIDを返し、失敗時は書き込み済みの件数を error.updatedCount・error.addedIds に、
+     * 失敗したリクエストの先頭のレコードの位置（未追加のレコードのうち何件目か）を error.failedAddOffset に設定する
+     */
+    async writeWithMissingUserFallback(write, updates, adds, auditFieldCodes, missingUsers) {
+        const addedIds = [];
+        let remainingUpdates = updates;
+        let remainingAdds = adds;
+
+        for (;;) {
+            try {
+                addedIds.push(...(await write(remainingUpdates, remainingAdds)));
+                return addedIds;
+            } catch (error) {
+                const written = error.addedIds || [];
+                addedIds.push(...written);
+                remainingUpdates = remainingUpdates.slice(error.updatedCount || 0);
+                remainingAdds = remainingAdds.slice(written.length);
+
+                const found = auditFieldCodes ? this.findMissingUsers(error, remainingAdds, auditFieldCodes, missingUsers) : [];
+                if (found.length === 0) {
+                    error.addedIds = addedIds;
+                    throw error;
+                }
+
+                this.logger.warn(`Users not found, adding records without them as creator/modifier: ${found.join(', ')}`);
+                remainingAdds = remainingAdds.map((record) => this.withoutMissingUsers(record, auditFieldCodes, missingUsers));
+            }
+        }
+    }
+
+    /**
+     * エラーの項目（error.errors のキー records[N].<フィールドコード>.value...）が作成者・更新者を指すレコードのユーザーコードを missingUsers に追加して返す
+     * メッセージは言語や文言が変わるため参照せず、失敗したリクエストの位置（error.failedAddOffset）がわからない場合は何も返さない
+     */
+    findMissingUsers(error, records, auditFieldCodes, missingUsers) {
+        if (!Number.isInteger(error.failedAddOffset) || !error.errors) {
+            return [];
+        }
+
+        const userFieldCodes = new Set(AUDIT_USER_FIELD_TYPES.map((type) => auditFieldCodes[type]).filter(Boolean));
+        const found = [];
+
+        for (const key of Object.keys(error.errors)) {
+            const match = key.match(/^records\[(\d+)\]\.(.+?)\.value(?:\.code)?$/);
+            if (!match || !userFieldCodes.has(match[2])) {
+                continue;
+            }
+            const code = records[error.failedAddOffset + Number(match[1])]?.[match[2]]?.value?.code;
+            if (code && !missingUsers.has(code)) {
+                missingUsers.add(code);
+                found.push(code);
+            }
+        }
+
+        return found;
+    }
+
+    // 存在しないユーザーを作成者・更新者から除外
+    withoutMissingUsers(record, auditFieldCodes, missingUsers) {
+        const result = { ...record };
+        for (const type of AUDIT_USER_FIELD_TYPES) {
+            const fieldCode = auditFieldCodes[type];
+            if (fieldCode && result[fieldCode] && missingUsers.has(result[fieldCode].value?.code)) {
+                delete result[fieldCode];
+            }
+        }
+        return result;
+    }
+
+    // 追加したレコードは新しい ID になるため対応を記録（競合して別レコードとして追加したものは記録しない）
+    assignAddedRecordIds(addedIds, addSources, idMappings) {
+        addedIds.forEach((targetRecordId, i) => {
+            const source = addSources[i];
+            if (source.conflict) {
+                source.conflict.copyRecordId = String(targetRecordId);
+            } else if (source.sourceRecordId) {
+                idMappings.push({ sourceRecordId: String(source.sourceRecordId), targetRecordId: String(targetRecordId) });
+            }
+        });
+    }
+
+    /**
+     * 復元前のスナップショットの開始
+     * 「復元前」のバックアップとして記録し、書き込むレコードの変更前の値をバッチごとに ZIP へ追加する
+     */
+    createRestoreSnapshot(appId, appName, { client, hostname = '', appVersion = '' }) {
+        const startTime = new Date().toISOString();
+        const timestamp = startTime.replace(/[:.]/g, '-').replace('T', '_').substring(0, 19);
+        const zipFileName = `app_${appId}_${timestamp}_snapshot.zip`;
+
+        const backupId = this.db.insertBackup({
+            app_id: appId,
+            app_name: appName,
+            backup_type: SNAPSHOT_BACKUP_TYPE,
+            trigger_type: SNAPSHOT_TRIGGER_TYPE,
+            start_time: startTime,
+            status: '実行中',
+            hostname,
+            app_version: appVersion,
+            remarks: client !== this.kintoneClient ? `復元先: ${client.config.domain}` : null,
+        });
+
+        return {
+            backupId,
+            client,
+            startTime,
+            startTimestamp: Date.now(),
+            zipFileName,
+            zipFilePath: path.join(this.archivesDir, '.staging', zipFileName),
+            writer: null,
+            archiveCrypto: this.config.backup?.encryption?.enabled ? this.getArchiveCrypto() : null,
+            recordIds: new Set(),
+            attachments: [],
+            addedRecordIds: [],
+            revisions: {}, // 書き込んだレコードID -> 書き込んだ後のリビジョン（取得できなかった場合は null）
+            statusChangedRecordIds: [], // ステータス・作業者を変更したレコードID（取り消しでは元に戻せない）
+        };
+    }
+
+    async openSnapshotWriter(snapshot) {
+        if (!snapshot.writer) {
+            await fs.ensureDir(path.dirname(snapshot.zipFilePath));
+            snapshot.writer = new BackupArchiveWriter(snapshot.zipFilePath, snapshot.archiveCrypto);
+        }
+        return snapshot.writer;
+    }
+
+    /**
+     * 更新するレコードの復元前の値をスナップショットに追加
+     * 復元で書き込むフィールドのみ保存し、添付ファイルはバックアップと同じく添付ファイルストアに保存する
+     * 同じレコードを複数回更新する場合は最初の状態を残す
+     */
+    async addToRestoreSnapshot(snapshot, appId, updates, liveRecords) {
+        const records = [];
+        for (const update of updates) {
+            const liveRecord = liveRecords.get(update.id);
+            if (!liveRecord || snapshot.recordIds.has(update.id)) {
+                continue;
+            }
+
+            const record = { $id: liveRecord.$id, $revision: liveRecord.$revision };
+            for (const fieldCode of Object.keys(update.record)) {
+                if (liveRecord[fieldCode]) {
+                    record[fieldCode] = liveRecord[fieldCode];
+                }
+            }
+            records.push(record);
+            snapshot.recordIds.add(update.id);
+        }
+
+        if (records.length === 0) {
+            return;
+        }
+        await (await this.openSnapshotWriter(snapshot)).writeRecords(records);
+        snapshot.attachments.push(...(await this.downloadAttachments(snapshot.backupId, appId, records, snapshot.archiveCrypto, snapshot.client)));
+    }
+
+    /**
+     * 書き込んだ後のリビジョンをスナップショットに記録（復元の取り消しで、復元後に編集されたレコードを戻さないため）
+     * 取得に失敗した場合は復元を失敗させず、リビジョンを確認せずに取り消せるよう null を記録する
+     */
+    async recordWrittenRevisions(snapshot, client, appId, recordIds) {
+        let liveRecords = new Map();
+        try {
+            liveRecords = await this.fetchLiveRecords(client, appId, recordIds, ['$id', '$revision']);
+        } catch (error) {
+            this.logger.warn(`Failed to fetch revisions of restored records: ${error.message}`);
+        }
+        for (const id of recordIds) {
+            snapshot.revisions[id] = liveRecords.get(id)?.$revision?.value ?? null;
+        }
+    }
+
+    /**
+     * 復元前のスナップショットを保存してバックアップIDを返す
+     * 書き込んだレコードがない場合は記録を削除して null を返す
+     */
+    async completeRestoreSnapshot(snapshot, appId) {
+        if (snapshot.recordIds.size === 0 && snapshot.addedRecordIds.length === 0) {
+            await this.discardRestoreSnapshot(snapshot);
+            return null;
+        }
+
+        try {
+            const writer = await this.openSnapshotWriter(snapshot);
+            await writer.addJsonEntry(SNAPSHOT_ENTRY_NAME, {
+                addedRecordIds: snapshot.addedRecordIds,
+                revisions: snapshot.revisions,
+                statusChangedRecordIds: snapshot.statusChangedRecordIds,
+            });
+            const originalSize = await this.completeBackupZip(appId, writer, [], snapshot.attachments, snapshot.client);
+
+            const compressedSize = (await fs.stat(snapshot.zipFilePath)).size;
+            const archiveLocation = await this.storage.getActiveTarget().put(snapshot.zipFileName, snapshot.zipFilePath);
+
+            this.db.updateBackup(snapshot.backupId, {
+                end_time: new Date().toISOString(),
+                duration_seconds: (Date.now() - snapshot.startTimestamp) / 1000,
+                record_count: snapshot.recordIds.size,
+                file_path: archiveLocation,
+                data_size_mb: (compressedSize / (1024 * 1024)).toFixed(2),
+                compression_ratio: originalSize > 0 ? parseFloat(((1 - compressedSize / originalSize) * 100).toFixed(2)) : 0,
+                status: '成功',
+                encrypted: snapshot.archiveCrypto ? 1 : 0,
+            });
+
+            this.logger.info(`Saved pre-restore snapshot ${snapshot.backupId} for app ${appId}: ${snapshot.recordIds.size} records, ${snapshot.addedRecordIds.length} added`);
+            return snapshot.backupId;
+        } catch (error) {
+            if (snapshot.writer) {
+                snapshot.writer.abort();
+                await fs.remove(snapshot.zipFilePath);
+            }
+            this.db.updateBackup(snapshot.backupId, { status: '失敗', error_details: error.message, end_time: new Date().toISOString() });
+            this.releaseAttachmentRefs(snapshot.backupId);
+            throw error;
+        }
+    }
+
+    // 書き込みがなかった復元前のスナップショットの破棄
+    async discardRestoreSnapshot(snapshot) {
+        if (snapshot.writer) {
+            snapshot.writer.abort();
+            await fs.remove(snapshot.zipFilePath);
+        }
+        this.db.deleteBackup(snapshot.backupId, (hash) => this.attachmentStore.removeSync(hash));
+    }
+
+    /**
+     * 復元前のスナップショットを反映（復元の取り消し・一括モードの失敗時）
+     * 更新したレコードを保存した値で更新し直し、追加したレコードを削除する
+     * スナップショット後に削除されたレコードは対象外
+     * checkRevisions を指定した場合は、復元で書き込んだレコードのうち書き込んだ後に編集されていないものだけを対象とし、編集されたレコードを changedRecordIds に返す
+     */
+    async applyRestoreSnapshot(client, appId, location, { checkRevisions = false } = {}) {
+        const { addedRecordIds = [], revisions = null, statusChangedRecordIds = [] } = (await this.readJsonFromZip(location, SNAPSHOT_ENTRY_NAME)) || {};
+        const resolver = await this.createAttachmentResolver(appId, [location]);
+        let revertedCount = 0;
+        const changedRecordIds = [];
+
+        // 記録したリビジョンと比べて戻してよいか（リビジョンを記録していない古いスナップショットは確認しない）
+        const isUnchanged = (id, liveRecord) => {
+            if (!checkRevisions || !revisions) {
+                return true;
+            }
+            if (!(id in revisions)) {
+                return false; // 競合でスキップした・更新に失敗したなど、復元で書き込んでいないレコード
+            }
+            if (revisions[id] !== null && String(liveRecord.$revision.value) !== String(revisions[id])) {
+                changedRecordIds.push(id);
+                return false;
+            }
+            return true;
+        };
+
+        for await (const records of this.readRecordBatches(location)) {
+            const liveRecords = await this.fetchLiveRecords(client, appId, records.map((record) => String(record.$id.value)), ['$id', '$revision']);
+            const existing = records.filter((record) => {
+                const id = String(record.$id.value);
+                return liveRecords.has(id) && isUnchanged(id, liveRecords.get(id));
+            });
+            if (existing.length === 0) {
+                continue;
+            }
+
+            const cleanedRecords = existing.map((record) => this.cleanRecordForRestore(record));
+            const { records: preparedRecords, missingFiles } = await this.prepareAttachmentsForRestore(client, resolver, existing, cleanedRecords);
+            if (missingFiles.length > 0) {
+                this.logger.warn(`Snapshot attachments not found: ${missingFiles.map((f) => `${f.recordId}/${f.fieldCode}/${f.fileName}`).join(', ')}`);
+            }
+
+            await client.bulkWriteRecords(appId, { updates: preparedRecords.map((record, i) => ({ id: String(existing[i].$id.value), record })) });
+            revertedCount += existing.length;
+        }
+
+        const liveAdded = addedRecordIds.length > 0 ? await this.fetchLiveRecords(client, appId, addedRecordIds, ['$id', '$revision']) : new Map();
+        const deleteIds = addedRecordIds.filter((id) => liveAdded.has(String(id)) && isUnchanged(String(id), liveAdded.get(String(id))));
+        if (deleteIds.length > 0) {
+            await client.bulkWriteRecords(appId, { deleteIds });
+        }
+
+        // ステータス・作業者はアクションの逆順の経路があるとは限らないため戻さない（削除したレコードを除いて返す）
+        const deletedIds = new Set(deleteIds.map(String));
+        const statusNotRevertedIds = statusChangedRecordIds.filter((id) => !deletedIds.has(String(id)));
+
+        this.logger.info(`Applied pre-restore snapshot for app ${appId}: reverted ${revertedCount} records, deleted ${deleteIds.length} records, changed since the restore ${changedRecordIds.length}`);
+        return { revertedCount, deletedCount: deleteIds.length, changedRecordIds, statusNotRevertedIds };
+    }
+
+    /**
+     * 復元の取り消し（復元前のスナップショットを反映し、復元で追加したレコードを削除）
+     * 別の環境へ復元した場合は options.target に復元先の認証情報を指定する
+     */
+    async undoRestore(restoreId, options = {}) {
+        const restore = this.db.getRestoreHistoryById(restoreId);
+        if (!restore) {
+            throw new Error('復元履歴が見つかりません');
+        }
+        if (restore.undone_at) {
+            throw new Error('この復元は取り消し済みです');
+        }
+
+        const snapshot = restore.snapshot_backup_id ? this.db.getBackupById(restore.snapshot_backup_id) : null;
+        if (!snapshot || snapshot.status !== '成功' || !snapshot.file_path) {
+            throw new Error('復元前のスナップショットが見つかりません');
+        }
+
+        const client = this.createRestoreClient({ domain: restore.target_domain, ...options.target });
+        try {
+            const result = await this.applyRestoreSnapshot(client, restore.app_id, snapshot.file_path, { checkRevisions: true });
+            const undoneAt = new Date().toISOString();
+            let remarks = `${restore.remarks || ''}\n取り消し: ${undoneAt} (戻したレコード:${result.revertedCount}, 削除したレコード:${result.deletedCount})`;
+            if (result.changedRecordIds.length > 0) {
+                remarks += `\n復元後に編集されたため戻さなかったレコード: ${result.changedRecordIds.join(', ')}`;
+                this.logger.warn(`Records edited since the restore were not undone: ${result.changedRecordIds.join(', ')}`);
+            }
+            if (result.statusNotRevertedIds.length > 0) {
+                remarks += `\nステータス・作業者を戻していないレコード: ${result.statusNotRevertedIds.join(', ')}`;
+            }
+            this.db.updateRestoreHistory(restoreId, { undone_at: undoneAt, remarks });
+            this.logger.info(`Undid restore ${restoreId} for app ${restore.app_id}`);
+            return { success: true, restoreId, ...result };
+        } finally {
+            client.resetCounters();
+        }
+    }
+
+    // 指定したレコードIDの現在のレコード（レコードID -> レコード）
+    async fetchLiveRecords(client, appId, recordIds, fields) {
+        const liveRecords = new Map();
+        for await (const records of client.iterateRecordsByIds(appId, recordIds, { fields })) {
+            for (const record of records) {
+                liveRecords.set(String(record.$id.value), record);
+            }
+        }
+        return liveRecords;
+    }
+
+    /**
+     * 復元内容のプレビュー（ドライラン）
+     * 更新対象のレコードは現在の値と比較して、変更されるフィールドの変更前・変更後の値を返す
+     */
+    previewRecordBatch({ updates, updateSources, adds, addSources, skipped, conflicts, liveRecords }) {
+        const conflictsById = new Map(conflicts.map((conflict) => [conflict.targetRecordId, conflict]));
+        const previews = [];
+
+        updates.forEach((update, i) => {
+            const liveRecord = liveRecords.get(update.id);
+            previews.push({
+                sourceRecordId: updateSources[i].sourceRecordId ? String(updateSources[i].sourceRecordId) : null,
+                targetRecordId: update.id,
+                // 振り分け後に削除されたレコードは追加として扱う
+                action: liveRecord ? 'update' : 'add',
+                conflict: conflictsById.get(update.id) || null,
+                changes: diffRecord(update.record, liveRecord),
+            });
+        });
+        skipped.forEach(({ update, conflict }) => {
+            previews.push({
+                sourceRecordId: conflict.sourceRecordId,
+                targetRecordId: update.id,
+                action: 'skip',
+                conflict,
+                changes: diffRecord(update.record, liveRecords.get(update.id)),
+            });
+        });
+        adds.forEach((record, i) => {
+            previews.push({
+                sourceRecordId: addSources[i].sourceRecordId ? String(addSources[i].sourceRecordId) : null,
+                targetRecordId: null,
+                action: 'add',
+                conflict: addSources[i].conflict,
+                changes: diffRecord(record, null),
+            });
+        });
+
+        return previews;
+    }
+
+    /**
+     * ZIPファイルのレコードをバッチ単位で読み込み
+     * 2.0.0 以降は records.ndjson を1行ずつ読み込み、1.0.0 は records.json 全体を読み込んで分割する
+     */
+    async *readRecordBatches(location, batchSize = RECORD_BATCH_SIZE) {
+        const directory = await this.storage.openZip(location);
+        const entry = directory.files.find((file) => file.path === 'records.ndjson');
+
+        if (!entry) {
+            const records = await this.readJsonFromZip(location, 'records.json');
+            if (!Array.isArray(records)) {
+                throw new Error('バックアップファイルに records.json がありません');
+            }
+            for (let i = 0; i < records.length; i += batchSize) {
+                yield records.slice(i, i + batchSize);
+            }
+            return;
+        }
+
+        let batch = [];
+        let lineNumber = 0;
+
+        for await (const line of splitLines(this.decryptChunks(entry.stream()))) {
+            lineNumber++;
+            try {
+                batch.push(JSON.parse(line));
+            } catch (error) {
+                throw new Error(`Failed to parse records.ndjson (line ${lineNumber}): ` + error.message);
+            }
+
+            if (batch.length >= batchSize) {
+                yield batch;
+                batch = [];
+            }
+        }
+
+        if (batch.length > 0) {
+            yield batch;
+        }
+    }
+
+    /**
+     * ストリームの内容を順に返し、先頭が暗号化ヘッダーであれば復号しながら返す
+     */
+    async *decryptChunks(stream) {
+        const iterator = stream[Symbol.asyncIterator]();
+
+        // 暗号化の判定に必要な先頭部分を読み込み
+        let head = Buffer.alloc(0);
+        while (head.length < ENCRYPTION_HEADER_PEEK_SIZE) {
+            const { value, done } = await iterator.next();
+            if (done) {
+                break;
+            }
+            head = Buffer.concat([head, value]);
+        }
+
+        const chunks = (async function* () {
+            if (head.length > 0) {
+                yield head;
+            }
+            for (;;) {
+                const { value, done } = await iterator.next();
+                if (done) {
+                    return;
+                }
+                yield value;
+            }
+        })();
+
+        if (!ArchiveCrypto.isEncrypted(head)) {
+            yield* chunks;
+            return;
+        }
+
+        const decrypted = pipeline(Readable.from(chunks), this.getArchiveCrypto().createDecryptStream(), () => {});
+        yield* decrypted;
+    }
+
+    /**
+     * ZIPファイル内のJSONエントリを読み込み（存在しない場合は null、暗号化されていれば復号）
+     */
+    async readJsonFromZip(location, entryName) {
+        return new Promise((resolve, reject) => {
+            let chunks = null;
+
+            const source = this.storage.createReadStream(location);
+            source.on('error', reject);
+
+            source
+                .pipe(unzipper.Parse())
+                .on('entry', (entry) => {
+                    if (entry.path === entryName) {
+                        chunks = [];
+                        entry.on('data', (chunk) => {
+                            chunks.push(chunk);
                         });
                     } else {
                         entry.autodrain();
                     }
                 })
+                .on('close', async () => {
+                    if (chunks === null) {
+                        resolve(null);
+                        return;
+                    }
+
+                    let data;
+                    try {
+                        data = await this.decryptIfNeeded(Buffer.concat(chunks));
+                    } catch (error) {
+                        reject(error);
+                        return;
+                    }
+
+                    try {
+                        resolve(JSON.parse(data.toString('utf8')));
+                    } catch (error) {
+                        reject(new Error(`Failed to parse ${entryName}: ` + error.message));
+                    }
+                })
+                .on('error', (error) => {
+                    reject(error);
+                });
+        });
+    }
+
+    /**
+     * バックアップの削除（ZIPファイルと、他のバックアップから参照されなくなった添付ファイルを削除）
+     */
+    async deleteBackup(backupId) {
+        const backup = this.db.getBackupById(backupId);
+        if (!backup) {
+            throw new Error('バックアップが見つかりません');
+        }
+
+        // ZIPファイルを削除
+        if (backup.file_path && (await this.storage.exists(backup.file_path))) {
+            await this.storage.delete(backup.file_path);
+        }
+
+        // DBから削除（参照されなくなった添付ファイルも同じトランザクション内で削除）
+        const orphanedHashes = this.db.deleteBackup(backupId, (hash) => this.attachmentStore.removeSync(hash));
+
+        this.logger.info(`Deleted backup ${backupId} (${backup.file_path || 'no archive'}), removed ${orphanedHashes.length} attachments`);
+
+        return { success: true, removedAttachmentCount: orphanedHashes.length };
+    }
+
+    /**
+     * バックアップの検証（マニフェストのハッシュ値・レコード数・JSON の妥当性を確認し、結果を履歴に記録）
+     */
+    async verifyBackup(backupId) {
+        const backup = this.db.getBackupById(backupId);
+        if (!backup) {
+            throw new Error('バックアップが見つかりません');
+        }
+
+        const problems = [];
+        const warnings = [];
+
+        if (!backup.file_path) {
+            if (backup.record_count > 0) {
+                problems.push('アーカイブの保存場所が記録されていません');
+            } else {
+                warnings.push('レコード0件のためアーカイブはありません');
+            }
+        } else if (!(await this.storage.exists(backup.file_path))) {
+            problems.push(`アーカイブが見つかりません: ${backup.file_path}`);
+        } else {
+            await this.verifyArchive(backup, problems, warnings);
+        }
+
+        const status = problems.length === 0 ? '正常' : '異常';
+        const verifiedAt = new Date().toISOString();
+
+        this.db.updateBackup(backupId, {
+            verify_status: status,
+            verified_at: verifiedAt,
+            verify_details: JSON.stringify({ problems, warnings }),
+        });
+
+        if (problems.length > 0) {
+            this.logger.warn(`Backup ${backupId} failed verification: ${problems.join(' / ')}`);
+        } else {
+            this.logger.info(`Backup ${backupId} verified`);
+        }
+
+        return { backupId, status, verifiedAt, problems, warnings };
+    }
+
+    /**
+     * アーカイブの内容を検証（problems: 異常、warnings: 検証できなかった項目など）
+     */
+    async verifyArchive(backup, problems, warnings) {
+        let entries;
+        try {
+            entries = await this.readZipEntries(backup.file_path);
+        } catch (error) {
+            problems.push(`アーカイブを読み込めません: ${error.message}`);
+            return;
+        }
+
+        // マニフェストのハッシュ値と照合
+        let manifest = null;
+        if (!entries.has('manifest.json')) {
+            warnings.push('マニフェストがありません（旧形式のバックアップ）');
+        } else {
+            try {
+                manifest = JSON.parse(entries.get('manifest.json').data.toString('utf8'));
+            } catch (error) {
+                problems.push('manifest.json が JSON として不正です');
+            }
+        }
+
+        let hashesMatch = !!manifest;
+        if (manifest) {
+            for (const [name, expected] of Object.entries(manifest.entries || {})) {
+                const actual = entries.get(name);
+                if (!actual) {
+                    problems.push(`${name} がありません`);
+                    hashesMatch = false;
+                } else if (actual.sha256 !== expected.sha256 || actual.size !== expected.size) {
+                    problems.push(`${name} のハッシュ値が一致しません`);
+                    hashesMatch = false;
+                }
+            }
+        }
+
+        // 復号エラーの判定（ハッシュ値が一致していればアーカイブは破損していないため、パスフレーズの問題として扱う）
+        let contentSkipped = false;
+        const handleDecryptError = (name, error) => {
+            if (ArchiveCrypto.isPassphraseError(error) && (hashesMatch || !this.passphrase)) {
+                warnings.push(`暗号化されているため内容の検証を省略しました（${error.message}）`);
+                contentSkipped = true;
+            } else {
+                problems.push(`${name} を読み込めません: ${error.message}`);
+            }
+        };
+
+        // JSON エントリの読み込み（暗号化されていれば復号）
+        const readEntry = async (name) => {
+            const entry = entries.get(name);
+            if (!entry || contentSkipped) {
+                return undefined;
+            }
+
+            let data = entry.data;
+            try {
+                data = await this.decryptIfNeeded(data);
+            } catch (error) {
+                handleDecryptError(name, error);
+                return undefined;
+            }
+
+            try {
+                return JSON.parse(data.toString('utf8'));
+            } catch (error) {
+                problems.push(`${name} が JSON として不正です`);
+                return undefined;
+            }
+        };
+
+        // レコード数の照合
+        const checkRecordCount = (count) => {
+            if (manifest && count !== manifest.recordCount) {
+                problems.push(`レコード数がマニフェストと一致しません（マニフェスト: ${manifest.recordCount}件, 実際: ${count}件）`);
+            }
+            if (backup.record_count != null && count !== backup.record_count) {
+                problems.push(`レコード数が履歴と一致しません（履歴: ${backup.record_count}件, 実際: ${count}件）`);
+            }
+        };
+
+        if (entries.has('records.ndjson')) {
+            // 2.0.0 以降は1行ずつ読み込んで件数と JSON の妥当性を確認
+            try {
+                let count = 0;
+                for await (const records of this.readRecordBatches(backup.file_path)) {
+                    count += records.length;
+                }
+                checkRecordCount(count);
+            } catch (error) {
+                handleDecryptError('records.ndjson', error);
+            }
+        } else if (!entries.has('records.json')) {
+            problems.push('レコードデータ（records.ndjson / records.json）がありません');
+        } else {
+            const records = await readEntry('records.json');
+            if (records !== undefined) {
+                if (!Array.isArray(records)) {
+                    problems.push('records.json がレコードの配列ではありません');
+                } else {
+                    checkRecordCount(records.length);
+                }
+            }
+        }
+
+        const deletedRecords = await readEntry('deleted_records.json');
+        if (manifest && Array.isArray(deletedRecords) && deletedRecords.length !== manifest.deletedRecordCount) {
+            problems.push(`削除レコード数がマニフェストと一致しません（マニフェスト: ${manifest.deletedRecordCount}件, 実際: ${deletedRecords.length}件）`);
+        }
+
+        await readEntry('backup_metadata.json');
+
+        // アプリ設定のカスタマイズファイルの存在確認
+        for (const file of AppSettingsBackup.customizeFiles(await readEntry('app_settings.json'))) {
+            if (!(await this.attachmentStore.has(file.hash))) {
+                problems.push(`カスタマイズファイルが見つかりません: ${file.name}`);
+            }
+        }
+
+        // 添付ファイルの存在確認
+        const attachments = await readEntry('attachments.json');
+        if (Array.isArray(attachments)) {
+            for (const attachment of attachments) {
+                const found = attachment.entry ? entries.has(attachment.entry) : attachment.hash && (await this.attachmentStore.has(attachment.hash));
+                if (!found) {
+                    problems.push(`添付ファイルが見つかりません: レコード ${attachment.recordId} / ${attachment.name}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * 成功した全バックアップの検証
+     */
+    async verifyAllBackups() {
+        const startTime = new Date().toISOString();
+        const backups = this.db.getBackupHistory({ status: '成功' });
+        const results = [];
+
+        this.logger.info(`Verification started for ${backups.length} backups`);
+
+        for (const backup of backups) {
+            try {
+                results.push(await this.verifyBackup(backup.id));
+            } catch (error) {
+                this.logger.error(`Failed to verify backup ${backup.id}:`, error);
+                results.push({ backupId: backup.id, status: '異常', problems: [error.message], warnings: [] });
+            }
+        }
+
+        const corruptCount = results.filter((result) => result.status === '異常').length;
+        this.db.insertVerificationRun({
+            start_time: startTime,
+            end_time: new Date().toISOString(),
+            backup_count: results.length,
+            corrupt_count: corruptCount,
+        });
+        this.logger.info(`Verification completed: ${results.length} backups, ${corruptCount} corrupt`);
+
+        return results;
+    }
+
+    /**
+     * ZIPファイルの全エントリを読み込み（ハッシュ値・サイズを計算し、JSON エントリは内容も保持）
+     */
+    async readZipEntries(location) {
+        return new Promise((resolve, reject) => {
+            const entries = new Map();
+            const pending = [];
+
+            const source = this.storage.createReadStream(location);
+            source.on('error', reject);
+
+            source
+                .pipe(unzipper.Parse())
+                .on('entry', (entry) => {
+                    const name = entry.path;
+                    const hash = crypto.createHash('sha256');
+                    const chunks = name.endsWith('.json') ? [] : null;
+                    let size = 0;
+
+                    pending.push(
+                        new Promise((entryResolve, entryReject) => {
+                            entry.on('data', (chunk) => {
+                                hash.update(chunk);
+                                size += chunk.length;
+                                if (chunks) {
+                                    chunks.push(chunk);
+                                }
+                            });
+                            entry.on('end', () => {
+                                entries.set(name, { sha256: hash.digest('hex'), size, data: chunks ? Buffer.concat(chunks) : null });
+                                entryResolve();
+                            });
+                            entry.on('error', entryReject);
+                        })
+                    );
+                })
                 .on('close', () => {
-                    resolve(records);
+                    Promise.all(pending).then(() => resolve(entries), reject);
                 })
                 .on('error', (error) => {
                     reject(error);
@@ -610,16 +3448,47 @@ class BackupManager {
     }
 
     /**
-     * バックアップファイルからレコード一覧を取得（プレビュー用）
+     * レコードのリビジョン履歴の取得（各リビジョンを最初に保存したバックアップ）
+     */
+    getRecordRevisions(appId, recordId) {
+        return this.db.getRecordRevisions(appId, recordId);
+    }
+
+    /**
+     * バックアップファイルのレコードをバッチ単位で取得（プレビュー用、レコード0件のバックアップはファイルを持たない）
+     */
+    async *iterateBackupRecords(backupId) {
+        const backup = this.db.getBackupById(backupId);
+        if (!backup) {
+            throw new Error('バックアップが見つかりません');
+        }
+
+        if (backup.file_path) {
+            yield* this.readRecordBatches(backup.file_path);
+        }
+    }
+
+    /**
+     * バックアップファイルのメタデータを取得（メタデータのない古いバックアップは null）
      */
-    async getRecordsFromBackup(backupId) {
+    async getBackupMetadata(backupId) {
         const backup = this.db.getBackupById(backupId);
         if (!backup) {
             throw new Error('バックアップが見つかりません');
         }
 
-        const zipFilePath = path.join(this.archivesDir, backup.file_path);
-        return await this.extractBackupZip(zipFilePath);
+        return await this.readJsonFromZip(backup.file_path, 'backup_metadata.json');
+    }
+
+    /**
+     * 保存先のアーカイブ一覧（バックアップ履歴に登録されているかを付加）
+     */
+    async listArchives() {
+        const archives = await this.storage.getActiveTarget().list();
+        return archives.map((archive) => ({
+            ...archive,
+            backupId: this.db.getBackupByFilePath(archive.location)?.id || null,
+        }));
     }
 }
 
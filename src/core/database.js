@@ -31,10 +31,22 @@ class DatabaseManager {
         hostname TEXT,
         app_version TEXT,
         remarks TEXT,
+        encrypted INTEGER DEFAULT 0,
+        verify_status TEXT,
+        verified_at TEXT,
+        verify_details TEXT,
+        run_id TEXT,
         created_at TEXT DEFAULT CURRENT_TIMESTAMP
       );
     `);
 
+        // 既存データベースへの列追加
+        this.addColumnIfMissing('backups', 'encrypted', 'INTEGER DEFAULT 0');
+        this.addColumnIfMissing('backups', 'verify_status', 'TEXT');
+        this.addColumnIfMissing('backups', 'verified_at', 'TEXT');
+        this.addColumnIfMissing('backups', 'verify_details', 'TEXT');
+        this.addColumnIfMissing('backups', 'run_id', 'TEXT');
+
         // アプリ設定テーブル
         this.db.exec(`
       CREATE TABLE IF NOT EXISTS apps (
@@ -63,6 +75,138 @@ class DatabaseManager {
       );
     `);
 
+        // 旧バージョンは updated_time に $revision を記録していたため、数値のみの値はリビジョンとして移行
+        if (!this.db.prepare('PRAGMA table_info(record_index)').all().some((c) => c.name === 'revision')) {
+            this.db.exec('ALTER TABLE record_index ADD COLUMN revision INTEGER');
+            this.db.exec(`
+      UPDATE record_index SET revision = CAST(updated_time AS INTEGER)
+      WHERE updated_time <> '' AND updated_time NOT GLOB '*[^0-9]*'
+    `);
+        }
+
+        // レコードの最新のコメントID（コメントの追加・削除ではリビジョンが変わらないため差分バックアップで比較する。コメントがない場合は空文字）
+        this.addColumnIfMissing('record_index', 'last_comment_id', 'TEXT');
+
+        // レコードのリビジョン履歴テーブル（リビジョンごとに最初に保存したバックアップを記録）
+        this.db.exec(`
+      CREATE TABLE IF NOT EXISTS record_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        app_id TEXT NOT NULL,
+        record_id TEXT NOT NULL,
+        revision INTEGER NOT NULL,
+        updated_time TEXT,
+        backup_id INTEGER NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(app_id, record_id, revision)
+      );
+    `);
+
+        // 復元時のレコードIDの対応表（新しいアプリへの復元や削除レコードの再登録で ID が変わる）
+        this.db.exec(`
+      CREATE TABLE IF NOT EXISTS record_id_mappings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        source_app_id TEXT NOT NULL,
+        source_record_id TEXT NOT NULL,
+        target_app_id TEXT NOT NULL,
+        target_record_id TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        rewritten_at TEXT,
+        UNIQUE(source_app_id, source_record_id, target_app_id)
+      );
+    `);
+
+        // 参照（ルックアップ・関連レコード）のキーを書き換えた日時（同じ対応で二重に書き換えないよう記録）
+        this.addColumnIfMissing('record_id_mappings', 'rewritten_at', 'TEXT');
+
+        // 復元時のフィールドの対応付け（変換元のアプリ・復元先の環境とアプリごとに保存して再利用）
+        this.db.exec(`
+      CREATE TABLE IF NOT EXISTS field_mappings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        source_app_id TEXT NOT NULL,
+        target_domain TEXT NOT NULL,
+        target_app_id TEXT NOT NULL,
+        mapping TEXT NOT NULL,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(source_app_id, target_domain, target_app_id)
+      );
+    `);
+
+        // 復元履歴テーブル（バックアップ後に編集されたレコードとの競合を含む）
+        this.db.exec(`
+      CREATE TABLE IF NOT EXISTS restore_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        app_id TEXT NOT NULL,
+        app_name TEXT,
+        source_app_id TEXT,
+        target_domain TEXT,
+        start_time TEXT NOT NULL,
+        end_time TEXT,
+        duration_seconds REAL,
+        record_count INTEGER DEFAULT 0,
+        added_count INTEGER DEFAULT 0,
+        updated_count INTEGER DEFAULT 0,
+        skipped_count INTEGER DEFAULT 0,
+        status TEXT NOT NULL,
+        conflict_policy TEXT,
+        conflicts TEXT,
+        file_path TEXT,
+        hostname TEXT,
+        app_version TEXT,
+        remarks TEXT,
+        snapshot_backup_id INTEGER,
+        undone_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+        // 復元前のスナップショット（取り消し用）の列を追加
+        this.addColumnIfMissing('restore_history', 'snapshot_backup_id', 'INTEGER');
+        this.addColumnIfMissing('restore_history', 'undone_at', 'TEXT');
+
+        // 削除レコードの記録テーブル（差分バックアップ時に検出）
+        this.db.exec(`
+      CREATE TABLE IF NOT EXISTS record_tombstones (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        app_id TEXT NOT NULL,
+        record_id TEXT NOT NULL,
+        last_backup_id INTEGER,
+        deleted_backup_id INTEGER NOT NULL,
+        detected_at TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(app_id, record_id)
+      );
+    `);
+
+        // 添付ファイル参照テーブル（内容は attachments/store にハッシュ値で保存）
+        this.db.exec(`
+      CREATE TABLE IF NOT EXISTS attachment_refs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        backup_id INTEGER NOT NULL,
+        app_id TEXT NOT NULL,
+        record_id TEXT NOT NULL,
+        field_code TEXT,
+        file_key TEXT NOT NULL,
+        file_name TEXT,
+        content_type TEXT,
+        size INTEGER,
+        hash TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(backup_id, file_key)
+      );
+    `);
+
+        // 全バックアップの検証の実行履歴（個別の検証とは別に、定期検証の間隔の判定に使用）
+        this.db.exec(`
+      CREATE TABLE IF NOT EXISTS verification_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        start_time TEXT NOT NULL,
+        end_time TEXT,
+        backup_count INTEGER,
+        corrupt_count INTEGER,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
         // インデックス作成
         this.db.exec(`
       CREATE INDEX IF NOT EXISTS idx_backups_app_id ON backups(app_id);
@@ -70,9 +214,22 @@ class DatabaseManager {
       CREATE INDEX IF NOT EXISTS idx_backups_status ON backups(status);
       CREATE INDEX IF NOT EXISTS idx_record_index_app_id ON record_index(app_id);
       CREATE INDEX IF NOT EXISTS idx_record_index_updated_time ON record_index(updated_time);
+      CREATE INDEX IF NOT EXISTS idx_record_revisions_record ON record_revisions(app_id, record_id);
+      CREATE INDEX IF NOT EXISTS idx_record_tombstones_app_id ON record_tombstones(app_id);
+      CREATE INDEX IF NOT EXISTS idx_restore_history_start_time ON restore_history(start_time);
+      CREATE INDEX IF NOT EXISTS idx_attachment_refs_file_key ON attachment_refs(app_id, file_key);
+      CREATE INDEX IF NOT EXISTS idx_attachment_refs_hash ON attachment_refs(hash);
     `);
     }
 
+    // テーブルに列がなければ追加（旧バージョンで作成したデータベースの移行）
+    addColumnIfMissing(table, column, definition) {
+        const columns = this.db.prepare(`PRAGMA table_info(${table})`).all();
+        if (!columns.some((c) => c.name === column)) {
+            this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        }
+    }
+
     // バックアップ履歴の追加
     insertBackup(backupData) {
         const stmt = this.db.prepare(`
@@ -81,8 +238,8 @@ class DatabaseManager {
         end_time, duration_seconds, record_count, file_path, 
         data_size_mb, compression_ratio, status, error_details, 
         api_request_count, retry_count, diff_base_datetime,
-        hostname, app_version, remarks
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        hostname, app_version, remarks, run_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
         const result = stmt.run(
@@ -104,7 +261,8 @@ class DatabaseManager {
             backupData.diff_base_datetime,
             backupData.hostname,
             backupData.app_version,
-            backupData.remarks
+            backupData.remarks,
+            backupData.run_id || null
         );
 
         return result.lastInsertRowid;
@@ -122,6 +280,22 @@ class DatabaseManager {
         return stmt.run(...values);
     }
 
+    // 全バックアップの検証の記録
+    insertVerificationRun(run) {
+        const stmt = this.db.prepare(`
+      INSERT INTO verification_runs (start_time, end_time, backup_count, corrupt_count)
+      VALUES (?, ?, ?, ?)
+    `);
+
+        return stmt.run(run.start_time, run.end_time, run.backup_count, run.corrupt_count).lastInsertRowid;
+    }
+
+    // 最後に全バックアップを検証した日時（未検証の場合は null、個別の検証は含めない）
+    getLastVerificationRunAt() {
+        const stmt = this.db.prepare('SELECT MAX(start_time) AS start_time FROM verification_runs');
+        return stmt.get().start_time;
+    }
+
     // バックアップ履歴の取得
     getBackupHistory(filters = {}) {
         let query = 'SELECT * FROM backups WHERE 1=1';
@@ -169,15 +343,142 @@ class DatabaseManager {
         return stmt.get(backupId);
     }
 
-    // バックアップの削除
-    deleteBackup(backupId) {
-        // record_index から削除（カラム名は last_backup_id）
-        const deleteIndexStmt = this.db.prepare('DELETE FROM record_index WHERE last_backup_id = ?');
-        deleteIndexStmt.run(backupId);
+    // スケジュール実行の一覧（同じ実行で成功したバックアップのアプリ数）
+    getScheduledRuns(limit = 50) {
+        const stmt = this.db.prepare(`
+      SELECT run_id, MIN(start_time) AS start_time, COUNT(*) AS app_count
+      FROM backups
+      WHERE run_id IS NOT NULL AND status = '成功'
+      GROUP BY run_id
+      ORDER BY start_time DESC
+      LIMIT ?
+    `);
+
+        return stmt.all(limit);
+    }
+
+    // 同じスケジュール実行で成功したバックアップ
+    getBackupsByRunId(runId) {
+        const stmt = this.db.prepare(`
+      SELECT * FROM backups
+      WHERE run_id = ? AND status = '成功'
+      ORDER BY start_time ASC
+    `);
+
+        return stmt.all(runId);
+    }
+
+    // 指定日時時点の復元チェーン（基点の全体バックアップ + 以降の差分バックアップ）を古い順に取得
+    getRestoreChain(appId, targetDatetime) {
+        // 初回の差分バックアップ（基準日時なし）は全件取得のため全体バックアップとして扱う
+        const baseStmt = this.db.prepare(`
+      SELECT * FROM backups
+      WHERE app_id = ? AND status = '成功' AND start_time <= ?
+        AND (backup_type = '全体' OR (backup_type = '差分' AND diff_base_datetime IS NULL))
+      ORDER BY start_time DESC
+      LIMIT 1
+    `);
+        const base = baseStmt.get(appId, targetDatetime);
+        if (!base) {
+            return [];
+        }
+
+        const diffStmt = this.db.prepare(`
+      SELECT * FROM backups
+      WHERE app_id = ? AND status = '成功' AND backup_type = '差分'
+        AND start_time > ? AND start_time <= ?
+      ORDER BY start_time ASC
+    `);
+        const diffs = diffStmt.all(appId, base.start_time, targetDatetime);
+
+        return [base, ...diffs];
+    }
+
+    // 保存場所からバックアップを取得
+    getBackupByFilePath(filePath) {
+        const stmt = this.db.prepare('SELECT * FROM backups WHERE file_path = ?');
+        return stmt.get(filePath);
+    }
+
+    // バックアップの削除（他のバックアップから参照されなくなった添付ファイルを removeFile で削除し、そのハッシュ値を返す）
+    deleteBackup(backupId, removeFile = () => {}) {
+        return this.transaction(() => {
+            // 同じリビジョンを後のバックアップでも保存している場合は、リビジョン履歴をそのバックアップに付け替える
+            const moveRevisionStmt = this.db.prepare(`
+      UPDATE record_revisions
+      SET backup_id = (
+        SELECT i.last_backup_id FROM record_index i
+        WHERE i.app_id = record_revisions.app_id AND i.record_id = record_revisions.record_id
+      )
+      WHERE backup_id = ?
+        AND EXISTS (
+          SELECT 1 FROM record_index i
+          WHERE i.app_id = record_revisions.app_id
+            AND i.record_id = record_revisions.record_id
+            AND i.revision = record_revisions.revision
+            AND i.last_backup_id <> ?
+        )
+    `);
+            moveRevisionStmt.run(backupId, backupId);
+
+            // このバックアップで保存したリビジョン履歴を削除
+            this.db.prepare('DELETE FROM record_revisions WHERE backup_id = ?').run(backupId);
+
+            // このバックアップが最終バックアップのレコードは、残っている最新のリビジョンに付け替える
+            // （リビジョンが現在と異なるため次回の差分で取得し直され、削除の検出も継続される）
+            const repointIndexStmt = this.db.prepare(`
+      UPDATE record_index
+      SET (revision, updated_time, last_backup_id) = (
+        SELECT r.revision, r.updated_time, r.backup_id FROM record_revisions r
+        WHERE r.app_id = record_index.app_id AND r.record_id = record_index.record_id
+        ORDER BY r.revision DESC
+        LIMIT 1
+      )
+      WHERE last_backup_id = ?
+        AND EXISTS (SELECT 1 FROM record_revisions r WHERE r.app_id = record_index.app_id AND r.record_id = record_index.record_id)
+    `);
+            repointIndexStmt.run(backupId);
+
+            // 保存しているバックアップが残っていないレコードは record_index から削除（次回の差分で新規として取得）
+            const deleteIndexStmt = this.db.prepare('DELETE FROM record_index WHERE last_backup_id = ?');
+            deleteIndexStmt.run(backupId);
+
+            // このバックアップで検出した削除記録を削除
+            const deleteTombstoneStmt = this.db.prepare('DELETE FROM record_tombstones WHERE deleted_backup_id = ?');
+            deleteTombstoneStmt.run(backupId);
+
+            const orphanedHashes = this.releaseAttachmentRefs(backupId, removeFile);
+
+            // 復元前のスナップショットの場合は、その復元を取り消せなくなったことを記録
+            this.db.prepare('UPDATE restore_history SET snapshot_backup_id = NULL WHERE snapshot_backup_id = ?').run(backupId);
+
+            // backups から削除
+            const deleteBackupStmt = this.db.prepare('DELETE FROM backups WHERE id = ?');
+            deleteBackupStmt.run(backupId);
+
+            return orphanedHashes;
+        });
+    }
 
-        // backups から削除
-        const deleteBackupStmt = this.db.prepare('DELETE FROM backups WHERE id = ?');
-        deleteBackupStmt.run(backupId);
+    // バックアップの添付ファイル参照を削除し、参照が残っていないファイルを removeFile で削除してハッシュ値を返す
+    // 参照の確認とファイルの削除を同じトランザクションで行うため、並行するバックアップが同じ内容を参照した場合は削除しない
+    // （バックアップはファイルを保存・再利用する前に参照を記録する）
+    releaseAttachmentRefs(backupId, removeFile = () => {}) {
+        return this.transaction(() => {
+            const hashes = this.db
+                .prepare('SELECT DISTINCT hash FROM attachment_refs WHERE backup_id = ?')
+                .all(backupId)
+                .map((row) => row.hash);
+            this.db.prepare('DELETE FROM attachment_refs WHERE backup_id = ?').run(backupId);
+
+            const countRefsStmt = this.db.prepare('SELECT COUNT(*) AS count FROM attachment_refs WHERE hash = ?');
+            const orphanedHashes = hashes.filter((hash) => countRefsStmt.get(hash).count === 0);
+            for (const hash of orphanedHashes) {
+                removeFile(hash);
+            }
+
+            return orphanedHashes;
+        });
     }
 
     // アプリの保存/更新
@@ -231,29 +532,318 @@ class DatabaseManager {
         return stmt.run(...params);
     }
 
-    // レコードインデックスの更新（差分バックアップ用）
-    upsertRecordIndex(appId, recordId, updatedTime, backupId) {
-        const stmt = this.db.prepare(`
-      INSERT INTO record_index (app_id, record_id, updated_time, last_backup_id)
-      VALUES (?, ?, ?, ?)
+    // レコードインデックスとリビジョン履歴の更新（差分バックアップ用）
+    saveRecordRevisions(appId, entries, backupId) {
+        const indexStmt = this.db.prepare(`
+      INSERT INTO record_index (app_id, record_id, revision, updated_time, last_backup_id, last_comment_id)
+      VALUES (?, ?, ?, ?, ?, ?)
       ON CONFLICT(app_id, record_id) DO UPDATE SET
+        revision = excluded.revision,
         updated_time = excluded.updated_time,
-        last_backup_id = excluded.last_backup_id
+        last_backup_id = excluded.last_backup_id,
+        last_comment_id = COALESCE(excluded.last_comment_id, record_index.last_comment_id)
     `);
+        const revisionStmt = this.db.prepare(`
+      INSERT OR IGNORE INTO record_revisions (app_id, record_id, revision, updated_time, backup_id)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+
+        // 再び取得できたレコードは削除済みではない
+        const deleteTombstoneStmt = this.db.prepare('DELETE FROM record_tombstones WHERE app_id = ? AND record_id = ?');
 
-        return stmt.run(appId, recordId, updatedTime, backupId);
+        this.transaction(() => {
+            for (const entry of entries) {
+                indexStmt.run(appId, entry.recordId, entry.revision, entry.updatedTime, backupId, entry.lastCommentId ?? null);
+                revisionStmt.run(appId, entry.recordId, entry.revision, entry.updatedTime, backupId);
+                deleteTombstoneStmt.run(appId, entry.recordId);
+            }
+        });
     }
 
-    // 最終バックアップ以降に更新されたレコードを取得
-    getRecordsToBackup(appId, sinceDateTime) {
+    // 編集されていないレコードの最新のコメントIDの更新
+    saveLastCommentIds(appId, entries) {
+        const stmt = this.db.prepare('UPDATE record_index SET last_comment_id = ? WHERE app_id = ? AND record_id = ?');
+        this.transaction(() => {
+            for (const entry of entries) {
+                stmt.run(entry.lastCommentId, appId, entry.recordId);
+            }
+        });
+    }
+
+    // レコードインデックスに登録済みのレコード一覧を取得
+    getIndexedRecords(appId) {
         const stmt = this.db.prepare(`
-      SELECT record_id, updated_time
+      SELECT record_id, revision, updated_time, last_backup_id, last_comment_id
       FROM record_index
-      WHERE app_id = ? AND updated_time > ?
-      ORDER BY updated_time
+      WHERE app_id = ?
+    `);
+
+        return stmt.all(appId);
+    }
+
+    // レコードのリビジョン履歴を取得（新しい順）
+    getRecordRevisions(appId, recordId) {
+        const stmt = this.db.prepare(`
+      SELECT r.revision, r.updated_time, r.backup_id, b.backup_type, b.start_time
+      FROM record_revisions r
+      LEFT JOIN backups b ON b.id = r.backup_id
+      WHERE r.app_id = ? AND r.record_id = ?
+      ORDER BY r.revision DESC
+    `);
+
+        return stmt.all(appId, String(recordId));
+    }
+
+    // レコードIDの対応の記録（同じレコードを再度復元した場合は新しい ID で上書き）
+    saveRecordIdMappings(sourceAppId, targetAppId, mappings) {
+        const stmt = this.db.prepare(`
+      INSERT INTO record_id_mappings (source_app_id, source_record_id, target_app_id, target_record_id)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(source_app_id, source_record_id, target_app_id) DO UPDATE SET
+        target_record_id = excluded.target_record_id,
+        created_at = CURRENT_TIMESTAMP,
+        rewritten_at = NULL
+    `);
+
+        this.transaction(() => {
+            for (const mapping of mappings) {
+                stmt.run(String(sourceAppId), String(mapping.sourceRecordId), String(targetAppId), String(mapping.targetRecordId));
+            }
+        });
+    }
+
+    // レコードIDの対応表を取得
+    getRecordIdMappings(sourceAppId, targetAppId) {
+        const stmt = this.db.prepare(`
+      SELECT source_record_id, target_record_id, created_at
+      FROM record_id_mappings
+      WHERE source_app_id = ? AND target_app_id = ?
+      ORDER BY CAST(source_record_id AS INTEGER)
+    `);
+
+        return stmt.all(String(sourceAppId), String(targetAppId));
+    }
+
+    // 参照のキーを書き換えていない、レコードIDが変わった対応
+    getPendingRecordIdMappings(sourceAppId, targetAppId) {
+        const stmt = this.db.prepare(`
+      SELECT source_record_id, target_record_id, created_at
+      FROM record_id_mappings
+      WHERE source_app_id = ? AND target_app_id = ? AND source_record_id != target_record_id AND rewritten_at IS NULL
+      ORDER BY CAST(source_record_id AS INTEGER)
+    `);
+
+        return stmt.all(String(sourceAppId), String(targetAppId));
+    }
+
+    // 参照のキーを書き換えた対応の記録
+    markRecordIdMappingsRewritten(sourceAppId, targetAppId, sourceRecordIds) {
+        const stmt = this.db.prepare(`
+      UPDATE record_id_mappings SET rewritten_at = CURRENT_TIMESTAMP
+      WHERE source_app_id = ? AND target_app_id = ? AND source_record_id = ?
+    `);
+
+        this.transaction(() => {
+            for (const sourceRecordId of sourceRecordIds) {
+                stmt.run(String(sourceAppId), String(targetAppId), String(sourceRecordId));
+            }
+        });
+    }
+
+    // 復元履歴の追加
+    insertRestoreHistory(data) {
+        const stmt = this.db.prepare(`
+      INSERT INTO restore_history (
+        app_id, app_name, source_app_id, target_domain, start_time, end_time,
+        duration_seconds, record_count, added_count, updated_count, skipped_count,
+        status, conflict_policy, conflicts, file_path, hostname, app_version, remarks,
+        snapshot_backup_id, undone_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+        const result = stmt.run(
+            String(data.app_id),
+            data.app_name,
+            data.source_app_id ? String(data.source_app_id) : null,
+            data.target_domain,
+            data.start_time,
+            data.end_time,
+            data.duration_seconds,
+            data.record_count || 0,
+            data.added_count || 0,
+            data.updated_count || 0,
+            data.skipped_count || 0,
+            data.status,
+            data.conflict_policy,
+            JSON.stringify(data.conflicts || []),
+            data.file_path,
+            data.hostname,
+            data.app_version,
+            data.remarks,
+            data.snapshot_backup_id || null,
+            data.undone_at || null
+        );
+
+        return result.lastInsertRowid;
+    }
+
+    // 復元履歴の更新
+    updateRestoreHistory(restoreId, updateData) {
+        const fields = Object.keys(updateData)
+            .map((key) => `${key} = ?`)
+            .join(', ');
+        const values = Object.values(updateData);
+        values.push(restoreId);
+
+        return this.db.prepare(`UPDATE restore_history SET ${fields} WHERE id = ?`).run(...values);
+    }
+
+    // 特定の復元履歴の取得
+    getRestoreHistoryById(restoreId) {
+        const row = this.db.prepare('SELECT * FROM restore_history WHERE id = ?').get(restoreId);
+        return row ? { ...row, conflicts: row.conflicts ? JSON.parse(row.conflicts) : [] } : undefined;
+    }
+
+    // 復元履歴の取得（新しい順）
+    getRestoreHistory(filters = {}) {
+        let query = 'SELECT * FROM restore_history WHERE 1=1';
+        const params = [];
+
+        if (filters.app_id) {
+            query += ' AND app_id = ?';
+            params.push(String(filters.app_id));
+        }
+
+        query += ' ORDER BY start_time DESC';
+
+        if (filters.limit) {
+            query += ' LIMIT ?';
+            params.push(filters.limit);
+        }
+
+        return this.db
+            .prepare(query)
+            .all(...params)
+            .map((row) => ({ ...row, conflicts: row.conflicts ? JSON.parse(row.conflicts) : [] }));
+    }
+
+    // フィールドの対応付けの保存
+    saveFieldMapping(sourceAppId, targetDomain, targetAppId, mapping) {
+        const stmt = this.db.prepare(`
+      INSERT INTO field_mappings (source_app_id, target_domain, target_app_id, mapping, updated_at)
+      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(source_app_id, target_domain, target_app_id) DO UPDATE SET
+        mapping = excluded.mapping,
+        updated_at = CURRENT_TIMESTAMP
+    `);
+
+        return stmt.run(String(sourceAppId), targetDomain, String(targetAppId), JSON.stringify(mapping));
+    }
+
+    // 保存したフィールドの対応付けを取得（保存していない場合は null）
+    getFieldMapping(sourceAppId, targetDomain, targetAppId) {
+        const stmt = this.db.prepare(`
+      SELECT mapping, updated_at
+      FROM field_mappings
+      WHERE source_app_id = ? AND target_domain = ? AND target_app_id = ?
+    `);
+
+        const row = stmt.get(String(sourceAppId), targetDomain, String(targetAppId));
+        return row ? { mapping: JSON.parse(row.mapping), updatedAt: row.updated_at } : null;
+    }
+
+    // 削除レコードの記録（レコードインデックスからは除外）
+    insertTombstones(appId, tombstones, backupId) {
+        const insertStmt = this.db.prepare(`
+      INSERT OR IGNORE INTO record_tombstones (app_id, record_id, last_backup_id, deleted_backup_id, detected_at)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+        const deleteIndexStmt = this.db.prepare('DELETE FROM record_index WHERE app_id = ? AND record_id = ?');
+
+        this.transaction(() => {
+            for (const tombstone of tombstones) {
+                insertStmt.run(appId, tombstone.recordId, tombstone.lastBackupId, backupId, tombstone.detectedAt);
+                deleteIndexStmt.run(appId, tombstone.recordId);
+            }
+        });
+    }
+
+    // 削除レコードの記録を削除（復元したレコード）
+    deleteTombstones(appId, recordIds) {
+        const stmt = this.db.prepare('DELETE FROM record_tombstones WHERE app_id = ? AND record_id = ?');
+
+        this.transaction(() => {
+            for (const recordId of recordIds) {
+                stmt.run(String(appId), String(recordId));
+            }
+        });
+    }
+
+    // アプリの削除レコード記録を取得
+    getTombstones(appId) {
+        const stmt = this.db.prepare(`
+      SELECT * FROM record_tombstones
+      WHERE app_id = ?
+      ORDER BY CAST(record_id AS INTEGER)
+    `);
+
+        return stmt.all(appId);
+    }
+
+    // 指定バックアップ以降に削除されたレコードを取得
+    getTombstonesSince(appId, sinceBackupId) {
+        const stmt = this.db.prepare(`
+      SELECT t.*, b.start_time AS deleted_backup_time
+      FROM record_tombstones t
+      JOIN backups b ON b.id = t.deleted_backup_id
+      WHERE t.app_id = ?
+        AND b.start_time > (SELECT start_time FROM backups WHERE id = ?)
+      ORDER BY b.start_time DESC, CAST(t.record_id AS INTEGER)
+    `);
+
+        return stmt.all(appId, sinceBackupId);
+    }
+
+    // 添付ファイル参照の追加（同じバックアップの同じ fileKey は内容を更新）
+    insertAttachmentRefs(backupId, appId, attachments) {
+        const stmt = this.db.prepare(`
+      INSERT INTO attachment_refs (backup_id, app_id, record_id, field_code, file_key, file_name, content_type, size, hash)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(backup_id, file_key) DO UPDATE SET size = excluded.size, hash = excluded.hash
+    `);
+
+        this.transaction(() => {
+            for (const attachment of attachments) {
+                stmt.run(
+                    backupId,
+                    appId,
+                    attachment.recordId,
+                    attachment.fieldCode,
+                    attachment.fileKey,
+                    attachment.name,
+                    attachment.contentType,
+                    attachment.size,
+                    attachment.hash
+                );
+            }
+        });
+    }
+
+    // 添付ファイル参照の削除（保存に失敗した添付ファイル）
+    deleteAttachmentRef(backupId, fileKey) {
+        this.db.prepare('DELETE FROM attachment_refs WHERE backup_id = ? AND file_key = ?').run(backupId, fileKey);
+    }
+
+    // fileKey から保存済み添付ファイルのハッシュ値を取得（未保存なら undefined）
+    findAttachmentHash(appId, fileKey) {
+        const stmt = this.db.prepare(`
+      SELECT hash FROM attachment_refs
+      WHERE app_id = ? AND file_key = ?
+      ORDER BY id DESC
+      LIMIT 1
     `);
 
-        return stmt.all(appId, sinceDateTime);
+        return stmt.get(appId, fileKey)?.hash;
     }
 
     // アプリの最終バックアップ日時を取得
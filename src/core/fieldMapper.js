@@ -0,0 +1,247 @@
+// 照合の対象外とするフィールドタイプ（システムフィールド・計算フィールドは復元時に除外、レイアウト要素は値を持たない）
+const IGNORED_FIELD_TYPES = [
+    'RECORD_NUMBER',
+    '__ID__',
+    '__REVISION__',
+    'CREATOR',
+    'CREATED_TIME',
+    'MODIFIER',
+    'UPDATED_TIME',
+    'STATUS',
+    'STATUS_ASSIGNEE',
+    'CATEGORY',
+    'CALC',
+    'GROUP',
+    'LABEL',
+    'SPACER',
+    'HR',
+    'REFERENCE_TABLE',
+];
+
+// 文字列に変換して文字列（1行・複数行）フィールドへ書き込めるフィールドタイプ
+const SCALAR_TYPES = ['SINGLE_LINE_TEXT', 'NUMBER', 'DATE', 'TIME', 'DATETIME', 'LINK', 'RADIO_BUTTON', 'DROP_DOWN'];
+const TEXT_TYPES = ['SINGLE_LINE_TEXT', 'MULTI_LINE_TEXT'];
+
+// 値の形式が同じ選択肢フィールド（復元先に選択肢がすべてあれば相互に書き込める）
+const SINGLE_CHOICE_TYPES = ['RADIO_BUTTON', 'DROP_DOWN'];
+const MULTI_CHOICE_TYPES = ['CHECK_BOX', 'MULTI_SELECT'];
+
+const SKIPPED_REASON = 'スキップ';
+
+/**
+ * バックアップ時のフィールド情報と復元先のフォームの照合
+ * フィールドコードが同じフィールドを自動で対応付け、mapping（変換元のキー -> 復元先のフィールドコード、null はスキップ）で変更できる
+ * テーブル内のフィールドのキーは「テーブルのフィールドコード.フィールドコード」
+ * 書き込めないフィールドは値を書き込まず、除外したフィールドとして報告する
+ */
+class FieldMapper {
+    constructor(sourceProperties, targetProperties, mapping = {}) {
+        this.sourceProperties = sourceProperties || {};
+        this.targetProperties = targetProperties || {};
+        this.mapping = mapping || {};
+        this.fields = new Map(); // 変換元のフィールドコード -> { targetCode, convert, subtableFields: Map | null }
+        this.usedTargets = new Set();
+        this.droppedFields = [];
+        this.fieldList = [];
+        this.build();
+    }
+
+    build() {
+        for (const [fieldCode, source] of Object.entries(this.sourceProperties)) {
+            if (IGNORED_FIELD_TYPES.includes(source.type)) {
+                continue;
+            }
+
+            const resolved = this.resolve(fieldCode, fieldCode, source, this.targetProperties, this.usedTargets);
+            this.addToList(fieldCode, source, resolved, null, writableFields(this.targetProperties));
+            if (resolved.reason) {
+                this.drop(fieldCode, source, resolved.reason);
+                continue;
+            }
+
+            this.usedTargets.add(resolved.targetCode);
+            if (source.type !== 'SUBTABLE') {
+                this.fields.set(fieldCode, { targetCode: resolved.targetCode, convert: resolved.convert, subtableFields: null });
+                continue;
+            }
+
+            // テーブル内のフィールドは対応付けたテーブル内のフィールドと照合
+            const targetInnerProperties = resolved.target.fields || {};
+            const usedInnerTargets = new Set();
+            const subtableFields = new Map();
+            for (const [innerCode, innerSource] of Object.entries(source.fields || {})) {
+                const innerResolved = this.resolve(`${fieldCode}.${innerCode}`, innerCode, innerSource, targetInnerProperties, usedInnerTargets);
+                this.addToList(innerCode, innerSource, innerResolved, fieldCode, writableFields(targetInnerProperties));
+                if (innerResolved.reason) {
+                    this.drop(innerCode, innerSource, innerResolved.reason, fieldCode);
+                    continue;
+                }
+                usedInnerTargets.add(innerResolved.targetCode);
+                subtableFields.set(innerCode, { targetCode: innerResolved.targetCode, convert: innerResolved.convert });
+            }
+            this.fields.set(fieldCode, { targetCode: resolved.targetCode, convert: resolved.convert, subtableFields });
+        }
+    }
+
+    // 復元先のフィールドと値の変換方法を決定（書き込めない場合は reason を返す）
+    resolve(key, fieldCode, source, targetProperties, usedTargets) {
+        const targetCode = Object.prototype.hasOwnProperty.call(this.mapping, key) ? this.mapping[key] : fieldCode;
+        if (!targetCode) {
+            return { targetCode: null, target: null, reason: SKIPPED_REASON };
+        }
+
+        const target = targetProperties[targetCode];
+        if (!target || IGNORED_FIELD_TYPES.includes(target.type)) {
+            return { targetCode, target: null, reason: '復元先のアプリに存在しません' };
+        }
+        if (usedTargets.has(targetCode)) {
+            return { targetCode, target, reason: 'ほかのフィールドと同じ復元先です' };
+        }
+
+        const convert = findConverter(source, target);
+        if (!convert) {
+            const reason = isSameShape(source, target) ? '復元先に選択肢が不足しています' : `フィールドタイプが異なります (${source.type} → ${target.type})`;
+            return { targetCode, target, reason };
+        }
+        return { targetCode, target, convert };
+    }
+
+    drop(fieldCode, property, reason, subtableCode = null) {
+        this.droppedFields.push({
+            fieldCode,
+            label: property.label || fieldCode,
+            type: property.type,
+            subtableCode,
+            reason,
+        });
+    }
+
+    // 対応付けの一覧に追加（対応付け画面の表示用）
+    addToList(fieldCode, source, resolved, subtableCode, candidates) {
+        let status = 'matched';
+        if (resolved.reason) {
+            status = 'dropped';
+        } else if (resolved.target.type !== source.type) {
+            status = 'converted';
+        } else if (resolved.targetCode !== fieldCode) {
+            status = 'renamed';
+        }
+
+        this.fieldList.push({
+            key: subtableCode ? `${subtableCode}.${fieldCode}` : fieldCode,
+            fieldCode,
+            subtableCode,
+            label: source.label || fieldCode,
+            type: source.type,
+            targetCode: resolved.targetCode,
+            targetType: resolved.target ? resolved.target.type : null,
+            status,
+            reason: resolved.reason || null,
+            candidates,
+        });
+    }
+
+    // 値を書き込むフィールドの数
+    get mappedFieldCount() {
+        return this.fields.size;
+    }
+
+    // フィールドコードによる自動の対応付けのままでは復元できないフィールドがあるか
+    get hasDrift() {
+        return this.fieldList.some((field) => field.status !== 'matched');
+    }
+
+    // 保存用の対応付け（変換元のキー -> 復元先のフィールドコード、スキップは null）
+    getMapping() {
+        return Object.fromEntries(this.fieldList.map((field) => [field.key, field.reason === SKIPPED_REASON ? null : field.targetCode]));
+    }
+
+    // 復元先で必須なのにバックアップに値がないフィールド（追加時にエラーになる可能性がある）
+    getMissingRequiredFields() {
+        return Object.values(this.targetProperties)
+            .filter((property) => property.required && !IGNORED_FIELD_TYPES.includes(property.type) && !this.usedTargets.has(property.code))
+            .map((property) => ({ fieldCode: property.code, label: property.label || property.code }));
+    }
+
+    // レコードを復元先のフィールドコード・タイプに変換し、書き込めないフィールドを除外
+    mapRecord(record) {
+        const mapped = {};
+
+        for (const [fieldCode, field] of Object.entries(record)) {
+            const mapping = this.fields.get(fieldCode);
+            if (!mapping) {
+                // フィールド情報にないフィールドは復元先に同じコードがあれば書き込む
+                if (!this.sourceProperties[fieldCode] && this.targetProperties[fieldCode] && !this.usedTargets.has(fieldCode)) {
+                    mapped[fieldCode] = field;
+                }
+                continue;
+            }
+
+            if (!mapping.subtableFields || !Array.isArray(field.value)) {
+                mapped[mapping.targetCode] = mapping.convert(field);
+                continue;
+            }
+
+            mapped[mapping.targetCode] = {
+                ...field,
+                value: field.value.map((row) => {
+                    const value = {};
+                    for (const [innerCode, innerField] of Object.entries(row.value || {})) {
+                        const innerMapping = mapping.subtableFields.get(innerCode);
+                        if (innerMapping) {
+                            value[innerMapping.targetCode] = innerMapping.convert(innerField);
+                        }
+                    }
+                    return { ...row, value };
+                }),
+            };
+        }
+
+        return mapped;
+    }
+
+    // 除外したフィールドの表示用の文字列
+    static describe(field) {
+        const name = field.subtableCode ? `${field.subtableCode}.${field.fieldCode}` : field.fieldCode;
+        return `${name} (${field.reason})`;
+    }
+}
+
+// 書き込めるフィールドの一覧（対応付けの候補）
+function writableFields(properties) {
+    return Object.values(properties)
+        .filter((property) => !IGNORED_FIELD_TYPES.includes(property.type))
+        .map((property) => ({ code: property.code, label: property.label || property.code, type: property.type }));
+}
+
+// 値の形式が同じフィールドタイプか（同じタイプ、または同じ形式の選択肢フィールド）
+function isSameShape(source, target) {
+    return (
+        source.type === target.type ||
+        (SINGLE_CHOICE_TYPES.includes(source.type) && SINGLE_CHOICE_TYPES.includes(target.type)) ||
+        (MULTI_CHOICE_TYPES.includes(source.type) && MULTI_CHOICE_TYPES.includes(target.type))
+    );
+}
+
+// 値の変換関数（値を失わずに書き込めない組み合わせは null）
+function findConverter(source, target) {
+    if (isSameShape(source, target)) {
+        // 選択肢フィールドは復元先に選択肢がすべてある場合のみ
+        if (source.options && target.options && !Object.keys(source.options).every((option) => target.options[option])) {
+            return null;
+        }
+        return source.type === target.type ? (field) => field : (field) => ({ type: target.type, value: field.value });
+    }
+
+    if (TEXT_TYPES.includes(target.type) && SCALAR_TYPES.includes(source.type)) {
+        return (field) => ({ type: target.type, value: field.value == null ? '' : String(field.value) });
+    }
+    if (TEXT_TYPES.includes(target.type) && MULTI_CHOICE_TYPES.includes(source.type)) {
+        const separator = target.type === 'MULTI_LINE_TEXT' ? '\n' : ', ';
+        return (field) => ({ type: target.type, value: (field.value || []).join(separator) });
+    }
+
+    return null;
+}
+
+module.exports = FieldMapper;
@@ -11,13 +11,43 @@ const RETRY_CONFIG = {
     retryableStatusCodes: [429, 500, 502, 503, 504],
 };
 
+// 一時的な通信エラーのコード（カーソル取得の再開対象）
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+// 一時的なエラーかどうか（レート制限・サーバーエラー・通信エラー）
+function isTransientError(error) {
+    const status = error.status || error.response?.status;
+    if (status) {
+        return RETRY_CONFIG.retryableStatusCodes.includes(status);
+    }
+    return TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+// カーソルを作り直すまでの待機時間（kintone は最後の取得から 10 分でカーソルを破棄するため、その前に続きから作り直す）
+const CURSOR_IDLE_LIMIT_MS = 9 * 60 * 1000;
+
+// 設定の反映（デプロイ）状況の確認間隔と回数
+const DEPLOY_POLL_INTERVAL = 1000;
+const DEPLOY_MAX_POLLS = 120;
+
+// 一括リクエストの上限（1回にまとめられるリクエスト数と、1リクエストで扱えるレコード数）
+const BULK_REQUEST_LIMIT = 20;
+const RECORDS_PER_REQUEST = 100;
+
+// コメントの取得で1回に取得できる件数の上限
+const COMMENTS_PER_REQUEST = 10;
+
+function retryDelay(attempt) {
+    return Math.min(RETRY_CONFIG.initialDelay * Math.pow(RETRY_CONFIG.backoffMultiplier, attempt - 1), RETRY_CONFIG.maxDelay);
+}
+
 class KintoneClient {
     constructor(config) {
         this.config = config;
         this.client = null;
         this.apiRequestCount = 0;
         this.retryCount = 0;
-        this.recordNumberFieldCache = {}; // ←この行を追加
+        this.fieldCodeCache = {}; // アプリID -> { フィールドタイプ: フィールドコード }
         this.initializeClient();
     }
 
@@ -131,48 +161,167 @@ class KintoneClient {
         }
     }
 
-    // 全レコードの取得（getAllRecords使用）
-    async getAllRecords(appId, options = {}) {
+    // アプリ設定 API の呼び出し（設定のバックアップ・反映用）
+    async callAppApi(method, params) {
         try {
-            const { fields, condition } = options;
+            this.apiRequestCount++;
+            return await this.client.app[method](params);
+        } catch (error) {
+            console.error(`Failed to call ${method}:`, error);
+            throw error;
+        }
+    }
+
+    // アプリの作成（テスト環境に作成され、デプロイするまで利用できない）
+    async createApp(name) {
+        const { app } = await this.callAppApi('addApp', { name });
+        return String(app);
+    }
 
+    // テスト環境の設定を運用環境へ反映（revert が true の場合は変更を取り消す）し、完了まで待機
+    async deployApp(appId, revert = false) {
+        await this.callAppApi('deployApp', { apps: [{ app: appId }], revert });
+
+        for (let i = 0; i < DEPLOY_MAX_POLLS; i++) {
+            await new Promise((resolve) => setTimeout(resolve, DEPLOY_POLL_INTERVAL));
+
+            const { apps } = await this.callAppApi('getDeployStatus', { apps: [appId] });
+            const status = apps[0]?.status;
+            if (status === 'SUCCESS') {
+                return;
+            }
+            if (status === 'FAIL' || status === 'CANCEL') {
+                throw new Error(`アプリ ${appId} の設定の反映に失敗しました (${status})`);
+            }
+        }
+
+        throw new Error(`アプリ ${appId} の設定の反映が完了しませんでした`);
+    }
+
+    // 全レコードの取得（カーソルで取得したページを結合）
+    async getAllRecords(appId, options = {}) {
+        const records = [];
+        for await (const page of this.iterateRecordsByCursor(appId, options)) {
+            records.push(...page);
+        }
+        return records;
+    }
+
+    /**
+     * カーソル API でレコードをページ単位で取得
+     * レコードID順に取得し、一時的なエラーで中断した場合は最後に取得したIDの次から新しいカーソルで再開する
+     * 呼び出し側のページごとの処理（添付ファイル・コメントの取得）に時間がかかった場合も、カーソルが破棄される前に同じ方法で作り直す
+     */
+    async *iterateRecordsByCursor(appId, options = {}) {
+        const { fields, condition, pageSize = 500 } = options;
+        let lastId = 0;
+        let cursorId = null;
+        let lastAccess = 0;
+        let failures = 0;
+
+        const createCursor = async () => {
             const params = {
                 app: appId,
+                query: `${condition ? `(${condition}) and ` : ''}$id > ${lastId} order by $id asc`,
+                size: pageSize,
             };
-
             if (fields && fields.length > 0) {
-                params.fields = fields;
-            }
-
-            if (condition) {
-                params.condition = condition;
+                params.fields = fields.includes('$id') ? fields : [...fields, '$id'];
             }
 
-            // getAllRecordsは内部でページネーションを処理
             this.apiRequestCount++;
-            const records = await this.client.record.getAllRecords(params);
+            const cursor = await this.client.record.createCursor(params);
+            return cursor.id;
+        };
 
-            // 実際のAPI呼び出し回数を概算（500レコード/回）
-            const estimatedRequests = Math.ceil(records.length / 500);
-            this.apiRequestCount += estimatedRequests - 1;
+        try {
+            for (;;) {
+                let response;
+                try {
+                    if (cursorId && Date.now() - lastAccess >= CURSOR_IDLE_LIMIT_MS) {
+                        console.log(`Cursor for app ${appId} has been idle too long. Recreating after record ${lastId}...`);
+                        await this.deleteCursor(cursorId);
+                        cursorId = null;
+                    }
+                    if (!cursorId) {
+                        cursorId = await createCursor();
+                    }
+                    this.apiRequestCount++;
+                    response = await this.client.record.getRecordsByCursor({ id: cursorId });
+                    lastAccess = Date.now();
+                } catch (error) {
+                    if (!isTransientError(error) || failures >= RETRY_CONFIG.maxRetries) {
+                        console.error(`Failed to get records for app ${appId}:`, error);
+                        throw error;
+                    }
 
-            return records;
-        } catch (error) {
-            console.error(`Failed to get records for app ${appId}:`, error);
-            throw error;
+                    // 取得済みのページを飛ばさないよう、カーソルを作り直して続きから取得
+                    failures++;
+                    this.retryCount++;
+                    console.log(`Cursor request failed (${error.message}). Resuming after record ${lastId}...`);
+                    await this.deleteCursor(cursorId);
+                    cursorId = null;
+                    await new Promise((resolve) => setTimeout(resolve, retryDelay(failures)));
+                    continue;
+                }
+
+                failures = 0;
+                if (response.records.length > 0) {
+                    lastId = response.records[response.records.length - 1].$id.value;
+                    yield response.records;
+                }
+                if (!response.next) {
+                    // 最後まで取得したカーソルは kintone 側で削除される
+                    cursorId = null;
+                    return;
+                }
+            }
+        } finally {
+            // 途中で中断した場合はカーソルを削除（同時に作成できる数に上限があるため）
+            if (cursorId) {
+                await this.deleteCursor(cursorId);
+            }
         }
     }
 
-    // 差分レコードの取得（更新日時でフィルタ）
-    async getDifferentialRecords(appId, sinceDateTime, fields = null) {
+    // カーソルの削除（失敗しても一定時間後に kintone 側で破棄されるため無視する）
+    async deleteCursor(cursorId) {
+        if (!cursorId) {
+            return;
+        }
         try {
-            // ISO 8601形式に変換
-            const condition = `更新日時 > "${sinceDateTime}"`;
-
-            return await this.getAllRecords(appId, { fields, condition });
+            this.apiRequestCount++;
+            await this.client.record.deleteCursor({ id: cursorId });
         } catch (error) {
-            console.error(`Failed to get differential records for app ${appId}:`, error);
-            throw error;
+            console.error(`Failed to delete cursor ${cursorId}:`, error.message);
+        }
+    }
+
+    // 指定したレコードIDのレコードをページ単位で取得（ID順）
+    async *iterateRecordsByIds(appId, recordIds, options = {}) {
+        const { pageSize = 100, fields } = options;
+        const ids = [...recordIds].sort((a, b) => Number(a) - Number(b));
+
+        for (let i = 0; i < ids.length; i += pageSize) {
+            const chunk = ids.slice(i, i + pageSize);
+
+            let records;
+            try {
+                this.apiRequestCount++;
+                ({ records } = await this.client.record.getRecords({
+                    app: appId,
+                    fields,
+                    query: `$id in (${chunk.join(',')}) order by $id asc limit ${pageSize}`,
+                }));
+            } catch (error) {
+                console.error(`Failed to get records for app ${appId}:`, error);
+                throw error;
+            }
+
+            // 取得までの間に削除されたレコードは含まれない
+            if (records.length > 0) {
+                yield records;
+            }
         }
     }
 
@@ -198,14 +347,28 @@ class KintoneClient {
         }
     }
 
+    // 添付ファイルのアップロード（復元用、新しい fileKey を返す）
+    async uploadFile(fileName, data) {
+        try {
+            this.apiRequestCount++;
+            const response = await this.client.file.uploadFile({
+                file: { name: fileName, data },
+            });
+            return response.fileKey;
+        } catch (error) {
+            console.error(`Failed to upload file ${fileName}:`, error);
+            throw error;
+        }
+    }
+
     // レコードの追加/更新（復元用）
     async addRecords(appId, records) {
+        const results = [];
         try {
             this.apiRequestCount++;
 
             // 100件ずつバッチ処理
             const batchSize = 100;
-            const results = [];
 
             for (let i = 0; i < records.length; i += batchSize) {
                 const batch = records.slice(i, i + batchSize);
@@ -222,6 +385,10 @@ class KintoneClient {
 
             return results;
         } catch (error) {
+            // 失敗する前のバッチで追加したレコードは残るため、呼び出し側で削除できるよう返す
+            // error.errors のキー（records[N]...）は失敗したバッチ内の位置のため、未追加のレコードのうち何件目から始まるかを返す
+            error.addedIds = results.map((id) => String(id));
+            error.failedAddOffset = 0;
             console.error(`Failed to add records to app ${appId}:`, error);
             if (error.errors) {
                 console.error('Detailed errors:', JSON.stringify(error.errors, null, 2));
@@ -231,6 +398,7 @@ class KintoneClient {
     }
 
     async updateRecords(appId, records) {
+        let updatedCount = 0;
         try {
             this.apiRequestCount++;
 
@@ -243,6 +411,7 @@ class KintoneClient {
                     app: appId,
                     records: batch,
                 });
+                updatedCount += batch.length;
 
                 if (i + batchSize < records.length) {
                     this.apiRequestCount++;
@@ -251,11 +420,135 @@ class KintoneClient {
 
             return true;
         } catch (error) {
+            // 失敗する前のバッチで更新した分は残るため、呼び出し側で続きから再実行できるよう返す
+            error.updatedCount = updatedCount;
             console.error(`Failed to update records in app ${appId}:`, error);
             throw error;
         }
     }
 
+    // レコードの更新・追加・削除を一括リクエストで実行（1回の一括リクエスト内でいずれかが失敗すると、その回の処理はすべて取り消される）
+    // 追加したレコードの ID を追加順に返す
+    async bulkWriteRecords(appId, { updates = [], adds = [], deleteIds = [] }) {
+        const requests = [];
+        for (let i = 0; i < updates.length; i += RECORDS_PER_REQUEST) {
+            requests.push({ method: 'PUT', api: '/k/v1/records.json', payload: { app: appId, records: updates.slice(i, i + RECORDS_PER_REQUEST) } });
+        }
+        const addOffsets = new Map(); // 追加のリクエスト -> 先頭のレコードの adds 内の位置
+        for (let i = 0; i < adds.length; i += RECORDS_PER_REQUEST) {
+            const request = { method: 'POST', api: '/k/v1/records.json', payload: { app: appId, records: adds.slice(i, i + RECORDS_PER_REQUEST) } };
+            addOffsets.set(request, i);
+            requests.push(request);
+        }
+        for (let i = 0; i < deleteIds.length; i += RECORDS_PER_REQUEST) {
+            requests.push({ method: 'DELETE', api: '/k/v1/records.json', payload: { app: appId, ids: deleteIds.slice(i, i + RECORDS_PER_REQUEST) } });
+        }
+
+        const addedIds = [];
+        let updatedCount = 0;
+        let batch = [];
+        try {
+            for (let i = 0; i < requests.length; i += BULK_REQUEST_LIMIT) {
+                batch = requests.slice(i, i + BULK_REQUEST_LIMIT);
+                this.apiRequestCount++;
+                const response = await this.client.bulkRequest({ requests: batch });
+                response.results.forEach((result, index) => {
+                    if (batch[index].method === 'POST') {
+                        addedIds.push(...result.ids.map((id) => String(id)));
+                    } else if (batch[index].method === 'PUT') {
+                        updatedCount += batch[index].payload.records.length;
+                    }
+                });
+            }
+        } catch (error) {
+            // 失敗する前の一括リクエストで書き込んだ分は残るため、呼び出し側で続きから再実行・削除できるよう返す
+            // error.errors のキー（records[N]...）は失敗したリクエスト内の位置のため、追加のリクエストなら未追加のレコードのうち何件目から始まるかを返す
+            error.addedIds = addedIds;
+            error.updatedCount = updatedCount;
+            const failedRequest = batch[error.bulkRequestIndex];
+            if (addOffsets.has(failedRequest)) {
+                error.failedAddOffset = addOffsets.get(failedRequest) - addedIds.length;
+            }
+            console.error(`Failed to write records to app ${appId} in bulk:`, error);
+            if (error.errors) {
+                console.error('Detailed errors:', JSON.stringify(error.errors, null, 2));
+            }
+            throw error;
+        }
+
+        return addedIds;
+    }
+
+    // ステータスの一括更新（アクションの実行、1回100件まで。1件でも失敗するとすべて取り消される）
+    async updateRecordsStatus(appId, records) {
+        try {
+            this.apiRequestCount++;
+            return await this.client.record.updateRecordsStatus({ app: appId, records });
+        } catch (error) {
+            console.error(`Failed to update record statuses in app ${appId}:`, error);
+            throw error;
+        }
+    }
+
+    // 作業者の更新
+    async updateRecordAssignees(appId, recordId, assignees) {
+        try {
+            this.apiRequestCount++;
+            return await this.client.record.updateRecordAssignees({ app: appId, id: recordId, assignees });
+        } catch (error) {
+            console.error(`Failed to update assignees of record ${recordId} in app ${appId}:`, error);
+            throw error;
+        }
+    }
+
+    // レコードのコメントを古い順にすべて取得（1回10件まで）
+    async getAllRecordComments(appId, recordId) {
+        const comments = [];
+        try {
+            let newer = true;
+            while (newer) {
+                this.apiRequestCount++;
+                const response = await this.client.record.getRecordComments({
+                    app: appId,
+                    record: recordId,
+                    order: 'asc',
+                    offset: comments.length,
+                    limit: COMMENTS_PER_REQUEST,
+                });
+                comments.push(...response.comments);
+                newer = response.newer && response.comments.length > 0;
+            }
+            return comments;
+        } catch (error) {
+            console.error(`Failed to get comments of record ${recordId} in app ${appId}:`, error);
+            throw error;
+        }
+    }
+
+    // レコードの最新のコメントID（コメントがない場合は空文字）
+    async getLatestRecordCommentId(appId, recordId) {
+        try {
+            this.apiRequestCount++;
+            const response = await this.client.record.getRecordComments({ app: appId, record: recordId, order: 'desc', limit: 1 });
+            return response.comments.length > 0 ? String(response.comments[0].id) : '';
+        } catch (error) {
+            console.error(`Failed to get the latest comment of record ${recordId} in app ${appId}:`, error);
+            throw error;
+        }
+    }
+
+    // コメントの投稿（メンションは通知されるため指定しない）
+    async addRecordComment(appId, recordId, text) {
+        try {
+            this.apiRequestCount++;
+            const { id } = await this.client.record.addRecordComment({ app: appId, record: recordId, comment: { text } });
+            return String(id);
+        } catch (error) {
+            console.error(`Failed to add comment to record ${recordId} in app ${appId}:`, error);
+            throw error;
+        }
+    }
+
     // バックアップ記録アプリへのログ記録
     async logToBackupApp(backupAppId, logData) {
         try {
@@ -309,28 +602,38 @@ class KintoneClient {
         };
     }
     // レコード番号フィールドのフィールドコードをキャッシュ付きで取得
-    async getRecordNumberFieldCode(appId) {
+    // 指定したタイプのフィールドコードを取得（フィールドコードはアプリごとに変更できるため、フォーム設定から判定）
+    async getFieldCodeByType(appId, fieldType) {
         try {
-            if (this.recordNumberFieldCache[appId]) {
-                return this.recordNumberFieldCache[appId];
+            const cache = this.fieldCodeCache[appId] || (this.fieldCodeCache[appId] = {});
+            if (cache[fieldType]) {
+                return cache[fieldType];
             }
 
             const properties = await this.getFormFields(appId);
             for (const [fieldCode, prop] of Object.entries(properties)) {
-                if (prop && prop.type && prop.type.toUpperCase() === 'RECORD_NUMBER') {
-                    this.recordNumberFieldCache[appId] = fieldCode;
+                if (prop && prop.type && prop.type.toUpperCase() === fieldType) {
+                    cache[fieldType] = fieldCode;
                     return fieldCode;
                 }
             }
 
-            this.recordNumberFieldCache[appId] = null;
+            cache[fieldType] = null;
             return null;
         } catch (error) {
-            console.error(`Failed to determine record number field for app ${appId}:`, error);
+            console.error(`Failed to determine ${fieldType} field for app ${appId}:`, error);
             return null;
         }
     }
 
+    async getRecordNumberFieldCode(appId) {
+        return await this.getFieldCodeByType(appId, 'RECORD_NUMBER');
+    }
+
+    async getUpdatedTimeFieldCode(appId) {
+        return await this.getFieldCodeByType(appId, 'UPDATED_TIME');
+    }
+
     async findRecordIdsByRecordNumbers(appId, recordNumbers) {
         const resultMap = {};
         for (const rn of recordNumbers) {
@@ -0,0 +1,59 @@
+/**
+ * プロセス管理の設定（ステータスとアクション）
+ * ステータス間を移動するアクションの経路を幅優先探索で求める
+ * アクションの実行条件（filterCond）は考慮しないため、実行時に失敗する場合がある
+ */
+class ProcessFlow {
+    constructor(processManagement) {
+        this.enabled = !!processManagement?.enable;
+        this.states = processManagement?.states || {};
+        this.actions = processManagement?.actions || [];
+        this.paths = new Map(); // 「現在のステータス → 目的のステータス」 -> アクションの配列（到達できない場合は null）
+    }
+
+    // 現在のステータスから目的のステータスまでのアクション（最短の経路、到達できない場合は null）
+    findPath(from, to) {
+        if (from === to) {
+            return [];
+        }
+
+        const key = JSON.stringify([from, to]);
+        if (!this.paths.has(key)) {
+            this.paths.set(key, this.search(from, to));
+        }
+        return this.paths.get(key);
+    }
+
+    search(from, to) {
+        const previous = new Map([[from, null]]); // ステータス -> そのステータスへ移動したアクション
+        const queue = [from];
+
+        while (queue.length > 0) {
+            const status = queue.shift();
+            for (const action of this.actions) {
+                if (action.from !== status || previous.has(action.to)) {
+                    continue;
+                }
+
+                previous.set(action.to, action);
+                if (action.to === to) {
+                    const path = [];
+                    for (let step = action; step; step = previous.get(step.from)) {
+                        path.unshift(step);
+                    }
+                    return path;
+                }
+                queue.push(action.to);
+            }
+        }
+
+        return null;
+    }
+
+    // アクションの実行時に作業者の指定が必要なステータスか（作業者を候補から1人選ぶ設定）
+    requiresAssignee(status) {
+        return this.states[status]?.assignee?.type === 'ONE';
+    }
+}
+
+module.exports = ProcessFlow;
@@ -0,0 +1,72 @@
+// ユーザー・組織・グループ選択フィールド（コードで比較）
+const ENTITY_FIELD_TYPES = ['USER_SELECT', 'ORGANIZATION_SELECT', 'GROUP_SELECT', 'STATUS_ASSIGNEE', 'CREATOR', 'MODIFIER'];
+
+// 複数選択フィールド（選択順は比較しない）
+const MULTI_VALUE_FIELD_TYPES = ['CHECK_BOX', 'MULTI_SELECT', 'CATEGORY'];
+
+/**
+ * 復元するレコードと現在のレコードの差分
+ * 復元するレコードに含まれるフィールドのみ比較し、値が変わるフィールドを { fieldCode, before, after } で返す
+ */
+function diffRecord(restoredRecord, liveRecord) {
+    const changes = [];
+
+    for (const [fieldCode, field] of Object.entries(restoredRecord)) {
+        const liveField = liveRecord ? liveRecord[fieldCode] : null;
+
+        // テーブルは復元する列のみ比較（復元先にしかない列は変更されない）
+        const innerCodes = field.type === 'SUBTABLE' ? subtableInnerCodes(field) : null;
+        const after = formatFieldValue(field, innerCodes);
+        const before = liveField ? formatFieldValue(liveField, innerCodes) : '';
+
+        if (before !== after) {
+            changes.push({ fieldCode, before, after });
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * フィールドの値を比較・表示用の文字列に変換
+ */
+function formatFieldValue(field, innerCodes = null) {
+    const value = field ? field.value : null;
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    if (field.type === 'FILE') {
+        return value.map((file) => file.name).join(', ');
+    }
+    if (ENTITY_FIELD_TYPES.includes(field.type)) {
+        return (Array.isArray(value) ? value : [value]).map((entity) => entity.code).join(', ');
+    }
+    if (MULTI_VALUE_FIELD_TYPES.includes(field.type)) {
+        return [...value].sort().join(', ');
+    }
+    if (field.type === 'SUBTABLE') {
+        return value
+            .map((row) =>
+                Object.keys(row.value || {})
+                    .filter((code) => !innerCodes || innerCodes.has(code))
+                    .sort()
+                    .map((code) => `${code}: ${formatFieldValue(row.value[code])}`)
+                    .join(' / ')
+            )
+            .join('\n');
+    }
+
+    return String(value);
+}
+
+// テーブルの行に含まれるフィールドコード
+function subtableInnerCodes(field) {
+    const codes = new Set();
+    for (const row of field.value || []) {
+        Object.keys(row.value || {}).forEach((code) => codes.add(code));
+    }
+    return codes;
+}
+
+module.exports = { diffRecord, formatFieldValue };
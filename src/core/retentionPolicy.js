@@ -0,0 +1,138 @@
+// 保持ポリシーの既定値
+const DEFAULT_POLICY = {
+    daily: 7, // 日次で保持する日数
+    weekly: 4, // 週次で保持する週数
+    monthly: 12, // 月次で保持する月数
+    minFullAgeDays: 30, // 差分の基点になっている全体バックアップの最低保持日数
+    fullIntervalDays: 7, // スケジュール実行で全体バックアップを取得する間隔（日数、0 は差分のみ）
+    snapshotDays: 30, // 復元前のスナップショット（復元の取り消し用）を保持する日数（0 は削除しない）
+};
+
+/**
+ * 世代管理（GFS: grandfather-father-son）による保持ポリシー
+ * 日・週・月ごとに最新のバックアップを残し、削除は差分チェーン（全体バックアップと以降の差分）単位で行う
+ * スケジュール実行は定期的に全体バックアップを取得して新しいチェーンを開始する
+ */
+class RetentionPolicy {
+    constructor(policy = {}) {
+        this.policy = { ...DEFAULT_POLICY, ...policy };
+    }
+
+    /**
+     * 削除対象のバックアップを選定
+     * backups は同一アプリの成功したバックアップ（順不同）
+     */
+    selectBackupsToPrune(backups, now = new Date()) {
+        const sorted = [...backups].sort((a, b) => a.start_time.localeCompare(b.start_time));
+        if (sorted.length === 0) {
+            return [];
+        }
+
+        const chains = this.buildChains(sorted);
+        const keep = new Set();
+
+        // 最新のバックアップは常に保持
+        keep.add(sorted[sorted.length - 1].id);
+
+        // 日・週・月ごとの最新バックアップを保持
+        this.keepLatestPerPeriod(sorted, this.policy.daily, (date) => this.dayKey(date), keep);
+        this.keepLatestPerPeriod(sorted, this.policy.weekly, (date) => this.weekKey(date), keep);
+        this.keepLatestPerPeriod(sorted, this.policy.monthly, (date) => this.monthKey(date), keep);
+
+        // 差分チェーンの基点になっている全体バックアップは最低保持日数まで保持
+        const minFullAgeMs = this.policy.minFullAgeDays * 24 * 60 * 60 * 1000;
+        for (const chain of chains) {
+            const base = chain[0];
+            if (chain.length > 1 && now.getTime() - new Date(base.start_time).getTime() < minFullAgeMs) {
+                keep.add(base.id);
+            }
+        }
+
+        // 差分は前回バックアップからの変更のみで途中だけ削除すると時点復元できないため、
+        // 保持するバックアップを含まないチェーンのみチェーンごと削除
+        return chains.filter((chain) => !chain.some((backup) => keep.has(backup.id))).flat();
+    }
+
+    /**
+     * 削除対象の復元前のスナップショットを選定（差分チェーンに含まれないため、取得から snapshotDays 日経過したものを削除）
+     */
+    selectSnapshotsToPrune(snapshots, now = new Date()) {
+        const snapshotDays = this.policy.snapshotDays;
+        if (!snapshotDays || snapshotDays <= 0) {
+            return [];
+        }
+        const maxAgeMs = snapshotDays * 24 * 60 * 60 * 1000;
+        return snapshots.filter((snapshot) => now.getTime() - new Date(snapshot.start_time).getTime() >= maxAgeMs);
+    }
+
+    /**
+     * スケジュール実行で全体バックアップを取得するか（前回の全体バックアップから fullIntervalDays 日以上経過）
+     * 全体バックアップを取得していない場合は取得する
+     */
+    isFullBackupDue(lastFullBackupDatetime, now = new Date()) {
+        const intervalDays = this.policy.fullIntervalDays;
+        if (!intervalDays || intervalDays <= 0) {
+            return false;
+        }
+        if (!lastFullBackupDatetime) {
+            return true;
+        }
+        return now.getTime() - new Date(lastFullBackupDatetime).getTime() >= intervalDays * 24 * 60 * 60 * 1000;
+    }
+
+    // 全体バックアップ（または基準日時のない初回差分）を起点に差分チェーンへ分割
+    buildChains(sortedBackups) {
+        const chains = [];
+        for (const backup of sortedBackups) {
+            const isBase = backup.backup_type === '全体' || !backup.diff_base_datetime;
+            if (isBase || chains.length === 0) {
+                chains.push([backup]);
+            } else {
+                chains[chains.length - 1].push(backup);
+            }
+        }
+        return chains;
+    }
+
+    // 期間ごとの最新バックアップを新しい期間から count 件分保持
+    keepLatestPerPeriod(sortedBackups, count, keyOf, keep) {
+        if (!count || count <= 0) {
+            return;
+        }
+
+        const seenPeriods = new Set();
+        for (let i = sortedBackups.length - 1; i >= 0; i--) {
+            const key = keyOf(new Date(sortedBackups[i].start_time));
+            if (seenPeriods.has(key)) {
+                continue;
+            }
+            if (seenPeriods.size >= count) {
+                break;
+            }
+            seenPeriods.add(key);
+            keep.add(sortedBackups[i].id);
+        }
+    }
+
+    dayKey(date) {
+        return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+    }
+
+    // ISO 8601 の週番号（月曜始まり、木曜日を含む年に属する）
+    weekKey(date) {
+        const target = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+        const dayOfWeek = target.getUTCDay() || 7;
+        target.setUTCDate(target.getUTCDate() + 4 - dayOfWeek);
+        const yearStart = new Date(Date.UTC(target.getUTCFullYear(), 0, 1));
+        const week = Math.ceil(((target - yearStart) / (24 * 60 * 60 * 1000) + 1) / 7);
+        return `${target.getUTCFullYear()}-W${week}`;
+    }
+
+    monthKey(date) {
+        return `${date.getFullYear()}-${date.getMonth() + 1}`;
+    }
+}
+
+RetentionPolicy.DEFAULT_POLICY = DEFAULT_POLICY;
+
+module.exports = RetentionPolicy;
@@ -0,0 +1,74 @@
+const path = require('path');
+const unzipper = require('unzipper');
+
+const LocalStorageTarget = require('./localStorageTarget');
+const S3StorageTarget = require('./s3StorageTarget');
+
+/**
+ * アーカイブ保存先の管理
+ * backups.file_path の値（保存場所）から保存先を解決する
+ *   - s3://バケット/キー : S3 互換ストレージ
+ *   - 絶対パス / UNC パス : ローカル・共有フォルダ
+ *   - ファイル名のみ       : 旧形式（アプリデータの archives フォルダ）
+ */
+class StorageRegistry {
+    constructor(backupConfig, archivesDir) {
+        this.backupConfig = backupConfig || {};
+        this.archivesDir = archivesDir;
+    }
+
+    // 新しいバックアップの保存先（設定の保存先種別に従う）
+    getActiveTarget() {
+        if (this.backupConfig.storageType === 's3') {
+            return new S3StorageTarget(this.backupConfig.s3 || {});
+        }
+        return new LocalStorageTarget(this.backupConfig.outputDirectory || this.archivesDir);
+    }
+
+    // 保存場所から保存先とキーを解決
+    resolve(location) {
+        if (!location) {
+            throw new Error('バックアップファイルが存在しません');
+        }
+
+        const s3Match = /^s3:\/\/([^/]+)\/(.+)$/.exec(location);
+        if (s3Match) {
+            // オブジェクトキーをそのまま使うため prefix は付けない
+            const target = new S3StorageTarget({ ...(this.backupConfig.s3 || {}), bucket: s3Match[1], prefix: '' });
+            return { target, key: s3Match[2] };
+        }
+
+        if (path.isAbsolute(location) || location.startsWith('\\\\')) {
+            return { target: new LocalStorageTarget(path.dirname(location)), key: path.basename(location) };
+        }
+
+        return { target: new LocalStorageTarget(this.archivesDir), key: location };
+    }
+
+    // アーカイブをストリームで読み込み
+    createReadStream(location) {
+        const { target, key } = this.resolve(location);
+        return target.createReadStream(key);
+    }
+
+    // アーカイブをランダムアクセスで開く（unzipper の Central Directory）
+    async openZip(location) {
+        const { target, key } = this.resolve(location);
+        return await unzipper.Open.custom({
+            size: () => target.getSize(key),
+            stream: (offset, length) => target.createRangeReadStream(key, offset, length),
+        });
+    }
+
+    async exists(location) {
+        const { target, key } = this.resolve(location);
+        return await target.exists(key);
+    }
+
+    async delete(location) {
+        const { target, key } = this.resolve(location);
+        await target.delete(key);
+    }
+}
+
+module.exports = { StorageRegistry, LocalStorageTarget, S3StorageTarget };
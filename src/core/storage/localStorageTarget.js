@@ -0,0 +1,74 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * ローカルディレクトリ（UNC パスの共有フォルダを含む）へのアーカイブ保存先
+ */
+class LocalStorageTarget {
+    constructor(directory) {
+        this.type = 'local';
+        this.directory = directory;
+    }
+
+    // backups.file_path に記録する保存場所（絶対パス）
+    locationOf(key) {
+        return path.join(this.directory, key);
+    }
+
+    // ファイルの保存（作業ファイルを保存先へ移動）
+    async put(key, localFilePath) {
+        const destination = this.locationOf(key);
+        await fs.ensureDir(path.dirname(destination));
+        await fs.move(localFilePath, destination, { overwrite: true });
+        return destination;
+    }
+
+    // 保存済みアーカイブの一覧
+    async list() {
+        if (!(await fs.pathExists(this.directory))) {
+            return [];
+        }
+
+        const archives = [];
+        for (const name of await fs.readdir(this.directory)) {
+            if (!name.endsWith('.zip')) {
+                continue;
+            }
+            const stat = await fs.stat(path.join(this.directory, name));
+            archives.push({
+                key: name,
+                location: this.locationOf(name),
+                size: stat.size,
+                lastModified: stat.mtime.toISOString(),
+            });
+        }
+        return archives;
+    }
+
+    createReadStream(key) {
+        return fs.createReadStream(this.locationOf(key));
+    }
+
+    // 範囲指定の読み込み（ZIP のランダムアクセス用、length 省略時は末尾まで）
+    createRangeReadStream(key, offset, length) {
+        const options = { start: offset };
+        if (length) {
+            options.end = offset + length - 1;
+        }
+        return fs.createReadStream(this.locationOf(key), options);
+    }
+
+    async getSize(key) {
+        return (await fs.stat(this.locationOf(key))).size;
+    }
+
+    async exists(key) {
+        return await fs.pathExists(this.locationOf(key));
+    }
+
+    async delete(key) {
+        await fs.remove(this.locationOf(key));
+    }
+}
+
+module.exports = LocalStorageTarget;
@@ -0,0 +1,129 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+const fs = require('fs-extra');
+const { PassThrough } = require('stream');
+
+/**
+ * S3 互換オブジェクトストレージ（AWS S3 / MinIO など）へのアーカイブ保存先
+ */
+class S3StorageTarget {
+    constructor(config) {
+        this.type = 's3';
+        this.bucket = config.bucket;
+        this.prefix = (config.prefix || '').replace(/^\/+|\/+$/g, '');
+
+        this.client = new S3Client({
+            region: config.region || 'us-east-1',
+            endpoint: config.endpoint || undefined,
+            // MinIO などはパス形式（https://host/bucket/key）でアクセス
+            forcePathStyle: config.forcePathStyle !== false,
+            credentials: {
+                accessKeyId: config.accessKeyId,
+                secretAccessKey: config.secretAccessKey,
+            },
+        });
+    }
+
+    objectKey(key) {
+        return this.prefix ? `${this.prefix}/${key}` : key;
+    }
+
+    // backups.file_path に記録する保存場所（s3://バケット/オブジェクトキー）
+    locationOf(key) {
+        return `s3://${this.bucket}/${this.objectKey(key)}`;
+    }
+
+    // ファイルのアップロード（アップロード後に作業ファイルを削除）
+    async put(key, localFilePath) {
+        const { size } = await fs.stat(localFilePath);
+
+        await this.client.send(
+            new PutObjectCommand({
+                Bucket: this.bucket,
+                Key: this.objectKey(key),
+                Body: fs.createReadStream(localFilePath),
+                ContentLength: size,
+                ContentType: 'application/zip',
+            })
+        );
+
+        await fs.remove(localFilePath);
+        return this.locationOf(key);
+    }
+
+    // 保存済みアーカイブの一覧
+    async list() {
+        const archives = [];
+        let continuationToken;
+
+        do {
+            const response = await this.client.send(
+                new ListObjectsV2Command({
+                    Bucket: this.bucket,
+                    Prefix: this.prefix ? `${this.prefix}/` : undefined,
+                    ContinuationToken: continuationToken,
+                })
+            );
+
+            for (const object of response.Contents || []) {
+                if (!object.Key.endsWith('.zip')) {
+                    continue;
+                }
+                const key = this.prefix ? object.Key.substring(this.prefix.length + 1) : object.Key;
+                archives.push({
+                    key,
+                    location: this.locationOf(key),
+                    size: object.Size,
+                    lastModified: object.LastModified ? object.LastModified.toISOString() : null,
+                });
+            }
+
+            continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+        } while (continuationToken);
+
+        return archives;
+    }
+
+    createReadStream(key) {
+        return this.createRangeReadStream(key, 0);
+    }
+
+    // 範囲指定の読み込み（ZIP のランダムアクセス用、length 省略時は末尾まで）
+    createRangeReadStream(key, offset, length) {
+        // unzipper が同期的にストリームを要求するため、取得完了後に中継する
+        const stream = new PassThrough();
+        const range = offset > 0 || length ? `bytes=${offset}-${length ? offset + length - 1 : ''}` : undefined;
+
+        this.client
+            .send(new GetObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key), Range: range }))
+            .then((response) => {
+                response.Body.on('error', (error) => stream.destroy(error));
+                response.Body.pipe(stream);
+            })
+            .catch((error) => stream.destroy(error));
+
+        return stream;
+    }
+
+    async getSize(key) {
+        const response = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+        return response.ContentLength;
+    }
+
+    async exists(key) {
+        try {
+            await this.getSize(key);
+            return true;
+        } catch (error) {
+            if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    async delete(key) {
+        await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+    }
+}
+
+module.exports = S3StorageTarget;
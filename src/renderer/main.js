@@ -2,9 +2,14 @@
 
 let currentConfig = null;
 let allApps = [];
-let selectedBackupId = null;
+let selectedRestoreAppId = null;
+let selectedPointInTime = null;
 let availableRecords = [];
 let currentVirtualScroller = null;
+let pointInTimeSessionId = null; // 読み込み中の時点復元プレビュー
+let sessionPassphrase = null; // 入力済みの暗号化パスフレーズ（設定に保存しない場合）
+let backupHistory = []; // 表示中のバックアップ履歴（レコード表示用）
+let restoreHistory = []; // 表示中の復元履歴（競合の詳細表示用）
 
 // ========== ユーティリティ関数 ==========
 
@@ -362,6 +367,14 @@ class SimpleVirtualScroller {
     getSelectedRecordIds() {
         return Array.from(this.selectedRecordIds);
     }
+
+    // レコードの追加（バッチ単位の読み込み用）
+    appendRecords(records) {
+        records.forEach((record) => this.records.push(record));
+        // 表示範囲が変わらなくても下部スペーサーを更新する
+        this.visibleEnd = -1;
+        this.updateVisibleRows();
+    }
 }
 
 // ========== レコードテーブル描画関数 ==========
@@ -423,6 +436,11 @@ document.addEventListener('DOMContentLoaded', async () => {
 async function loadInitialData() {
     await loadStatistics();
     await loadAppsForBackup();
+    loadStorageSettings();
+    loadEncryptionSettings();
+    loadCommentSettings();
+    loadRetentionSettings();
+    loadVerificationSettings();
     await loadBackupHistory();
 }
 
@@ -436,11 +454,39 @@ function setupEventListeners() {
     // バックアップ実行
     document.getElementById('runBackupBtn').addEventListener('click', runManualBackup);
 
+    // 保存先
+    document.querySelectorAll('input[name="storageType"]').forEach((radio) => {
+        radio.addEventListener('change', toggleStorageSettings);
+    });
+    document.getElementById('saveStorageBtn').addEventListener('click', saveStorageSettings);
+    document.getElementById('checkStorageBtn').addEventListener('click', checkStorage);
+
+    // 暗号化
+    document.getElementById('saveEncryptionBtn').addEventListener('click', saveEncryptionSettings);
+
+    // コメント
+    document.getElementById('saveCommentsBtn').addEventListener('click', saveCommentSettings);
+
+    // 保持ポリシー
+    document.getElementById('retentionAppSelect').addEventListener('change', showRetentionPolicy);
+    document.getElementById('retentionUseDefault').addEventListener('change', toggleRetentionUseDefault);
+    document.getElementById('saveRetentionBtn').addEventListener('click', saveRetentionSettings);
+
     // 復元関連
-    document.getElementById('restoreAppSelect').addEventListener('change', loadBackupsForApp);
+    document.getElementById('restoreAppSelect').addEventListener('change', showPointInTimePicker);
+    document.getElementById('loadPointInTimeBtn').addEventListener('click', loadPointInTimeRecords);
+    document.getElementById('deletedSinceBackupSelect').addEventListener('change', loadDeletedRecords);
+    document.getElementById('restoreDeletedBtn').addEventListener('click', restoreDeletedRecords);
+    document.getElementById('scheduledRunSelect').addEventListener('change', loadScheduledRunPlan);
+    document.getElementById('restoreScheduledRunBtn').addEventListener('click', restoreScheduledRun);
     document.getElementById('selectAllRecords').addEventListener('change', toggleSelectAllRecords);
+    document.getElementById('restoreToOtherTarget').addEventListener('change', toggleRestoreTarget);
     document.getElementById('executeRestoreBtn').addEventListener('click', executeRestore);
 
+    // 検証
+    document.getElementById('saveVerificationBtn').addEventListener('click', saveVerificationSettings);
+    document.getElementById('verifyAllBtn').addEventListener('click', verifyAllBackups);
+
     // 設定ボタン
     document.getElementById('settingsBtn').addEventListener('click', openSettings);
 }
@@ -456,6 +502,7 @@ function switchTab(tabName) {
     // 復元タブに切り替えたときにアプリ一覧を読み込む
     if (tabName === 'restore') {
         loadAppsForRestore();
+        loadScheduledRuns();
     }
 }
 
@@ -516,6 +563,17 @@ async function runManualBackup() {
         appId: cb.dataset.appId,
     }));
 
+    // パスフレーズを保存していない場合は暗号化に使うパスフレーズを入力
+    const encryption = currentConfig.backup?.encryption || {};
+    let passphrase = null;
+    if (encryption.enabled && !encryption.passphrase) {
+        passphrase = sessionPassphrase || (await requestPassphrase('バックアップの暗号化に使用するパスフレーズを入力してください'));
+        if (!passphrase) {
+            return;
+        }
+        sessionPassphrase = passphrase;
+    }
+
     const progressDiv = document.getElementById('backupProgress');
     const progressFill = document.getElementById('backupProgressFill');
     const progressText = document.getElementById('backupProgressText');
@@ -539,6 +597,7 @@ async function runManualBackup() {
                 triggerType: '手動',
                 hostname: paths.hostname,
                 appVersion: paths.appVersion,
+                passphrase,
             });
 
             results.push({ ...result, success: true });
@@ -573,6 +632,326 @@ async function runManualBackup() {
     }, 2000);
 }
 
+// ========== 保存先 ==========
+
+const S3_FIELDS = {
+    endpoint: 's3Endpoint',
+    region: 's3Region',
+    bucket: 's3Bucket',
+    prefix: 's3Prefix',
+    accessKeyId: 's3AccessKeyId',
+    secretAccessKey: 's3SecretAccessKey',
+};
+
+// 保存先設定の読み込み
+function loadStorageSettings() {
+    const backup = currentConfig.backup || {};
+    const storageType = backup.storageType || 'local';
+
+    document.querySelector(`input[name="storageType"][value="${storageType}"]`).checked = true;
+    document.getElementById('outputDirectory').value = backup.outputDirectory || '';
+
+    const s3 = backup.s3 || {};
+    Object.entries(S3_FIELDS).forEach(([key, id]) => {
+        document.getElementById(id).value = s3[key] || '';
+    });
+    document.getElementById('s3ForcePathStyle').checked = s3.forcePathStyle !== false;
+
+    toggleStorageSettings();
+}
+
+// 保存先の種類に応じて入力欄を切り替え
+function toggleStorageSettings() {
+    const storageType = document.querySelector('input[name="storageType"]:checked').value;
+    document.getElementById('localStorageSettings').style.display = storageType === 'local' ? 'block' : 'none';
+    document.getElementById('s3StorageSettings').style.display = storageType === 's3' ? 'block' : 'none';
+}
+
+// 保存先設定の保存
+async function saveStorageSettings() {
+    const storageType = document.querySelector('input[name="storageType"]:checked').value;
+
+    const s3 = { forcePathStyle: document.getElementById('s3ForcePathStyle').checked };
+    Object.entries(S3_FIELDS).forEach(([key, id]) => {
+        s3[key] = document.getElementById(id).value.trim();
+    });
+
+    if (storageType === 's3' && (!s3.bucket || !s3.accessKeyId || !s3.secretAccessKey)) {
+        alert('バケット、アクセスキー ID、シークレットアクセスキーを入力してください');
+        return;
+    }
+
+    const backup = {
+        ...(currentConfig.backup || {}),
+        storageType,
+        outputDirectory: document.getElementById('outputDirectory').value.trim(),
+        s3,
+    };
+
+    try {
+        await window.electronAPI.saveConfig({ backup });
+        currentConfig.backup = backup;
+        alert('保存先を保存しました');
+    } catch (error) {
+        console.error('Failed to save storage settings:', error);
+        alert('保存先の保存に失敗しました: ' + error.message);
+    }
+}
+
+// 保存先の接続確認（保存済みのアーカイブ数を表示）
+async function checkStorage() {
+    const status = document.getElementById('storageStatus');
+    status.textContent = '確認中...';
+
+    try {
+        const archives = await window.electronAPI.listArchives();
+        const unregistered = archives.filter((archive) => !archive.backupId).length;
+        status.textContent = `接続成功: ${archives.length}件のアーカイブ` + (unregistered > 0 ? `（履歴に未登録: ${unregistered}件）` : '');
+    } catch (error) {
+        console.error('Failed to check storage:', error);
+        status.textContent = '接続失敗: ' + error.message;
+    }
+}
+
+// ========== 暗号化 ==========
+
+// 暗号化設定の読み込み（保存済みのパスフレーズは表示しない）
+function loadEncryptionSettings() {
+    const encryption = currentConfig.backup?.encryption || {};
+    document.getElementById('encryptionEnabled').checked = !!encryption.enabled;
+    document.getElementById('encryptionRememberPassphrase').checked = !!encryption.passphrase;
+
+    const placeholder = encryption.passphrase ? '保存済み（変更する場合のみ入力）' : '';
+    document.getElementById('encryptionPassphrase').placeholder = placeholder;
+    document.getElementById('encryptionPassphraseConfirm').placeholder = placeholder;
+}
+
+// 暗号化設定の保存
+async function saveEncryptionSettings() {
+    const current = currentConfig.backup?.encryption || {};
+    const enabled = document.getElementById('encryptionEnabled').checked;
+    const remember = document.getElementById('encryptionRememberPassphrase').checked;
+    const passphrase = document.getElementById('encryptionPassphrase').value;
+
+    if (passphrase !== document.getElementById('encryptionPassphraseConfirm').value) {
+        alert('パスフレーズが一致しません');
+        return;
+    }
+
+    // パスフレーズを保存しないとスケジュール実行のバックアップがすべて失敗するため、暗号化する場合は保存を必須にする
+    if (enabled && !remember) {
+        alert('暗号化を有効にする場合は、パスフレーズを設定に保存してください（スケジュール実行のバックアップに必要です）');
+        return;
+    }
+
+    if (enabled && remember && !passphrase && !current.passphrase) {
+        alert('パスフレーズを入力してください');
+        return;
+    }
+
+    const backup = {
+        ...(currentConfig.backup || {}),
+        encryption: {
+            enabled,
+            passphrase: remember ? passphrase || current.passphrase || '' : '',
+        },
+    };
+
+    try {
+        await window.electronAPI.saveConfig({ backup });
+        currentConfig.backup = backup;
+        if (passphrase) {
+            sessionPassphrase = passphrase;
+        }
+
+        document.getElementById('encryptionPassphrase').value = '';
+        document.getElementById('encryptionPassphraseConfirm').value = '';
+        loadEncryptionSettings();
+        alert('暗号化設定を保存しました');
+    } catch (error) {
+        console.error('Failed to save encryption settings:', error);
+        alert('暗号化設定の保存に失敗しました: ' + error.message);
+    }
+}
+
+// ========== コメント ==========
+
+// コメントのバックアップ設定の読み込み（コメントを保存するアプリを選択）
+function loadCommentSettings() {
+    const container = document.getElementById('commentsAppsList');
+    container.innerHTML = '';
+
+    const appIds = (currentConfig.backup?.comments?.appIds || []).map(String);
+
+    (currentConfig.apps || []).forEach((app) => {
+        const div = document.createElement('div');
+        div.className = 'app-item';
+        div.innerHTML = `
+            <label class="checkbox-label">
+                <input type="checkbox" class="comments-app-checkbox" data-app-id="${app.appId}" ${appIds.includes(String(app.appId)) ? 'checked' : ''}>
+                <span class="app-name">${app.appName}</span>
+                <span class="app-id">ID: ${app.appId}</span>
+            </label>
+        `;
+        container.appendChild(div);
+    });
+}
+
+// コメントのバックアップ設定の保存
+async function saveCommentSettings() {
+    const backup = {
+        ...(currentConfig.backup || {}),
+        comments: {
+            appIds: Array.from(document.querySelectorAll('.comments-app-checkbox:checked')).map((cb) => cb.dataset.appId),
+        },
+    };
+
+    try {
+        await window.electronAPI.saveConfig({ backup });
+        currentConfig.backup = backup;
+        alert('コメントの設定を保存しました');
+    } catch (error) {
+        console.error('Failed to save comment settings:', error);
+        alert('コメントの設定の保存に失敗しました: ' + error.message);
+    }
+}
+
+// パスフレーズ入力ダイアログを表示（キャンセル時は null）
+function requestPassphrase(message) {
+    const dialog = document.getElementById('passphraseDialog');
+    const input = document.getElementById('passphraseInput');
+
+    document.getElementById('passphraseDialogMessage').textContent = message;
+    input.value = '';
+    dialog.returnValue = '';
+
+    return new Promise((resolve) => {
+        dialog.addEventListener(
+            'close',
+            () => {
+                resolve(dialog.returnValue === 'ok' && input.value ? input.value : null);
+            },
+            { once: true }
+        );
+        dialog.showModal();
+        input.focus();
+    });
+}
+
+// 暗号化されたバックアップを読み込む処理を実行（パスフレーズが必要・誤りの場合は入力して再実行）
+async function withPassphrase(call) {
+    let passphrase = sessionPassphrase;
+
+    for (;;) {
+        try {
+            const result = await call(passphrase);
+            if (passphrase) {
+                sessionPassphrase = passphrase;
+            }
+            return result;
+        } catch (error) {
+            if (!error.message || !error.message.includes('パスフレーズ')) {
+                throw error;
+            }
+
+            const message = passphrase ? 'パスフレーズが正しくありません。もう一度入力してください' : '暗号化されたバックアップです。パスフレーズを入力してください';
+            passphrase = await requestPassphrase(message);
+            if (!passphrase) {
+                throw new Error('パスフレーズの入力がキャンセルされました');
+            }
+        }
+    }
+}
+
+// ========== 保持ポリシー ==========
+
+const RETENTION_FIELDS = {
+    daily: 'retentionDaily',
+    weekly: 'retentionWeekly',
+    monthly: 'retentionMonthly',
+    minFullAgeDays: 'retentionMinFullAgeDays',
+    fullIntervalDays: 'retentionFullIntervalDays',
+    snapshotDays: 'retentionSnapshotDays',
+};
+
+// 保持ポリシー設定の読み込み
+function loadRetentionSettings() {
+    const retention = currentConfig.retention || { enabled: false, default: {}, apps: {} };
+    document.getElementById('retentionEnabled').checked = !!retention.enabled;
+
+    const select = document.getElementById('retentionAppSelect');
+    select.innerHTML = '<option value="">全アプリ共通</option>';
+    (currentConfig.apps || []).forEach((app) => {
+        const option = document.createElement('option');
+        option.value = app.appId;
+        option.textContent = `${app.appName} (ID: ${app.appId})`;
+        select.appendChild(option);
+    });
+
+    showRetentionPolicy();
+}
+
+// 選択中の対象の保持ポリシーを表示
+function showRetentionPolicy() {
+    const retention = currentConfig.retention || { default: {}, apps: {} };
+    const appId = document.getElementById('retentionAppSelect').value;
+    const appPolicy = appId ? (retention.apps || {})[appId] : null;
+
+    document.getElementById('retentionUseDefaultGroup').style.display = appId ? 'block' : 'none';
+    document.getElementById('retentionUseDefault').checked = !!appId && !appPolicy;
+
+    const policy = { ...(retention.default || {}), ...(appPolicy || {}) };
+    Object.entries(RETENTION_FIELDS).forEach(([key, id]) => {
+        document.getElementById(id).value = policy[key] ?? '';
+    });
+
+    toggleRetentionUseDefault();
+}
+
+// 共通設定を使用する場合は入力不可にする
+function toggleRetentionUseDefault() {
+    const useDefault = document.getElementById('retentionUseDefault').checked;
+    Object.values(RETENTION_FIELDS).forEach((id) => {
+        document.getElementById(id).disabled = useDefault;
+    });
+}
+
+// 保持ポリシー設定の保存
+async function saveRetentionSettings() {
+    const retention = {
+        enabled: false,
+        default: {},
+        apps: {},
+        ...(currentConfig.retention || {}),
+    };
+    retention.apps = { ...(retention.apps || {}) };
+    retention.enabled = document.getElementById('retentionEnabled').checked;
+
+    const policy = {};
+    Object.entries(RETENTION_FIELDS).forEach(([key, id]) => {
+        const value = parseInt(document.getElementById(id).value, 10);
+        policy[key] = Number.isNaN(value) || value < 0 ? 0 : value;
+    });
+
+    const appId = document.getElementById('retentionAppSelect').value;
+    if (!appId) {
+        retention.default = policy;
+    } else if (document.getElementById('retentionUseDefault').checked) {
+        delete retention.apps[appId];
+    } else {
+        retention.apps[appId] = policy;
+    }
+
+    try {
+        await window.electronAPI.saveConfig({ retention });
+        currentConfig.retention = retention;
+        alert('保持ポリシーを保存しました');
+    } catch (error) {
+        console.error('Failed to save retention settings:', error);
+        alert('保持ポリシーの保存に失敗しました: ' + error.message);
+    }
+}
+
 // 復元用アプリリストの読み込み
 async function loadAppsForRestore() {
     const select = document.getElementById('restoreAppSelect');
@@ -588,19 +967,36 @@ async function loadAppsForRestore() {
     });
 }
 
-// アプリのバックアップ一覧を読み込む
-async function loadBackupsForApp() {
+// 時点復元の日時選択を表示
+function showPointInTimePicker() {
     const appId = document.getElementById('restoreAppSelect').value;
-    const backupsListDiv = document.getElementById('restoreBackupsList');
+    const pickerDiv = document.getElementById('restorePointInTime');
     const recordsListDiv = document.getElementById('restoreRecordsList');
 
     recordsListDiv.style.display = 'none';
+    document.getElementById('restoreChainInfo').textContent = '';
+    currentVirtualScroller = null;
+    closePointInTimeSession();
 
     if (!appId) {
-        backupsListDiv.style.display = 'none';
+        pickerDiv.style.display = 'none';
+        document.getElementById('restoreDeletedRecords').style.display = 'none';
         return;
     }
 
+    // 初期値は現在日時
+    document.getElementById('restoreDatetime').value = toDatetimeLocalValue(new Date());
+    pickerDiv.style.display = 'block';
+
+    loadDeletedSinceOptions(appId);
+}
+
+// 削除レコード表示の基準バックアップ一覧を読み込む
+async function loadDeletedSinceOptions(appId) {
+    const select = document.getElementById('deletedSinceBackupSelect');
+    select.innerHTML = '<option value="">選択してください</option>';
+    document.getElementById('deletedRecordsContainer').innerHTML = '';
+
     try {
         const backups = await window.electronAPI.getBackupHistory({
             app_id: appId,
@@ -608,59 +1004,321 @@ async function loadBackupsForApp() {
             limit: 50,
         });
 
-        const container = document.getElementById('backupsListContainer');
-        container.innerHTML = '';
-
-        if (backups.length === 0) {
-            container.innerHTML = '<p>バックアップが見つかりません</p>';
-        } else {
-            backups.forEach((backup) => {
-                const div = document.createElement('div');
-                div.className = 'app-item';
-                div.style.cursor = 'pointer';
-                div.innerHTML = `
-                    <div>
-                        <strong>${formatDateTime(backup.start_time)}</strong>
-                        <span class="badge badge-${backup.backup_type === '全体' ? 'success' : 'warning'}">${backup.backup_type}</span>
-                        <span style="margin-left: 10px; color: #666;">${backup.record_count}件</span>
-                    </div>
-                `;
-                div.addEventListener('click', () => loadRecordsFromBackup(backup.id));
-                container.appendChild(div);
+        // 復元前のスナップショットは一部のレコードのみのため除外
+        backups
+            .filter((backup) => backup.trigger_type !== '復元前')
+            .forEach((backup) => {
+                const option = document.createElement('option');
+                option.value = backup.id;
+                option.textContent = `${formatDateTime(backup.start_time)} (${backup.backup_type})`;
+                select.appendChild(option);
             });
-        }
 
-        backupsListDiv.style.display = 'block';
+        document.getElementById('restoreDeletedRecords').style.display = 'block';
     } catch (error) {
         console.error('Failed to load backups:', error);
-        alert('バックアップ一覧の取得に失敗しました');
     }
 }
 
-// バックアップからレコード一覧を読み込む
-async function loadRecordsFromBackup(backupId) {
-    selectedBackupId = backupId;
+// 基準バックアップ以降に削除されたレコードを読み込む
+async function loadDeletedRecords() {
+    const appId = document.getElementById('restoreAppSelect').value;
+    const sinceBackupId = document.getElementById('deletedSinceBackupSelect').value;
+    const container = document.getElementById('deletedRecordsContainer');
+    container.innerHTML = '';
+
+    if (!appId || !sinceBackupId) {
+        return;
+    }
 
     try {
-        const records = await window.electronAPI.getBackupDetails(backupId);
-        availableRecords = records;
+        const deletedRecords = await withPassphrase((passphrase) => window.electronAPI.getDeletedRecords(appId, Number(sinceBackupId), passphrase));
 
-        // バックアップ情報からアプリ ID を取得
-        const history = await window.electronAPI.getBackupHistory({ limit: 1000 });
-        const currentBackup = history.find((b) => b.id === backupId);
-        const appId = currentBackup?.app_id;
+        if (deletedRecords.length === 0) {
+            container.innerHTML = '<p>削除されたレコードはありません</p>';
+            return;
+        }
+
+        deletedRecords.forEach((deleted) => {
+            const div = document.createElement('div');
+            div.className = 'app-item';
+            const disabled = deleted.record ? '' : 'disabled';
+            const note = deleted.record ? '' : '<span style="margin-left: 10px; color: #c00;">バックアップデータなし</span>';
+            div.innerHTML = `
+                <label class="checkbox-label">
+                    <input type="checkbox" class="deleted-record-checkbox" data-record-id="${escapeHtml(deleted.recordId)}" ${disabled}>
+                    <span class="app-name">レコードID: ${escapeHtml(deleted.recordId)}</span>
+                    <span class="app-id">削除検出: ${formatDateTime(deleted.deletedBackupTime)}</span>
+                    ${note}
+                </label>
+            `;
+            container.appendChild(div);
+        });
+    } catch (error) {
+        console.error('Failed to load deleted records:', error);
+        alert('削除レコードの取得に失敗しました: ' + error.message);
+    }
+}
+
+// 削除されたレコードの復元
+async function restoreDeletedRecords() {
+    const appId = document.getElementById('restoreAppSelect').value;
+    const recordIds = Array.from(document.querySelectorAll('.deleted-record-checkbox:checked')).map((cb) => cb.dataset.recordId);
+
+    if (recordIds.length === 0) {
+        alert('少なくとも1つのレコードを選択してください');
+        return;
+    }
+
+    const confirm = await window.electronAPI.showDialog({
+        type: 'warning',
+        buttons: ['キャンセル', '復元実行'],
+        defaultId: 0,
+        title: '復元の確認',
+        message: `削除された${recordIds.length}件のレコードを復元します。よろしいですか?`,
+    });
+
+    if (confirm.response !== 1) {
+        return;
+    }
+
+    const button = document.getElementById('restoreDeletedBtn');
+    try {
+        button.disabled = true;
+        const result = await withPassphrase((passphrase) => window.electronAPI.restoreDeletedRecords({ appId, recordIds, passphrase }));
+        alert('復元が完了しました' + formatMissingFiles(result.missingFiles));
+        await offerReferenceRewrite(result);
+        await loadBackupHistory();
+    } catch (error) {
+        console.error('Restore failed:', error);
+        alert('復元に失敗しました: ' + error.message);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// 一括復元に使うスケジュール実行の一覧を読み込む
+async function loadScheduledRuns() {
+    const select = document.getElementById('scheduledRunSelect');
+    select.innerHTML = '<option value="">選択してください</option>';
+    document.getElementById('scheduledRunAppsContainer').innerHTML = '';
+
+    try {
+        const runs = await window.electronAPI.getScheduledRuns();
+        runs.forEach((run) => {
+            const option = document.createElement('option');
+            option.value = run.runId;
+            option.textContent = `${formatDateTime(run.startTime)} (${run.appCount}アプリ)`;
+            select.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Failed to load scheduled runs:', error);
+    }
+}
+
+// 一括復元の順序（ルックアップの依存関係）を表示
+async function loadScheduledRunPlan() {
+    const runId = document.getElementById('scheduledRunSelect').value;
+    const container = document.getElementById('scheduledRunAppsContainer');
+    container.innerHTML = '';
+
+    if (!runId) {
+        return;
+    }
+
+    try {
+        const plan = await withPassphrase((passphrase) => window.electronAPI.getScheduledRunPlan(runId, passphrase));
+        const names = new Map(plan.apps.map((app) => [app.appId, app.appName]));
+
+        plan.apps.forEach((app, index) => {
+            const div = document.createElement('div');
+            div.className = 'app-item';
+            const dependsOn = app.dependsOn.length > 0 ? `参照先: ${app.dependsOn.map((appId) => `${names.get(appId) || 'アプリ'} (ID: ${appId})`).join(', ')}` : '';
+            const note = app.cyclic ? '<span style="margin-left: 10px; color: #c00;">参照が循環しているため、参照先より先に復元される場合があります</span>' : '';
+            div.innerHTML = `
+                <label class="checkbox-label">
+                    <input type="checkbox" class="scheduled-run-app-checkbox" data-app-id="${escapeHtml(app.appId)}" checked>
+                    <span class="app-name">${index + 1}. ${escapeHtml(app.appName)}</span>
+                    <span class="app-id">ID: ${escapeHtml(app.appId)} / バックアップ: ${formatDateTime(app.startTime)}</span>
+                    <span class="app-id">${escapeHtml(dependsOn)}</span>
+                    ${note}
+                </label>
+            `;
+            container.appendChild(div);
+        });
+    } catch (error) {
+        console.error('Failed to load scheduled run plan:', error);
+        alert('復元順序の取得に失敗しました: ' + error.message);
+    }
+}
+
+// 同じスケジュール実行のバックアップから複数アプリを一括復元
+async function restoreScheduledRun() {
+    const runId = document.getElementById('scheduledRunSelect').value;
+    const appIds = Array.from(document.querySelectorAll('.scheduled-run-app-checkbox:checked')).map((cb) => cb.dataset.appId);
+
+    if (!runId || appIds.length === 0) {
+        alert('スケジュール実行と少なくとも1つのアプリを選択してください');
+        return;
+    }
+
+    const conflictPolicy = document.getElementById('scheduledRunConflictPolicy').value;
+    const button = document.getElementById('restoreScheduledRunBtn');
+
+    // ドライランでアプリごとの変更内容を確認してから復元
+    let preview;
+    try {
+        button.disabled = true;
+        button.textContent = '変更内容を確認中...';
+        preview = await withPassphrase((passphrase) => window.electronAPI.restoreScheduledRun({ runId, appIds, conflictPolicy, dryRun: true, passphrase }));
+    } catch (error) {
+        console.error('Multi-app restore preview failed:', error);
+        alert('変更内容の確認に失敗しました: ' + error.message);
+        return;
+    } finally {
+        button.disabled = false;
+        button.textContent = '選択したアプリを復元';
+    }
+
+    if (!(await confirmScheduledRunPreview(preview))) {
+        return;
+    }
+
+    try {
+        button.disabled = true;
+        button.textContent = '復元中...';
+
+        const paths = await window.electronAPI.getAppPaths();
+        const result = await withPassphrase((passphrase) =>
+            window.electronAPI.restoreScheduledRun({
+                runId,
+                appIds,
+                conflictPolicy,
+                hostname: paths.hostname,
+                appVersion: paths.appVersion,
+                passphrase,
+            })
+        );
+
+        const lines = result.apps.map((app) => {
+            if (!app.success) {
+                return `・${app.appName} (ID: ${app.appId}): 失敗 (${app.error || '書き込めませんでした'})`;
+            }
+            const status = app.updateFailed || app.addFailed ? '一部失敗' : '成功';
+            return `・${app.appName} (ID: ${app.appId}): ${status} (追加: ${app.addedCount}件、更新: ${app.updatedCount}件)`;
+        });
+        alert(`一括復元が完了しました\n${lines.join('\n')}`);
+
+        // 一括復元に含めなかったアプリの参照は個別に書き換えを提案
+        for (const app of result.apps.filter((item) => item.success)) {
+            await offerReferenceRewrite(app);
+        }
+
+        await loadBackupHistory();
+    } catch (error) {
+        console.error('Multi-app restore failed:', error);
+        alert('復元に失敗しました: ' + error.message);
+    } finally {
+        button.disabled = false;
+        button.textContent = '選択したアプリを復元';
+    }
+}
+
+// 一括復元のドライランの結果をアプリごとに表示して復元の実行を確認（変更のないアプリは表示しない）
+async function confirmScheduledRunPreview(preview) {
+    const failed = preview.apps.filter((app) => !app.success);
+    if (failed.length > 0) {
+        const lines = failed.map((app) => `・${app.appName} (ID: ${app.appId}): ${app.error}`);
+        if (!confirm(`変更内容を確認できなかったアプリがあります（これらのアプリは復元されません）:\n${lines.join('\n')}\n\nほかのアプリの変更内容を確認しますか?`)) {
+            return false;
+        }
+    }
+
+    const changed = preview.apps.filter((app) => app.success && app.addedCount + app.updatedCount > 0);
+    if (changed.length === 0) {
+        alert('変更されるレコードはありません');
+        return false;
+    }
+
+    for (const [index, app] of changed.entries()) {
+        if (!(await confirmRestorePreview(app, null, `${index + 1}/${changed.length}: ${app.appName} (ID: ${app.appId})\n`))) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+// 指定日時時点のレコード一覧を読み込む（最初のバッチを表示し、残りは順次追加）
+async function loadPointInTimeRecords() {
+    const appId = document.getElementById('restoreAppSelect').value;
+    const datetimeValue = document.getElementById('restoreDatetime').value;
+
+    if (!appId || !datetimeValue) {
+        alert('アプリと日時を選択してください');
+        return;
+    }
+
+    const targetDatetime = new Date(datetimeValue).toISOString();
+    await closePointInTimeSession();
+
+    try {
+        const first = await withPassphrase((passphrase) => window.electronAPI.openPointInTimeRecords(appId, targetDatetime, passphrase));
+        const sessionId = first.sessionId;
+        pointInTimeSessionId = sessionId;
+
+        availableRecords = first.records;
+        selectedRestoreAppId = appId;
+        selectedPointInTime = targetDatetime;
+
+        // 使用するバックアップチェーンの表示
+        const base = first.chain[0];
+        const chainText = `基点: ${formatDateTime(base.startTime)} の${base.backupType}バックアップ + 差分 ${first.chain.length - 1}件`;
+        const chainInfo = document.getElementById('restoreChainInfo');
+        const showProgress = (done) => {
+            chainInfo.textContent = `${chainText} (${availableRecords.length}件のレコード${done ? '' : '、読み込み中...'})`;
+        };
+        showProgress(first.done);
 
         const container = document.getElementById('recordsListContainer');
 
         // 仮想スクロールテーブル形式で描画
-        currentVirtualScroller = await renderRecordsTable(records, container, appId, {
+        currentVirtualScroller = await renderRecordsTable(availableRecords, container, appId, {
             showCheckbox: true,
         });
 
         document.getElementById('restoreRecordsList').style.display = 'block';
+
+        // 残りのレコードをバッチ単位で読み込んで追加（別の日時を読み込んだ場合は中止）
+        let done = first.done;
+        while (!done && pointInTimeSessionId === sessionId) {
+            const next = await window.electronAPI.readRecords(sessionId);
+            done = next.done;
+            currentVirtualScroller.appendRecords(next.records);
+            showProgress(done);
+        }
+
+        if (pointInTimeSessionId === sessionId) {
+            pointInTimeSessionId = null;
+        }
     } catch (error) {
         console.error('Failed to load records:', error);
-        alert('レコード一覧の取得に失敗しました');
+        alert('レコード一覧の取得に失敗しました: ' + error.message);
+    }
+}
+
+// 読み込み中の時点復元プレビューを中止
+async function closePointInTimeSession() {
+    if (pointInTimeSessionId === null) {
+        return;
+    }
+
+    const sessionId = pointInTimeSessionId;
+    pointInTimeSessionId = null;
+    try {
+        await window.electronAPI.closeRecords(sessionId);
+    } catch (error) {
+        console.error('Failed to close preview:', error);
     }
 }
 
@@ -686,15 +1344,66 @@ async function executeRestore() {
         return;
     }
 
-    const confirm = await window.electronAPI.showDialog({
-        type: 'warning',
-        buttons: ['キャンセル', '復元実行'],
-        defaultId: 0,
-        title: '復元の確認',
-        message: `${selectedRecordIds.length}件のレコードを復元します。よろしいですか?`,
-    });
+    const target = getRestoreTarget();
+    if (target && !target.appId) {
+        alert('復元先のアプリIDを入力してください');
+        return;
+    }
 
-    if (confirm.response !== 1) {
+    // 復元先のフォームとフィールドが一致しない場合は対応付けを確認
+    let fieldMappingOptions;
+    try {
+        fieldMappingOptions = await selectFieldMapping(target);
+    } catch (error) {
+        console.error('Failed to load field mapping:', error);
+        alert('フィールドの対応付けの確認に失敗しました: ' + error.message);
+        return;
+    }
+    if (!fieldMappingOptions) {
+        return;
+    }
+
+    const restoreOptions = {
+        appId: selectedRestoreAppId,
+        targetDatetime: selectedPointInTime,
+        selectedRecordIds,
+        target,
+        conflictPolicy: document.getElementById('restoreConflictPolicy').value,
+        atomic: document.getElementById('restoreAtomic').checked,
+        preserveAuditFields: document.getElementById('restorePreserveAuditFields').checked,
+        restoreStatus: document.getElementById('restoreStatus').checked,
+        restoreComments: document.getElementById('restoreComments').checked,
+        ...fieldMappingOptions,
+    };
+
+    // ステータスのアクション・作業者の更新で更新者・更新日時が実行時の値に変わるため、作成者・日時の保持と併用する場合は確認
+    if (
+        restoreOptions.preserveAuditFields &&
+        restoreOptions.restoreStatus &&
+        !confirm(
+            '作成者・日時の保持とステータス・作業者の復元を併用します。\n' +
+                'ステータスを進めた・作業者を更新した追加レコードの更新者・更新日時は、バックアップ時の値ではなく実行したユーザー・日時になります。続行しますか?'
+        )
+    ) {
+        return;
+    }
+
+    // ドライランで変更内容を確認してから復元
+    let preview;
+    try {
+        document.getElementById('executeRestoreBtn').disabled = true;
+        document.getElementById('executeRestoreBtn').textContent = '変更内容を確認中...';
+        preview = await withPassphrase((passphrase) => window.electronAPI.restorePointInTime({ ...restoreOptions, dryRun: true, passphrase }));
+    } catch (error) {
+        console.error('Restore preview failed:', error);
+        alert('変更内容の確認に失敗しました: ' + error.message);
+        return;
+    } finally {
+        document.getElementById('executeRestoreBtn').disabled = false;
+        document.getElementById('executeRestoreBtn').textContent = '復元実行';
+    }
+
+    if (!(await confirmRestorePreview(preview, target))) {
         return;
     }
 
@@ -703,21 +1412,37 @@ async function executeRestore() {
         document.getElementById('executeRestoreBtn').textContent = '復元中...';
 
         const paths = await window.electronAPI.getAppPaths();
-        await window.electronAPI.restoreRecords({
-            backupId: selectedBackupId,
-            selectedRecordIds,
-            hostname: paths.hostname,
-            appVersion: paths.appVersion,
-        });
-
-        alert('復元が完了しました');
+        const result = await withPassphrase((passphrase) =>
+            window.electronAPI.restorePointInTime({
+                ...restoreOptions,
+                hostname: paths.hostname,
+                appVersion: paths.appVersion,
+                passphrase,
+            })
+        );
+
+        alert(
+            '復元が完了しました' +
+                formatConflicts(result.conflicts) +
+                formatDroppedFields(result) +
+                formatMissingUsers(result.missingUsers) +
+                formatUnreachableStatuses(result.unreachableStatuses) +
+                formatCommentResult(result) +
+                formatMissingFiles(result.missingFiles)
+        );
+
+        // 別の環境への復元では他のアプリの参照を書き換えない
+        if (result.targetDomain === currentConfig.kintone?.domain) {
+            await offerReferenceRewrite(result);
+        }
 
         // 履歴を再読み込み
         await loadBackupHistory();
 
         // リセット
         document.getElementById('restoreAppSelect').value = '';
-        document.getElementById('restoreBackupsList').style.display = 'none';
+        document.getElementById('restorePointInTime').style.display = 'none';
+        document.getElementById('restoreDeletedRecords').style.display = 'none';
         document.getElementById('restoreRecordsList').style.display = 'none';
         currentVirtualScroller = null;
     } catch (error) {
@@ -733,11 +1458,12 @@ async function executeRestore() {
 async function loadBackupHistory() {
     try {
         const history = await window.electronAPI.getBackupHistory({ limit: 100 });
+        backupHistory = history;
         const tbody = document.querySelector('#historyTable tbody');
         tbody.innerHTML = '';
 
         if (history.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="7" style="text-align: center;">履歴がありません</td></tr>';
+            tbody.innerHTML = '<tr><td colspan="8" style="text-align: center;">履歴がありません</td></tr>';
             return;
         }
 
@@ -750,13 +1476,142 @@ async function loadBackupHistory() {
                 <td>${item.record_count || 0}件</td>
                 <td><span class="badge badge-${getStatusBadge(item.status)}">${item.status}</span></td>
                 <td>${item.duration_seconds ? item.duration_seconds.toFixed(2) + '秒' : '-'}</td>
-                <td><button class="btn btn-danger btn-sm" onclick="deleteBackup(${item.id})">削除</button></td>
+                <td>${formatVerifyStatus(item)}</td>
+                <td>
+                    <button class="btn btn-secondary btn-sm" onclick="previewBackupRecords(${item.id})">レコード</button>
+                    <button class="btn btn-secondary btn-sm" onclick="verifyBackup(${item.id})">検証</button>
+                    <button class="btn btn-secondary btn-sm" onclick="restoreAppSettingsFromBackup(${item.id})">設定</button>
+                    <button class="btn btn-secondary btn-sm" onclick="cloneBackupToNewApp(${item.id})">新規アプリ</button>
+                    <button class="btn btn-danger btn-sm" onclick="deleteBackup(${item.id})">削除</button>
+                </td>
             `;
             tbody.appendChild(tr);
         });
     } catch (error) {
         console.error('Failed to load history:', error);
     }
+
+    await loadRestoreHistory();
+}
+
+// 復元履歴の読み込み
+async function loadRestoreHistory() {
+    try {
+        restoreHistory = await window.electronAPI.getRestoreHistory({ limit: 100 });
+        const tbody = document.querySelector('#restoreHistoryTable tbody');
+
+        if (restoreHistory.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="8" style="text-align: center;">履歴がありません</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = restoreHistory
+            .map(
+                (item) => `
+                <tr>
+                    <td>${formatDateTime(item.start_time)}</td>
+                    <td>${escapeHtml(item.app_name || '-')}</td>
+                    <td>${escapeHtml(item.target_domain || '-')} / ${escapeHtml(item.app_id)}</td>
+                    <td>${item.added_count} / ${item.updated_count} / ${item.skipped_count}</td>
+                    <td>${
+                        item.conflicts.length > 0
+                            ? `<button class="btn btn-secondary btn-sm" onclick="showRestoreConflicts(${item.id})">${item.conflicts.length}件</button>`
+                            : '-'
+                    }</td>
+                    <td><span class="badge badge-${getStatusBadge(item.status)}" title="${escapeHtml(item.remarks || '')}">${item.status}</span></td>
+                    <td>${item.duration_seconds ? item.duration_seconds.toFixed(2) + '秒' : '-'}</td>
+                    <td>${
+                        item.undone_at
+                            ? `<span title="${escapeHtml(formatDateTime(item.undone_at))}">取り消し済み</span>`
+                            : item.snapshot_backup_id
+                              ? `<button class="btn btn-secondary btn-sm" onclick="undoRestore(${item.id})">元に戻す</button>`
+                              : '-'
+                    }</td>
+                </tr>
+            `
+            )
+            .join('');
+    } catch (error) {
+        console.error('Failed to load restore history:', error);
+    }
+}
+
+// 復元の取り消し（復元前のスナップショットを反映し、復元で追加したレコードを削除）
+async function undoRestore(restoreId) {
+    const item = restoreHistory.find((history) => history.id === restoreId);
+    if (!item) {
+        return;
+    }
+    if (
+        !confirm(
+            `${formatDateTime(item.start_time)} の復元 (${item.app_name || item.app_id}) を取り消しますか?\n` +
+                '更新したレコードを復元前の値に戻し、復元で追加したレコードを削除します。復元後に編集されたレコードはそのまま残します。\n' +
+                'ステータス・作業者は元に戻りません。'
+        )
+    ) {
+        return;
+    }
+
+    try {
+        const result = await withPassphrase((passphrase) => window.electronAPI.undoRestore(restoreId, { passphrase }));
+        let message = `復元を取り消しました\n元に戻したレコード: ${result.revertedCount}件\n削除したレコード: ${result.deletedCount}件`;
+        if (result.changedRecordIds.length > 0) {
+            message += `\n\n復元後に編集されたため戻さなかったレコード (${result.changedRecordIds.length}件): ${result.changedRecordIds.join(', ')}`;
+        }
+        if (result.statusNotRevertedIds.length > 0) {
+            message += `\n\nステータス・作業者を戻していないレコード (${result.statusNotRevertedIds.length}件): ${result.statusNotRevertedIds.join(', ')}`;
+        }
+        alert(message);
+        await loadBackupHistory();
+    } catch (error) {
+        console.error('Undo restore failed:', error);
+        alert('復元の取り消しに失敗しました: ' + error.message);
+    }
+}
+
+// レコード番号が変わった場合、そのレコードを参照している他のアプリのルックアップ・関連レコードのキーの書き換えを提案
+async function offerReferenceRewrite(result) {
+    if (!result.changedIdCount) {
+        return;
+    }
+
+    try {
+        const found = await window.electronAPI.findStaleReferences(result.sourceAppId, result.appId);
+        if (found.references.length === 0) {
+            return;
+        }
+
+        const lines = found.references.map((reference) =>
+            reference.error ? `・${formatReferenceField(reference)}: 確認できませんでした (${reference.error})` : `・${formatReferenceField(reference)}: ${reference.recordCount}件`
+        );
+        if (!confirm(`レコード番号が変わったレコードを古いレコード番号で参照しているレコードがあります:\n${lines.join('\n')}\n\n新しいレコード番号に書き換えますか?`)) {
+            return;
+        }
+
+        const rewritten = await window.electronAPI.rewriteReferences(result.sourceAppId, result.appId);
+        const resultLines = rewritten.references.map((reference) =>
+            reference.error ? `・${formatReferenceField(reference)}: 失敗 (${reference.error})` : `・${formatReferenceField(reference)}: ${reference.updatedCount}件`
+        );
+        alert(`参照を書き換えました\n${resultLines.join('\n')}`);
+    } catch (error) {
+        console.error('Failed to rewrite references:', error);
+        alert('参照の書き換えに失敗しました: ' + error.message);
+    }
+}
+
+// 参照しているフィールドの表示名
+function formatReferenceField(reference) {
+    const fieldCode = reference.subtableCode ? `${reference.subtableCode}.${reference.fieldCode}` : reference.fieldCode;
+    const kind = reference.type === 'lookup' ? 'ルックアップ' : '関連レコード';
+    return `${reference.appName || 'アプリ'} (ID: ${reference.appId}) の ${fieldCode} (${kind})`;
+}
+
+// 復元時に競合したレコードの表示
+function showRestoreConflicts(restoreId) {
+    const item = restoreHistory.find((history) => history.id === restoreId);
+    if (item) {
+        alert(`${formatDateTime(item.start_time)} の復元 (${item.app_name || item.app_id})` + formatConflicts(item.conflicts));
+    }
 }
 
 // バックアップを削除
@@ -776,6 +1631,476 @@ async function deleteBackup(backupId) {
     }
 }
 
+// ========== アプリ設定の復元 ==========
+
+// バックアップからアプリ設定を選択して復元
+async function restoreAppSettingsFromBackup(backupId) {
+    try {
+        const info = await withPassphrase((passphrase) => window.electronAPI.getAppSettingsBackup(backupId, passphrase));
+        if (!info) {
+            alert('このバックアップにはアプリ設定が含まれていません');
+            return;
+        }
+
+        const sections = await selectAppSettingsSections(info);
+        if (!sections) {
+            return;
+        }
+
+        const result = await withPassphrase((passphrase) => window.electronAPI.restoreAppSettings({ backupId, sections, passphrase }));
+        alert(`アプリ設定を復元しました\n\n${result.sections.map((section) => `・${section.label}`).join('\n')}`);
+    } catch (error) {
+        console.error('Failed to restore app settings:', error);
+        alert('アプリ設定の復元に失敗しました: ' + error.message);
+    }
+}
+
+// 復元する設定の選択ダイアログを表示（キャンセル時は null）
+function selectAppSettingsSections(info) {
+    const dialog = document.getElementById('appSettingsDialog');
+    const list = document.getElementById('appSettingsSections');
+
+    document.getElementById('appSettingsCapturedAt').textContent = `取得日時: ${formatDateTime(info.capturedAt)}`;
+    list.innerHTML = info.sections
+        .map(
+            (section) => `
+            <label style="display: block; margin-bottom: 4px">
+                <input type="checkbox" value="${section.key}" ${section.available ? 'checked' : 'disabled'} />
+                ${escapeHtml(section.label)}${section.error ? ` <span style="color: #999" title="${escapeHtml(section.error)}">（取得できませんでした）</span>` : ''}
+            </label>
+        `
+        )
+        .join('');
+    dialog.returnValue = '';
+
+    return new Promise((resolve) => {
+        dialog.addEventListener(
+            'close',
+            () => {
+                const checked = Array.from(list.querySelectorAll('input:checked'), (input) => input.value);
+                resolve(dialog.returnValue === 'ok' && checked.length > 0 ? checked : null);
+            },
+            { once: true }
+        );
+        dialog.showModal();
+    });
+}
+
+// ========== 新しいアプリとして復元 ==========
+
+// バックアップから新しいアプリを作成して復元
+async function cloneBackupToNewApp(backupId) {
+    const appNameInput = document.getElementById('cloneAppName');
+    appNameInput.value = '';
+
+    const dialog = document.getElementById('cloneAppDialog');
+    dialog.returnValue = '';
+    const confirmed = await new Promise((resolve) => {
+        dialog.addEventListener('close', () => resolve(dialog.returnValue === 'ok'), { once: true });
+        dialog.showModal();
+        appNameInput.focus();
+    });
+    if (!confirmed) {
+        return;
+    }
+
+    try {
+        // パスフレーズの入力・再入力はアプリを作成する前に済ませる（失敗後の再実行でアプリを重複して作成しない）
+        await withPassphrase((passphrase) => window.electronAPI.getBackupMetadata(backupId, passphrase));
+        const result = await window.electronAPI.cloneBackupToNewApp({ backupId, appName: appNameInput.value.trim(), passphrase: sessionPassphrase });
+
+        const lines = [`アプリ: ${result.newAppName} (ID: ${result.newAppId})`, `登録: ${result.addedCount}件`, `レコードIDの対応: ${result.idMappingCount}件を記録`];
+        result.settings
+            .filter((section) => !section.success)
+            .forEach((section) => lines.push(`・${section.label}を反映できませんでした: ${section.error}`));
+        if (result.missingFiles.length > 0) {
+            lines.push(`見つからない添付ファイル: ${result.missingFiles.length}件`);
+        }
+
+        alert(`新しいアプリとして復元しました\n\n${lines.join('\n')}`);
+        await offerReferenceRewrite(result);
+    } catch (error) {
+        console.error('Failed to clone backup:', error);
+        alert('新しいアプリとしての復元に失敗しました: ' + error.message);
+        // 作成途中のアプリは復元履歴に記録される
+        await loadRestoreHistory();
+    }
+}
+
+// ========== 検証 ==========
+
+// 検証設定の読み込み
+function loadVerificationSettings() {
+    const verification = currentConfig.verification || { enabled: true, intervalDays: 7 };
+    document.getElementById('verificationEnabled').checked = !!verification.enabled;
+    document.getElementById('verificationIntervalDays').value = verification.intervalDays || 7;
+}
+
+// 検証設定の保存
+async function saveVerificationSettings() {
+    const intervalDays = parseInt(document.getElementById('verificationIntervalDays').value, 10);
+    const verification = {
+        enabled: document.getElementById('verificationEnabled').checked,
+        intervalDays: Number.isNaN(intervalDays) || intervalDays < 1 ? 7 : intervalDays,
+    };
+
+    try {
+        await window.electronAPI.saveConfig({ verification });
+        currentConfig.verification = verification;
+        alert('検証設定を保存しました');
+    } catch (error) {
+        console.error('Failed to save verification settings:', error);
+        alert('検証設定の保存に失敗しました: ' + error.message);
+    }
+}
+
+// 検証結果の表示（詳細はツールチップ）
+function formatVerifyStatus(item) {
+    if (!item.verify_status) {
+        return '<span class="badge badge-secondary">未検証</span>';
+    }
+
+    let details = `検証日時: ${formatDateTime(item.verified_at)}`;
+    try {
+        const { problems = [], warnings = [] } = JSON.parse(item.verify_details || '{}');
+        details += [...problems.map((p) => `\n異常: ${p}`), ...warnings.map((w) => `\n注意: ${w}`)].join('');
+    } catch (e) {
+        // 詳細が読めない場合は日時のみ表示
+    }
+
+    const badge = item.verify_status === '正常' ? 'success' : 'error';
+    return `<span class="badge badge-${badge}" title="${escapeHtml(details)}">${escapeHtml(item.verify_status)}</span>`;
+}
+
+// バックアップのレコードを表示（バッチ単位で読み込み、閉じた場合は残りの読み込みを中止）
+async function previewBackupRecords(backupId) {
+    const backup = backupHistory.find((item) => item.id === backupId);
+    const dialog = document.getElementById('backupRecordsDialog');
+    const info = document.getElementById('backupRecordsInfo');
+
+    let first;
+    try {
+        first = await withPassphrase((passphrase) => window.electronAPI.openBackupRecords(backupId, passphrase));
+    } catch (error) {
+        console.error('Failed to load backup records:', error);
+        alert('レコード一覧の取得に失敗しました: ' + error.message);
+        return;
+    }
+
+    let loadedCount = first.records.length;
+    let done = first.done;
+    let open = true;
+    const showProgress = () => {
+        info.textContent = `${formatDateTime(backup.start_time)} の${backup.backup_type}バックアップ (${loadedCount}件のレコード${done ? '' : '、読み込み中...'})`;
+    };
+    showProgress();
+    dialog.addEventListener('close', () => (open = false), { once: true });
+    dialog.showModal();
+
+    try {
+        const scroller = await renderRecordsTable(first.records, document.getElementById('backupRecordsContainer'), backup.app_id, { showCheckbox: false });
+        while (!done && open) {
+            const next = await window.electronAPI.readRecords(first.sessionId);
+            done = next.done;
+            loadedCount += next.records.length;
+            scroller.appendRecords(next.records);
+            showProgress();
+        }
+    } catch (error) {
+        console.error('Failed to load backup records:', error);
+        alert('レコード一覧の取得に失敗しました: ' + error.message);
+    } finally {
+        if (!done) {
+            await window.electronAPI.closeRecords(first.sessionId);
+        }
+    }
+}
+
+// バックアップを検証
+async function verifyBackup(backupId) {
+    try {
+        const result = await window.electronAPI.verifyBackup(backupId, sessionPassphrase);
+        const lines = [...result.problems.map((p) => `・異常: ${p}`), ...result.warnings.map((w) => `・注意: ${w}`)];
+        alert(`検証結果: ${result.status}` + (lines.length > 0 ? `\n\n${lines.join('\n')}` : ''));
+        await loadBackupHistory();
+    } catch (error) {
+        console.error('Failed to verify backup:', error);
+        alert('検証に失敗しました: ' + error.message);
+    }
+}
+
+// 全バックアップを検証
+async function verifyAllBackups() {
+    const button = document.getElementById('verifyAllBtn');
+    const status = document.getElementById('verifyAllStatus');
+
+    try {
+        button.disabled = true;
+        status.textContent = '検証中...';
+
+        const results = await window.electronAPI.verifyAllBackups(sessionPassphrase);
+        const corruptCount = results.filter((result) => result.status === '異常').length;
+        status.textContent = `${results.length}件を検証: 異常 ${corruptCount}件`;
+
+        await loadBackupHistory();
+    } catch (error) {
+        console.error('Failed to verify backups:', error);
+        status.textContent = '検証に失敗しました: ' + error.message;
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// ドライランの結果（追加・更新されるレコードと変更されるフィールド）を表示して復元の実行を確認
+function confirmRestorePreview(preview, target, heading = '') {
+    const dialog = document.getElementById('restorePreviewDialog');
+    const targetLabel = target ? `${preview.targetDomain} のアプリ (ID: ${preview.appId}) へ` : '';
+
+    let summary = `${heading}${preview.recordCount}件のレコードを${targetLabel}復元します（追加: ${preview.addedCount}件、更新: ${preview.updatedCount}件、スキップ: ${preview.skippedCount}件、変更なし: ${preview.unchangedCount}件）`;
+    if (preview.conflicts.length > 0) {
+        summary += `\nバックアップ後に編集されたレコードが${preview.conflicts.length}件あります`;
+    }
+    if (preview.truncated) {
+        summary += `。先頭の${preview.records.length}件の変更内容を表示しています`;
+    }
+    if (preview.droppedFields && preview.droppedFields.length > 0) {
+        summary += `\n書き込まないフィールド: ${preview.droppedFields.map((f) => (f.subtableCode ? `${f.subtableCode}.${f.fieldCode}` : f.fieldCode)).join(', ')}`;
+    }
+    document.getElementById('restorePreviewSummary').textContent = summary;
+
+    const container = document.getElementById('restorePreviewRecords');
+    container.innerHTML =
+        preview.records.length === 0 ? '<p style="color: #666">変更されるレコードはありません</p>' : preview.records.map((record) => renderRestorePreviewRecord(record)).join('');
+
+    document.getElementById('restorePreviewExecuteBtn').disabled = preview.addedCount + preview.updatedCount === 0;
+    dialog.returnValue = '';
+
+    return new Promise((resolve) => {
+        dialog.addEventListener('close', () => resolve(dialog.returnValue === 'ok'), { once: true });
+        dialog.showModal();
+    });
+}
+
+// ドライランの結果の1レコード分
+function renderRestorePreviewRecord(record) {
+    let action = `<span style="color: #1565c0">更新</span> (復元先のレコードID: ${escapeHtml(record.targetRecordId)})`;
+    if (record.action === 'add') {
+        action = '<span style="color: #2e7d32">追加</span>';
+    } else if (record.action === 'skip') {
+        action = `<span style="color: #999">スキップ</span> (復元先のレコードID: ${escapeHtml(record.targetRecordId)})`;
+    }
+    if (record.conflict) {
+        action += ` <span style="color: #c00">バックアップ後に編集されています (リビジョン ${escapeHtml(record.conflict.archivedRevision)} → ${escapeHtml(record.conflict.liveRevision)})</span>`;
+    }
+    const rows = record.changes
+        .map(
+            (change) => `
+            <tr>
+                <td>${escapeHtml(change.fieldCode)}</td>
+                <td style="white-space: pre-wrap; color: #999">${escapeHtml(change.before)}</td>
+                <td style="white-space: pre-wrap">${escapeHtml(change.after)}</td>
+            </tr>
+        `
+        )
+        .join('');
+
+    return `
+        <div style="margin-bottom: 15px">
+            <strong>レコード ${escapeHtml(record.sourceRecordId || '-')}</strong>: ${action}
+            <table style="margin-top: 5px">
+                <thead>
+                    <tr>
+                        <th>フィールド</th>
+                        <th>変更前</th>
+                        <th>変更後</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+// バックアップ後に編集されていたレコードの一覧（完了メッセージ・復元履歴用）
+function formatConflicts(conflicts) {
+    if (!conflicts || conflicts.length === 0) {
+        return '';
+    }
+
+    const lines = conflicts.map((c) => {
+        let resolution = '上書きしました';
+        if (c.resolution === 'skipped') {
+            resolution = '更新しませんでした';
+        } else if (c.resolution === 'copied') {
+            resolution = c.copyRecordId ? `レコード ${c.copyRecordId} として追加しました` : '別のレコードとして追加します';
+        }
+        return `・レコード ${c.targetRecordId} (リビジョン ${c.archivedRevision} → ${c.liveRevision}): ${resolution}`;
+    });
+    return `\n\n以下のレコードはバックアップ後に編集されていました (${conflicts.length}件):\n${lines.join('\n')}`;
+}
+
+// 復元先の入力欄の表示切り替え
+function toggleRestoreTarget() {
+    const enabled = document.getElementById('restoreToOtherTarget').checked;
+    document.getElementById('restoreTargetSettings').style.display = enabled ? 'block' : 'none';
+}
+
+// 復元先の指定（別のアプリ・環境へ復元しない場合は null）
+function getRestoreTarget() {
+    if (!document.getElementById('restoreToOtherTarget').checked) {
+        return null;
+    }
+
+    return {
+        domain: document.getElementById('restoreTargetDomain').value.trim(),
+        appId: document.getElementById('restoreTargetAppId').value.trim(),
+        apiToken: document.getElementById('restoreTargetApiToken').value.trim(),
+        username: document.getElementById('restoreTargetUsername').value.trim(),
+        password: document.getElementById('restoreTargetPassword').value,
+    };
+}
+
+// フィールドの対応付けの確認
+// 復元先のフォームとずれがなければ {}、キャンセルした場合は null を返す
+async function selectFieldMapping(target) {
+    const request = { appId: selectedRestoreAppId, targetDatetime: selectedPointInTime, target };
+    let info = await withPassphrase((passphrase) => window.electronAPI.getPointInTimeFieldMapping({ ...request, passphrase }));
+    if (!info.available || !info.hasDrift) {
+        return {};
+    }
+
+    const dialog = document.getElementById('fieldMappingDialog');
+    const rows = document.getElementById('fieldMappingRows');
+
+    const render = () => {
+        const savedText = info.savedAt ? `（保存した対応付け: ${formatDateTime(info.savedAt)}）` : '';
+        document.getElementById('fieldMappingInfo').textContent = `バックアップ時のフォームと復元先のアプリ (ID: ${info.targetAppId}) のフォームが一致しません。復元先のフィールドを選んでください${savedText}`;
+        rows.innerHTML = info.fields.map((field) => renderFieldMappingRow(field)).join('');
+
+        const required = info.missingRequiredFields || [];
+        document.getElementById('fieldMappingRequired').textContent =
+            required.length > 0 ? `値が入らない必須フィールド: ${required.map((f) => `${f.label} (${f.fieldCode})`).join(', ')}` : '';
+    };
+
+    // 対応付けを変更したら照合し直す（テーブル内のフィールドの候補も変わる）
+    const onChange = async () => {
+        const fieldMapping = { ...info.mapping };
+        rows.querySelectorAll('select[data-key]').forEach((select) => {
+            fieldMapping[select.dataset.key] = select.value || null;
+        });
+        try {
+            info = await window.electronAPI.getPointInTimeFieldMapping({ ...request, fieldMapping, passphrase: sessionPassphrase });
+            render();
+        } catch (error) {
+            alert('フィールドの対応付けの確認に失敗しました: ' + error.message);
+        }
+    };
+
+    render();
+    rows.addEventListener('change', onChange);
+    dialog.returnValue = '';
+
+    return new Promise((resolve) => {
+        dialog.addEventListener(
+            'close',
+            () => {
+                rows.removeEventListener('change', onChange);
+                const saveFieldMapping = document.getElementById('fieldMappingSave').checked;
+                resolve(dialog.returnValue === 'ok' ? { fieldMapping: info.mapping, saveFieldMapping } : null);
+            },
+            { once: true }
+        );
+        dialog.showModal();
+    });
+}
+
+// フィールドの対応付けの行
+function renderFieldMappingRow(field) {
+    const name = field.subtableCode ? `${escapeHtml(field.subtableCode)} / ${escapeHtml(field.label)}` : escapeHtml(field.label);
+    const options = field.candidates
+        .map((candidate) => {
+            const selected = candidate.code === field.targetCode ? 'selected' : '';
+            return `<option value="${escapeHtml(candidate.code)}" ${selected}>${escapeHtml(candidate.label)} (${escapeHtml(candidate.code)}, ${candidate.type})</option>`;
+        })
+        .join('');
+
+    let status = '一致';
+    if (field.status === 'renamed') {
+        status = 'コード変更';
+    } else if (field.status === 'converted') {
+        status = `変換 (${field.type} → ${field.targetType})`;
+    } else if (field.status === 'dropped') {
+        status = `<span style="color: ${field.reason === 'スキップ' ? '#999' : '#c00'}">${escapeHtml(field.reason)}</span>`;
+    }
+
+    return `
+        <tr>
+            <td>${name}<br /><small style="color: #999">${escapeHtml(field.fieldCode)} (${field.type})</small></td>
+            <td>
+                <select data-key="${escapeHtml(field.key)}">
+                    <option value="">スキップ</option>
+                    ${options}
+                </select>
+            </td>
+            <td>${status}</td>
+        </tr>
+    `;
+}
+
+// 復元先のフォームにないため書き込まなかったフィールドの一覧（完了メッセージ用）
+function formatDroppedFields(result) {
+    let message = '';
+
+    if (result.droppedFields && result.droppedFields.length > 0) {
+        const lines = result.droppedFields.map((f) => `・${f.subtableCode ? `${f.subtableCode}.` : ''}${f.fieldCode} (${f.label}): ${f.reason}`);
+        message += `\n\n以下のフィールドは復元先のフォームと一致しないため書き込みませんでした (${result.droppedFields.length}件):\n${lines.join('\n')}`;
+    }
+    if (result.missingRequiredFields && result.missingRequiredFields.length > 0) {
+        const lines = result.missingRequiredFields.map((f) => `・${f.fieldCode} (${f.label})`);
+        message += `\n\n以下の必須フィールドはバックアップに値がありません:\n${lines.join('\n')}`;
+    }
+
+    return message;
+}
+
+// 作成者・更新者に設定できなかったユーザーの一覧（完了メッセージ用）
+function formatMissingUsers(missingUsers) {
+    if (!missingUsers || missingUsers.length === 0) {
+        return '';
+    }
+    return `\n\n以下のユーザーは存在しないため、作成者・更新者に設定せずに追加しました:\n${missingUsers.map((code) => `・${code}`).join('\n')}`;
+}
+
+// ステータスを戻せなかったレコードの一覧（完了メッセージ用）
+function formatUnreachableStatuses(unreachableStatuses) {
+    if (!unreachableStatuses || unreachableStatuses.length === 0) {
+        return '';
+    }
+
+    const lines = unreachableStatuses.map((s) => `・レコード ${s.targetRecordId}: ${s.status} (${s.reason})`);
+    return `\n\n以下のレコードはバックアップ時のステータスに戻せませんでした (${unreachableStatuses.length}件):\n${lines.join('\n')}`;
+}
+
+// 投稿したコメントの件数と投稿できなかったレコード（完了メッセージ用）
+function formatCommentResult(result) {
+    let message = result.commentCount > 0 ? `\n\nコメントを${result.commentCount}件投稿しました` : '';
+    if (result.commentFailures && result.commentFailures.length > 0) {
+        const lines = result.commentFailures.map((f) => `・レコード ${f.targetRecordId}: ${f.error}`);
+        message += `\n\n以下のレコードはコメントを投稿できませんでした (${result.commentFailures.length}件):\n${lines.join('\n')}`;
+    }
+    return message;
+}
+
+// 復元できなかった添付ファイルの一覧（完了メッセージ用）
+function formatMissingFiles(missingFiles) {
+    if (!missingFiles || missingFiles.length === 0) {
+        return '';
+    }
+
+    const lines = missingFiles.map((f) => `・レコード ${f.recordId} / ${f.fieldCode} / ${f.fileName}`);
+    return `\n\n以下の添付ファイルはローカルに見つからず復元できませんでした (${missingFiles.length}件):\n${lines.join('\n')}`;
+}
+
 // 設定画面を開く
 function openSettings() {
     alert('設定画面は未実装です');
@@ -791,6 +2116,12 @@ function formatDate(date) {
     return date.toLocaleDateString('ja-JP');
 }
 
+// datetime-local 入力用の値（ローカル時刻 YYYY-MM-DDTHH:mm）
+function toDatetimeLocalValue(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
 function getBadgeType(backupType) {
     if (backupType === '全体') return 'success';
     if (backupType === '差分') return 'warning';
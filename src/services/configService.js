@@ -29,6 +29,47 @@ const store = new Store({
         backup: {
             outputDirectory: '',
             defaultType: 'differential',
+            // 保存先種別（local: ローカル・共有フォルダ / s3: S3 互換ストレージ）
+            storageType: 'local',
+            s3: {
+                endpoint: '',
+                region: 'us-east-1',
+                bucket: '',
+                prefix: '',
+                accessKeyId: '',
+                secretAccessKey: '',
+                forcePathStyle: true,
+            },
+            // アーカイブの暗号化（AES-256-GCM）
+            // スケジュール実行で暗号化するにはパスフレーズの保存が必要（保存しない場合は手動実行時に入力）
+            encryption: {
+                enabled: false,
+                passphrase: '',
+            },
+            // レコードのコメントのバックアップ（レコードごとに API を呼び出すため既定では無効）
+            comments: {
+                enabled: false,
+            },
+        },
+        retention: {
+            enabled: false,
+            // 全アプリ共通の保持ポリシー（日次・週次・月次の保持数、差分の基点となる全体バックアップの最低保持日数、
+            // スケジュール実行で全体バックアップを取得する間隔）
+            default: {
+                daily: 7,
+                weekly: 4,
+                monthly: 12,
+                minFullAgeDays: 30,
+                fullIntervalDays: 7,
+                snapshotDays: 30,
+            },
+            // アプリごとの上書き設定（キーはアプリID）
+            apps: {},
+        },
+        verification: {
+            // スケジュール実行時、前回の検証から intervalDays 日以上経過していれば全バックアップを検証
+            enabled: true,
+            intervalDays: 7,
         },
     },
 });
@@ -71,6 +112,10 @@ class ConfigService {
 
     // バックアップ設定の保存
     static saveBackupConfig(backupConfig) {
+        // パスフレーズがないとスケジュール実行で暗号化できないため、暗号化の有効化にはパスフレーズの保存を必須とする
+        if (backupConfig.encryption?.enabled && !backupConfig.encryption.passphrase) {
+            throw new Error('暗号化を有効にする場合は、パスフレーズを設定に保存してください');
+        }
         store.set('backup', backupConfig);
     }
 
@@ -79,6 +124,26 @@ class ConfigService {
         return store.get('backup');
     }
 
+    // 保持ポリシー設定の保存
+    static saveRetentionConfig(retentionConfig) {
+        store.set('retention', retentionConfig);
+    }
+
+    // 保持ポリシー設定の取得
+    static getRetentionConfig() {
+        return store.get('retention');
+    }
+
+    // 検証設定の保存
+    static saveVerificationConfig(verificationConfig) {
+        store.set('verification', verificationConfig);
+    }
+
+    // 検証設定の取得
+    static getVerificationConfig() {
+        return store.get('verification');
+    }
+
     // 個別の設定値を取得
     static get(key, defaultValue = null) {
         return store.get(key, defaultValue);
@@ -0,0 +1,131 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const FieldMapper = require('../src/core/fieldMapper');
+
+const field = (code, type, extra = {}) => ({ code, label: code, type, ...extra });
+const options = (...names) => Object.fromEntries(names.map((name, index) => [name, { label: name, index: String(index) }]));
+
+const statusOf = (mapper, key) => mapper.fieldList.find((item) => item.key === key);
+
+describe('FieldMapper', () => {
+    describe('matching by field code', () => {
+        it('matches fields with the same code and type', () => {
+            const properties = { t: field('t', 'SINGLE_LINE_TEXT') };
+            const mapper = new FieldMapper(properties, properties);
+
+            assert.strictEqual(statusOf(mapper, 't').status, 'matched');
+            assert.strictEqual(mapper.hasDrift, false);
+            assert.deepStrictEqual(mapper.mapRecord({ t: { type: 'SINGLE_LINE_TEXT', value: 'a' } }), { t: { type: 'SINGLE_LINE_TEXT', value: 'a' } });
+        });
+
+        it('ignores system and calculated fields', () => {
+            const properties = { no: field('no', 'RECORD_NUMBER'), c: field('c', 'CALC'), s: field('s', 'STATUS') };
+            const mapper = new FieldMapper(properties, properties);
+
+            assert.deepStrictEqual(mapper.fieldList, []);
+            assert.deepStrictEqual(mapper.droppedFields, []);
+        });
+
+        it('drops fields missing from the target', () => {
+            const mapper = new FieldMapper({ old: field('old', 'NUMBER') }, {});
+
+            assert.deepStrictEqual(mapper.droppedFields, [{ fieldCode: 'old', label: 'old', type: 'NUMBER', subtableCode: null, reason: '復元先のアプリに存在しません' }]);
+            assert.deepStrictEqual(mapper.mapRecord({ old: { type: 'NUMBER', value: '1' } }), {});
+        });
+
+        it('writes fields without field information when the target has the same code', () => {
+            const mapper = new FieldMapper({}, { extra: field('extra', 'SINGLE_LINE_TEXT') });
+
+            assert.deepStrictEqual(mapper.mapRecord({ extra: { type: 'SINGLE_LINE_TEXT', value: 'x' }, unknown: { type: 'SINGLE_LINE_TEXT', value: 'y' } }), {
+                extra: { type: 'SINGLE_LINE_TEXT', value: 'x' },
+            });
+        });
+    });
+
+    describe('lossless conversions', () => {
+        it('converts scalar fields to text', () => {
+            const mapper = new FieldMapper({ n: field('n', 'NUMBER'), d: field('d', 'DATE') }, { n: field('n', 'SINGLE_LINE_TEXT'), d: field('d', 'MULTI_LINE_TEXT') });
+
+            assert.strictEqual(statusOf(mapper, 'n').status, 'converted');
+            assert.deepStrictEqual(mapper.mapRecord({ n: { type: 'NUMBER', value: '12' }, d: { type: 'DATE', value: null } }), {
+                n: { type: 'SINGLE_LINE_TEXT', value: '12' },
+                d: { type: 'MULTI_LINE_TEXT', value: '' },
+            });
+        });
+
+        it('joins multiple choices with a newline for multi-line text and a comma for single-line text', () => {
+            const mapper = new FieldMapper({ a: field('a', 'CHECK_BOX'), b: field('b', 'MULTI_SELECT') }, { a: field('a', 'MULTI_LINE_TEXT'), b: field('b', 'SINGLE_LINE_TEXT') });
+
+            assert.deepStrictEqual(mapper.mapRecord({ a: { type: 'CHECK_BOX', value: ['x', 'y'] }, b: { type: 'MULTI_SELECT', value: ['x', 'y'] } }), {
+                a: { type: 'MULTI_LINE_TEXT', value: 'x\ny' },
+                b: { type: 'SINGLE_LINE_TEXT', value: 'x, y' },
+            });
+        });
+
+        it('converts between radio buttons and drop-downs when every option exists', () => {
+            const mapper = new FieldMapper({ r: field('r', 'RADIO_BUTTON', { options: options('a', 'b') }) }, { r: field('r', 'DROP_DOWN', { options: options('a', 'b', 'c') }) });
+
+            assert.strictEqual(statusOf(mapper, 'r').status, 'converted');
+            assert.deepStrictEqual(mapper.mapRecord({ r: { type: 'RADIO_BUTTON', value: 'b' } }), { r: { type: 'DROP_DOWN', value: 'b' } });
+        });
+
+        it('drops choice fields whose options are missing from the target', () => {
+            const mapper = new FieldMapper({ m: field('m', 'CHECK_BOX', { options: options('a', 'b') }) }, { m: field('m', 'MULTI_SELECT', { options: options('a') }) });
+
+            assert.strictEqual(mapper.droppedFields[0].reason, '復元先に選択肢が不足しています');
+        });
+
+        it('drops conversions that would lose values', () => {
+            const mapper = new FieldMapper({ t: field('t', 'MULTI_LINE_TEXT'), n: field('n', 'SINGLE_LINE_TEXT') }, { t: field('t', 'SINGLE_LINE_TEXT'), n: field('n', 'NUMBER') });
+
+            assert.deepStrictEqual(
+                mapper.droppedFields.map((dropped) => dropped.reason),
+                ['フィールドタイプが異なります (MULTI_LINE_TEXT → SINGLE_LINE_TEXT)', 'フィールドタイプが異なります (SINGLE_LINE_TEXT → NUMBER)']
+            );
+        });
+    });
+
+    describe('mapping', () => {
+        it('renames and skips fields', () => {
+            const mapper = new FieldMapper({ old: field('old', 'DATE'), t: field('t', 'SINGLE_LINE_TEXT') }, { renamed: field('renamed', 'DATE'), t: field('t', 'SINGLE_LINE_TEXT') }, { old: 'renamed', t: null });
+
+            assert.strictEqual(statusOf(mapper, 'old').status, 'renamed');
+            assert.strictEqual(statusOf(mapper, 't').reason, 'スキップ');
+            assert.deepStrictEqual(mapper.getMapping(), { old: 'renamed', t: null });
+            assert.deepStrictEqual(mapper.mapRecord({ old: { type: 'DATE', value: '2020-01-01' }, t: { type: 'SINGLE_LINE_TEXT', value: 'x' } }), {
+                renamed: { type: 'DATE', value: '2020-01-01' },
+            });
+        });
+
+        it('rejects two fields mapped to the same target', () => {
+            const mapper = new FieldMapper({ a: field('a', 'SINGLE_LINE_TEXT'), b: field('b', 'SINGLE_LINE_TEXT') }, { a: field('a', 'SINGLE_LINE_TEXT') }, { b: 'a' });
+
+            assert.deepStrictEqual(mapper.droppedFields.map((dropped) => [dropped.fieldCode, dropped.reason]), [['b', 'ほかのフィールドと同じ復元先です']]);
+        });
+
+        it('maps fields inside tables', () => {
+            const source = { tbl: field('tbl', 'SUBTABLE', { fields: { a: field('a', 'NUMBER'), b: field('b', 'SINGLE_LINE_TEXT') } }) };
+            const target = { tbl2: field('tbl2', 'SUBTABLE', { fields: { a2: field('a2', 'SINGLE_LINE_TEXT') } }) };
+            const mapper = new FieldMapper(source, target, { tbl: 'tbl2', 'tbl.a': 'a2' });
+
+            assert.deepStrictEqual(mapper.droppedFields.map((dropped) => [dropped.subtableCode, dropped.fieldCode]), [['tbl', 'b']]);
+            assert.deepStrictEqual(
+                mapper.mapRecord({
+                    tbl: { type: 'SUBTABLE', value: [{ id: '1', value: { a: { type: 'NUMBER', value: '3' }, b: { type: 'SINGLE_LINE_TEXT', value: 'x' } } }] },
+                }),
+                { tbl2: { type: 'SUBTABLE', value: [{ id: '1', value: { a2: { type: 'SINGLE_LINE_TEXT', value: '3' } } }] } }
+            );
+        });
+    });
+
+    it('reports required target fields without a source', () => {
+        const mapper = new FieldMapper({ t: field('t', 'SINGLE_LINE_TEXT') }, { t: field('t', 'SINGLE_LINE_TEXT', { required: true }), r: field('r', 'NUMBER', { required: true }) });
+
+        assert.deepStrictEqual(mapper.getMissingRequiredFields(), [{ fieldCode: 'r', label: 'r' }]);
+    });
+
+    it('describes dropped fields', () => {
+        assert.strictEqual(FieldMapper.describe({ fieldCode: 'a', subtableCode: 'tbl', reason: 'スキップ' }), 'tbl.a (スキップ)');
+    });
+});
@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const ProcessFlow = require('../src/core/processFlow');
+
+const action = (name, from, to) => ({ name, from, to });
+
+// 未処理 → 処理中 → 完了、処理中 → 差し戻し → 未処理、未処理 → 完了（直接）
+const processManagement = {
+    enable: true,
+    states: {
+        未処理: { name: '未処理', assignee: { type: 'ONE' } },
+        処理中: { name: '処理中', assignee: { type: 'ALL' } },
+        差し戻し: { name: '差し戻し' },
+        完了: { name: '完了' },
+        保留: { name: '保留' },
+    },
+    actions: [action('開始', '未処理', '処理中'), action('差し戻す', '処理中', '差し戻し'), action('再開', '差し戻し', '未処理'), action('完了', '処理中', '完了'), action('即完了', '未処理', '完了')],
+};
+
+const names = (path) => path && path.map((step) => step.name);
+
+describe('ProcessFlow', () => {
+    it('returns an empty path for the same status', () => {
+        assert.deepStrictEqual(new ProcessFlow(processManagement).findPath('未処理', '未処理'), []);
+    });
+
+    it('finds the shortest sequence of actions', () => {
+        const flow = new ProcessFlow(processManagement);
+
+        assert.deepStrictEqual(names(flow.findPath('未処理', '完了')), ['即完了']);
+        assert.deepStrictEqual(names(flow.findPath('未処理', '差し戻し')), ['開始', '差し戻す']);
+        assert.deepStrictEqual(names(flow.findPath('差し戻し', '完了')), ['再開', '即完了']);
+    });
+
+    it('returns null for unreachable statuses', () => {
+        const flow = new ProcessFlow(processManagement);
+
+        assert.strictEqual(flow.findPath('完了', '未処理'), null);
+        assert.strictEqual(flow.findPath('未処理', '保留'), null);
+    });
+
+    it('terminates on cycles', () => {
+        const flow = new ProcessFlow({ enable: true, actions: [action('a', 'A', 'B'), action('b', 'B', 'A')] });
+
+        assert.strictEqual(flow.findPath('A', 'C'), null);
+        assert.deepStrictEqual(names(flow.findPath('B', 'A')), ['b']);
+    });
+
+    it('caches paths', () => {
+        const flow = new ProcessFlow(processManagement);
+
+        assert.strictEqual(flow.findPath('未処理', '差し戻し'), flow.findPath('未処理', '差し戻し'));
+    });
+
+    it('reports statuses that need a single assignee', () => {
+        const flow = new ProcessFlow(processManagement);
+
+        assert.strictEqual(flow.requiresAssignee('未処理'), true);
+        assert.strictEqual(flow.requiresAssignee('処理中'), false);
+        assert.strictEqual(flow.requiresAssignee('不明'), false);
+    });
+
+    it('is disabled without process management', () => {
+        const flow = new ProcessFlow(null);
+
+        assert.strictEqual(flow.enabled, false);
+        assert.strictEqual(flow.findPath('A', 'B'), null);
+    });
+});
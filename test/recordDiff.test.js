@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { diffRecord, formatFieldValue } = require('../src/core/recordDiff');
+
+describe('recordDiff', () => {
+    describe('diffRecord', () => {
+        it('returns only fields whose value changes', () => {
+            const restored = { a: { type: 'SINGLE_LINE_TEXT', value: 'new' }, b: { type: 'NUMBER', value: '1' } };
+            const live = { a: { type: 'SINGLE_LINE_TEXT', value: 'old' }, b: { type: 'NUMBER', value: '1' }, c: { type: 'NUMBER', value: '9' } };
+
+            assert.deepStrictEqual(diffRecord(restored, live), [{ fieldCode: 'a', before: 'old', after: 'new' }]);
+        });
+
+        it('treats every field as changed when there is no live record', () => {
+            assert.deepStrictEqual(diffRecord({ a: { type: 'SINGLE_LINE_TEXT', value: 'x' } }, null), [{ fieldCode: 'a', before: '', after: 'x' }]);
+        });
+
+        it('ignores the order of multiple choices', () => {
+            const restored = { c: { type: 'CHECK_BOX', value: ['b', 'a'] } };
+            const live = { c: { type: 'CHECK_BOX', value: ['a', 'b'] } };
+
+            assert.deepStrictEqual(diffRecord(restored, live), []);
+        });
+
+        it('compares only the table columns being restored', () => {
+            const restored = { tbl: { type: 'SUBTABLE', value: [{ id: '1', value: { a: { type: 'NUMBER', value: '1' } } }] } };
+            const live = { tbl: { type: 'SUBTABLE', value: [{ id: '1', value: { a: { type: 'NUMBER', value: '1' }, extra: { type: 'NUMBER', value: '5' } } }] } };
+
+            assert.deepStrictEqual(diffRecord(restored, live), []);
+        });
+    });
+
+    describe('formatFieldValue', () => {
+        it('formats users, files and empty values', () => {
+            assert.strictEqual(formatFieldValue({ type: 'USER_SELECT', value: [{ code: 'alice' }, { code: 'bob' }] }), 'alice, bob');
+            assert.strictEqual(formatFieldValue({ type: 'CREATOR', value: { code: 'alice' } }), 'alice');
+            assert.strictEqual(formatFieldValue({ type: 'FILE', value: [{ name: 'a.txt' }, { name: 'b.png' }] }), 'a.txt, b.png');
+            assert.strictEqual(formatFieldValue({ type: 'NUMBER', value: null }), '');
+            assert.strictEqual(formatFieldValue(null), '');
+        });
+
+        it('formats table rows with sorted columns', () => {
+            const field = {
+                type: 'SUBTABLE',
+                value: [
+                    { id: '1', value: { b: { type: 'NUMBER', value: '2' }, a: { type: 'SINGLE_LINE_TEXT', value: 'x' } } },
+                    { id: '2', value: { a: { type: 'SINGLE_LINE_TEXT', value: 'y' }, b: { type: 'NUMBER', value: '3' } } },
+                ],
+            };
+
+            assert.strictEqual(formatFieldValue(field), 'a: x / b: 2\na: y / b: 3');
+        });
+    });
+});
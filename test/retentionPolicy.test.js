@@ -0,0 +1,133 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const RetentionPolicy = require('../src/core/retentionPolicy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-03-31T12:00:00Z');
+
+// now から daysAgo 日前のバックアップ（日付の境界をまたがないよう正午に揃える）
+function backup(id, daysAgo, backupType = '差分', diffBase = 'base') {
+    return {
+        id,
+        backup_type: backupType,
+        start_time: new Date(NOW.getTime() - daysAgo * DAY_MS).toISOString(),
+        diff_base_datetime: backupType === '全体' ? null : diffBase,
+    };
+}
+
+const ids = (backups) => backups.map((b) => b.id);
+
+describe('RetentionPolicy', () => {
+    describe('selectBackupsToPrune', () => {
+        it('returns nothing for no backups', () => {
+            assert.deepStrictEqual(new RetentionPolicy().selectBackupsToPrune([], NOW), []);
+        });
+
+        it('prunes whole chains that contain no kept backup', () => {
+            const policy = new RetentionPolicy({ daily: 2, weekly: 0, monthly: 0, minFullAgeDays: 0 });
+            const backups = [
+                backup(1, 20, '全体'),
+                backup(2, 19),
+                backup(3, 18),
+                backup(4, 10, '全体'),
+                backup(5, 9),
+                backup(6, 1, '全体'),
+                backup(7, 0),
+            ];
+
+            assert.deepStrictEqual(ids(policy.selectBackupsToPrune(backups, NOW)), [1, 2, 3, 4, 5]);
+        });
+
+        it('keeps the whole chain when any member is kept', () => {
+            const policy = new RetentionPolicy({ daily: 1, weekly: 0, monthly: 0, minFullAgeDays: 0 });
+            const backups = [backup(1, 5, '全体'), backup(2, 4), backup(3, 3), backup(4, 0)];
+
+            assert.deepStrictEqual(policy.selectBackupsToPrune(backups, NOW), []);
+        });
+
+        it('always keeps the newest backup', () => {
+            const policy = new RetentionPolicy({ daily: 0, weekly: 0, monthly: 0, minFullAgeDays: 0 });
+            const backups = [backup(1, 40, '全体'), backup(2, 30, '全体'), backup(3, 29)];
+
+            assert.deepStrictEqual(ids(policy.selectBackupsToPrune(backups, NOW)), [1]);
+        });
+
+        it('treats a differential without a base datetime as the start of a chain', () => {
+            const policy = new RetentionPolicy({ daily: 1, weekly: 0, monthly: 0, minFullAgeDays: 0 });
+            const backups = [backup(1, 10, '差分', null), backup(2, 9), backup(3, 2, '差分', null), backup(4, 0)];
+
+            assert.deepStrictEqual(ids(policy.selectBackupsToPrune(backups, NOW)), [1, 2]);
+        });
+
+        it('keeps chains whose base is younger than minFullAgeDays', () => {
+            const policy = new RetentionPolicy({ daily: 0, weekly: 0, monthly: 0, minFullAgeDays: 30 });
+            const backups = [backup(1, 40, '全体'), backup(2, 39), backup(3, 20, '全体'), backup(4, 19), backup(5, 1, '全体')];
+
+            assert.deepStrictEqual(ids(policy.selectBackupsToPrune(backups, NOW)), [1, 2]);
+        });
+
+        it('keeps the latest backup of each week and month', () => {
+            const policy = new RetentionPolicy({ daily: 0, weekly: 2, monthly: 3, minFullAgeDays: 0 });
+            // 2026-03-31 は火曜日
+            const backups = [
+                backup(1, 70, '全体'), // 2026-01-20（1月の最新）
+                backup(2, 45, '全体'), // 2026-02-14
+                backup(3, 40, '全体'), // 2026-02-19（2月の最新）
+                backup(4, 10, '全体'), // 2026-03-21
+                backup(5, 9, '全体'), // 2026-03-22（第12週の最新）
+                backup(6, 1, '全体'), // 2026-03-30（第14週）
+                backup(7, 0, '全体'),
+            ];
+
+            assert.deepStrictEqual(ids(policy.selectBackupsToPrune(backups, NOW)), [2, 4, 6]);
+        });
+
+        it('accepts backups in any order', () => {
+            const policy = new RetentionPolicy({ daily: 1, weekly: 0, monthly: 0, minFullAgeDays: 0 });
+            const backups = [backup(4, 0), backup(2, 9), backup(3, 1, '全体'), backup(1, 10, '全体')];
+
+            assert.deepStrictEqual(ids(policy.selectBackupsToPrune(backups, NOW)), [1, 2]);
+        });
+    });
+
+    describe('selectSnapshotsToPrune', () => {
+        it('prunes snapshots older than snapshotDays', () => {
+            const policy = new RetentionPolicy({ snapshotDays: 30 });
+            const snapshots = [backup(1, 31, '部分'), backup(2, 30, '部分'), backup(3, 29, '部分')];
+
+            assert.deepStrictEqual(ids(policy.selectSnapshotsToPrune(snapshots, NOW)), [1, 2]);
+        });
+
+        it('keeps snapshots when snapshotDays is 0', () => {
+            assert.deepStrictEqual(new RetentionPolicy({ snapshotDays: 0 }).selectSnapshotsToPrune([backup(1, 400, '部分')], NOW), []);
+        });
+    });
+
+    describe('isFullBackupDue', () => {
+        it('is due when no full backup exists', () => {
+            assert.strictEqual(new RetentionPolicy().isFullBackupDue(null, NOW), true);
+        });
+
+        it('is due once fullIntervalDays have passed', () => {
+            const policy = new RetentionPolicy({ fullIntervalDays: 7 });
+
+            assert.strictEqual(policy.isFullBackupDue(new Date(NOW.getTime() - 6 * DAY_MS).toISOString(), NOW), false);
+            assert.strictEqual(policy.isFullBackupDue(new Date(NOW.getTime() - 7 * DAY_MS).toISOString(), NOW), true);
+        });
+
+        it('is never due when fullIntervalDays is 0', () => {
+            assert.strictEqual(new RetentionPolicy({ fullIntervalDays: 0 }).isFullBackupDue(null, NOW), false);
+        });
+    });
+
+    describe('weekKey', () => {
+        it('uses ISO 8601 week numbers', () => {
+            const policy = new RetentionPolicy();
+
+            assert.strictEqual(policy.weekKey(new Date(2026, 0, 1)), '2026-W1');
+            assert.strictEqual(policy.weekKey(new Date(2027, 0, 1)), '2026-W53');
+            assert.strictEqual(policy.weekKey(new Date(2024, 11, 30)), '2025-W1');
+        });
+    });
+});